@@ -0,0 +1,77 @@
+// MongoDB Copy Utility: collections, indexes and views straight from one database to another
+// Command line wrapper around copyDatabase() from lib/copy.js
+const { EventEmitter } = require("events");
+const { copyDatabase, DEFAULT_COPY_OPTIONS } = require("./lib/copy");
+const { IMPORT_MODES } = require("./lib/import");
+const { SCHEMA_STRATEGIES } = require("./lib/export");
+const { logToConsole } = require("./lib/events");
+const { parseCommandLine } = require("./lib/args");
+
+require("dotenv").config();
+
+// Configuration options
+const COPY_OPTIONS = {
+  ...DEFAULT_COPY_OPTIONS,
+  uri: process.env.MONGODB_URL,           // Source connection string
+  dbName: process.env.DB_NAME,            // Source database
+  targetUri: process.env.TARGET_MONGODB_URL, // Target connection string
+  targetDbName: process.env.TARGET_DB_NAME || null, // Target database
+  renameArgs: []                          // --rename values: 'source:target' pairs
+};
+
+// Command line arguments
+const COPY_ARGS = {
+  'db': { type: 'string', option: 'dbName', placeholder: 'name', description: 'Source database (default: DB_NAME)' },
+  'target-uri': { type: 'string', placeholder: 'uri', description: 'Target connection string (default: TARGET_MONGODB_URL, else the source)' },
+  'target-db': { type: 'string', option: 'targetDbName', placeholder: 'name', description: 'Target database (default: TARGET_DB_NAME, else the source name)' },
+  'collections': { type: 'list', placeholder: 'a,b', description: 'Only copy these collections and views' },
+  'exclude': { type: 'list', placeholder: 'a,b', description: 'Skip these collections and views' },
+  'rename': { type: 'list', option: 'renameArgs', placeholder: 'a:b,c:d', description: 'Copy collection a as b (and c as d)' },
+  'mode': { type: 'string', choices: IMPORT_MODES, placeholder: 'mode', description: `Copy mode: ${IMPORT_MODES.join(', ')}` },
+  'key-fields': { type: 'list', placeholder: 'a,b', description: 'Fields matching existing documents in non-replace modes (default: _id)' },
+  'concurrency': { type: 'number', placeholder: 'n', description: 'Collections copied at the same time (default: 1)' },
+  'batch-size': { type: 'number', placeholder: 'n', description: 'Documents per batch' },
+  'recreate-db': { type: 'boolean', option: 'recreateDatabase', negatable: true, description: 'Drop the target database first (default: off)' },
+  'clear': { type: 'boolean', option: 'clearCollections', negatable: true, description: 'Clear target collections before copying (default: on)' },
+  'indexes': { type: 'boolean', option: 'recreateIndexes', negatable: true, description: 'Create the indexes (default: on)' },
+  'validation': { type: 'boolean', option: 'validateData', negatable: true, description: 'Validate documents against the analyzed schema (default: on)' },
+  'bypass-validation': { type: 'boolean', option: 'bypassDocumentValidation', description: 'Bypass collection validators while inserting' },
+  'schema-strategy': { type: 'string', choices: SCHEMA_STRATEGIES, placeholder: 'strategy', description: `Schema analysis for validation: ${SCHEMA_STRATEGIES.join(', ')} (default: full)` },
+  'schema-sample-size': { type: 'number', placeholder: 'n', description: 'Documents analyzed by the sample strategy' }
+};
+
+parseCommandLine('node copy.js', COPY_ARGS, COPY_OPTIONS);
+
+try {
+  COPY_OPTIONS.targetUri = COPY_OPTIONS.targetUri || COPY_OPTIONS.uri;
+  COPY_OPTIONS.rename = {};
+  COPY_OPTIONS.renameArgs.forEach(pair => {
+    const [from, to] = pair.split(':');
+    if (!from || !to) {
+      throw new Error(`Invalid --rename '${pair}', expected source:target`);
+    }
+    COPY_OPTIONS.rename[from] = to;
+  });
+  if (!COPY_OPTIONS.dbName) {
+    throw new Error('No database selected: set DB_NAME or pass --db');
+  }
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+const { renameArgs, ...options } = COPY_OPTIONS;
+
+console.log("🔧 Copy Configuration:");
+console.log(`  📤 Source: ${options.dbName}`);
+console.log(`  📥 Target: ${options.targetDbName || options.dbName}${options.targetUri === options.uri ? ' (same server)' : ''}`);
+if (Object.keys(options.rename).length > 0) {
+  console.log(`  ✏️  Rename: ${Object.entries(options.rename).map(([from, to]) => `${from} → ${to}`).join(', ')}`);
+}
+console.log(`  🔀 Copy Mode: ${options.mode}`);
+console.log(`  ⚡ Concurrency: ${options.concurrency}\n`);
+
+copyDatabase({ ...options, events: logToConsole(new EventEmitter()) }).catch(err => {
+  console.error("❌ Copy Error:", err.message);
+  process.exitCode = 1;
+});
@@ -1,317 +1,153 @@
 // Enhanced MongoDB Export Utility with Schema and Migration Support
-const { MongoClient } = require("mongodb");
-const fs = require("fs");
-const path = require("path");
+// Command line wrapper around exportDatabase() from lib/export.js
+const { EventEmitter } = require("events");
+const { BSON } = require("mongodb");
+const {
+  exportDatabase,
+  DEFAULT_EXPORT_OPTIONS,
+  SCHEMA_STRATEGIES,
+  EXPORT_FORMATS,
+  DATE_FORMATS,
+  SQL_DIALECT_NAMES,
+  SQL_LAYOUTS,
+  SQL_DATA_FORMATS,
+  ARCHIVE_MODES,
+  COMPRESSIONS
+} = require("./lib/export");
+const { logToConsole } = require("./lib/events");
+const { parseCommandLine } = require("./lib/args");
 
 require("dotenv").config();
 
-const uri = process.env.MONGODB_URL; 
-const dbName = process.env.DB_NAME; 
-
-// Helper function to analyze field types from sample documents
-function analyzeFieldTypes(documents) {
-  const schema = {};
-  
-  documents.forEach(doc => {
-    analyzeObject(doc, schema, '');
-  });
-  
-  // Convert counts to most common types
-  Object.keys(schema).forEach(field => {
-    const types = schema[field];
-    const mostCommon = Object.keys(types).reduce((a, b) => 
-      types[a] > types[b] ? a : b
-    );
-    schema[field] = {
-      type: mostCommon,
-      nullable: types['null'] > 0,
-      samples: Math.max(...Object.values(types))
-    };
-  });
-  
-  return schema;
-}
-
-function analyzeObject(obj, schema, prefix) {
-  Object.keys(obj).forEach(key => {
-    const fullKey = prefix ? `${prefix}.${key}` : key;
-    const value = obj[key];
-    const type = getValueType(value);
-    
-    if (!schema[fullKey]) {
-      schema[fullKey] = {};
-    }
-    
-    schema[fullKey][type] = (schema[fullKey][type] || 0) + 1;
-    
-    // Recursively analyze nested objects
-    if (type === 'object' && value !== null) {
-      analyzeObject(value, schema, fullKey);
-    } else if (type === 'array' && value.length > 0) {
-      // Analyze array elements
-      value.forEach(item => {
-        if (typeof item === 'object' && item !== null) {
-          analyzeObject(item, schema, `${fullKey}[]`);
-        }
-      });
-    }
-  });
-}
-
-function getValueType(value) {
-  if (value === null) return 'null';
-  if (value === undefined) return 'undefined';
-  if (Array.isArray(value)) return 'array';
-  if (value instanceof Date) return 'date';
-  if (typeof value === 'object' && value.constructor.name === 'ObjectId') return 'objectId';
-  return typeof value;
-}
-
-// Generate SQL-like CREATE TABLE statements
-function generateCreateTableSQL(collectionName, schema) {
-  let sql = `-- Schema for collection: ${collectionName}\n`;
-  sql += `CREATE TABLE IF NOT EXISTS \`${collectionName}\` (\n`;
-  
-  const fields = [];
-  Object.keys(schema).forEach(field => {
-    const fieldInfo = schema[field];
-    let sqlType = mongoTypeToSQL(fieldInfo.type);
-    let nullable = fieldInfo.nullable ? '' : ' NOT NULL';
-    
-    // Handle nested fields by flattening them
-    const cleanField = field.replace(/\[\]/g, '_array').replace(/\./g, '_');
-    fields.push(`  \`${cleanField}\` ${sqlType}${nullable}`);
-  });
-  
-  // Add MongoDB _id as primary key
-  if (!schema._id) {
-    fields.unshift('  `_id` VARCHAR(24) PRIMARY KEY');
+const { EJSON } = BSON;
+
+// Configuration options
+const EXPORT_OPTIONS = {
+  ...DEFAULT_EXPORT_OPTIONS,
+  uri: process.env.MONGODB_URL,  // Connection string
+  dbName: process.env.DB_NAME,   // Database to export
+  maskingSecret: process.env.MASKING_SECRET, // Key of the masking hashes and fake values
+  queryArgs: [],                 // --query values: '[collection:]<Extended JSON filter>'
+  fieldsArgs: [],                // --fields values: '[collection:]a,b,-c'
+  subsetCollection: null,        // --subset: root collection of a subset export
+  subsetQuery: null,             // --subset-query: Extended JSON filter of the root documents
+  subsetLimit: null,             // --subset-limit: number of root documents
+  subsetReferencing: true        // --subset-referencing: include documents referencing the root documents
+};
+
+// Split a per-collection argument ('users:{"age":1}' or 'users:name,email') from a global one
+function splitCollectionArgument(value) {
+  const separator = value.indexOf(':');
+  if (value.startsWith('{') || separator === -1) {
+    return { collection: '*', value };
   }
-  
-  sql += fields.join(',\n');
-  sql += '\n);\n\n';
-  
-  return sql;
-}
-
-function mongoTypeToSQL(mongoType) {
-  const typeMap = {
-    'string': 'TEXT',
-    'number': 'DECIMAL(10,2)',
-    'boolean': 'BOOLEAN',
-    'date': 'DATETIME',
-    'objectId': 'VARCHAR(24)',
-    'array': 'JSON',
-    'object': 'JSON',
-    'null': 'TEXT'
-  };
-  
-  return typeMap[mongoType] || 'TEXT';
+  return { collection: value.slice(0, separator), value: value.slice(separator + 1) };
 }
 
-// Generate SQL INSERT statements
-function generateInsertSQL(collectionName, documents, schema) {
-  let sql = `-- Data for collection: ${collectionName}\n`;
-  
-  documents.forEach(doc => {
-    const fields = [];
-    const values = [];
-    
-    // Flatten the document for SQL insertion
-    const flatDoc = flattenObject(doc);
-    
-    Object.keys(flatDoc).forEach(key => {
-      const cleanKey = key.replace(/\[\]/g, '_array').replace(/\./g, '_');
-      fields.push(`\`${cleanKey}\``);
-      values.push(formatValueForSQL(flatDoc[key]));
-    });
-    
-    sql += `INSERT INTO \`${collectionName}\` (${fields.join(', ')}) VALUES (${values.join(', ')});\n`;
+// Turn repeated --query/--fields values into a map keyed by collection name ('*' for all)
+function parseCollectionArguments(values, parse) {
+  const parsed = {};
+  (values || []).forEach(raw => {
+    const { collection, value } = splitCollectionArgument(raw);
+    parsed[collection] = parse(value, collection);
   });
-  
-  return sql + '\n';
+  return parsed;
 }
 
-function flattenObject(obj, prefix = '') {
-  const flattened = {};
-  
-  Object.keys(obj).forEach(key => {
-    const value = obj[key];
-    const newKey = prefix ? `${prefix}.${key}` : key;
-    
-    if (value === null || value === undefined) {
-      flattened[newKey] = null;
-    } else if (Array.isArray(value) || (typeof value === 'object' && value.constructor.name !== 'ObjectId' && !(value instanceof Date))) {
-      flattened[newKey] = JSON.stringify(value);
+function parseProjection(value) {
+  const projection = {};
+  value.split(',').map(field => field.trim()).filter(Boolean).forEach(field => {
+    if (field.startsWith('-')) {
+      projection[field.slice(1)] = 0;
     } else {
-      flattened[newKey] = value;
+      projection[field] = 1;
     }
   });
-  
-  return flattened;
+  return projection;
 }
 
-function formatValueForSQL(value) {
-  if (value === null || value === undefined) {
-    return 'NULL';
-  }
-  
-  if (typeof value === 'string') {
-    return `'${value.replace(/'/g, "''")}'`;
-  }
-  
-  if (typeof value === 'boolean') {
-    return value ? '1' : '0';
+// Command line arguments
+const EXPORT_ARGS = {
+  'db': { type: 'string', option: 'dbName', placeholder: 'name', description: 'Database to export (default: DB_NAME)' },
+  'out': { type: 'string', option: 'outDir', placeholder: 'dir', description: 'Output directory (default: ./db)' },
+  'archive': { type: 'string', choices: ARCHIVE_MODES, placeholder: 'mode', description: 'tar: single <out>.tar.gz archive, files: compress each data and schema file' },
+  'compression': { type: 'string', choices: COMPRESSIONS, placeholder: 'type', description: 'Archive compression: gzip (default), brotli or none' },
+  'manifest': { type: 'boolean', negatable: true, description: 'Write manifest.json with counts, checksums and content hashes (default: on)' },
+  'collections': { type: 'list', placeholder: 'a,b', description: 'Only export these collections and views' },
+  'exclude': { type: 'list', placeholder: 'a,b', description: 'Skip these collections and views' },
+  'concurrency': { type: 'number', placeholder: 'n', description: 'Collections exported at the same time (default: 1)' },
+  'consistent': { type: 'boolean', description: 'Read all collections at one cluster time (snapshot reads, replica sets)' },
+  'since': { type: 'string', placeholder: 'export', description: 'Only export documents changed since this export (directory, archive or manifest.json)' },
+  'incremental-field': { type: 'string', placeholder: 'field', description: 'Field compared with the previous export: _id (default) or a timestamp field' },
+  'masking': { type: 'string', placeholder: 'file', description: 'Mask personal data with the rules in this JSON file (key: MASKING_SECRET)' },
+  'subset': { type: 'string', option: 'subsetCollection', placeholder: 'collection', description: 'Export documents of this collection and everything they reference' },
+  'subset-query': { type: 'string', placeholder: 'json', description: 'Filter of the subset root documents (Extended JSON)' },
+  'subset-limit': { type: 'number', placeholder: 'n', description: 'Number of subset root documents' },
+  'subset-referencing': { type: 'boolean', negatable: true, description: 'Include documents referencing the root documents, such as their orders (default: on)' },
+  'references': { type: 'string', placeholder: 'file', description: 'References followed by --subset (JSON: {"orders":{"userId":"users"}})' },
+  'infer-references': { type: 'boolean', negatable: true, description: 'Also follow ObjectId fields whose target collection can be inferred (default: on)' },
+  'query': { type: 'multi', option: 'queryArgs', placeholder: '[collection:]json', description: 'Filter documents (Extended JSON), repeatable per collection' },
+  'fields': { type: 'multi', option: 'fieldsArgs', placeholder: '[collection:]a,b,-c', description: 'Projection, repeatable per collection' },
+  'limit': { type: 'number', placeholder: 'n', description: 'Maximum documents per collection' },
+  'formats': { type: 'list', choices: EXPORT_FORMATS, placeholder: 'a,b', description: `Outputs to write: ${EXPORT_FORMATS.join(', ')} (default: data,schema,sql,shell)` },
+  'ejson': { type: 'string', option: 'ejsonMode', choices: ['canonical', 'relaxed'], placeholder: 'mode', description: 'Extended JSON mode: canonical or relaxed' },
+  'data-layout': { type: 'string', option: 'dataLayout', choices: ['array', 'ndjson'], placeholder: 'layout', description: 'Data file layout: array or ndjson' },
+  'sql-dialect': { type: 'string', choices: SQL_DIALECT_NAMES, placeholder: 'dialect', description: `SQL migration dialect: ${SQL_DIALECT_NAMES.join(', ')}` },
+  'sql-layout': { type: 'string', choices: SQL_LAYOUTS, placeholder: 'layout', description: 'SQL tables: json (nested values as JSON columns) or normalized' },
+  'sql-data': { type: 'string', choices: SQL_DATA_FORMATS, placeholder: 'format', description: 'SQL data: inserts or csv (LOAD DATA / \\copy / .import)' },
+  'sql-batch-size': { type: 'number', placeholder: 'n', description: 'Rows per INSERT statement (default: 1)' },
+  'sql-transactions': { type: 'boolean', negatable: true, description: 'Wrap the data of each SQL file in a transaction' },
+  'sql-chunk-rows': { type: 'number', placeholder: 'n', description: 'Split SQL data into numbered files of n rows' },
+  'sql-chunk-size': { type: 'number', placeholder: 'mb', description: 'Split SQL data into numbered files of about this many MB' },
+  'csv-delimiter': { type: 'string', placeholder: 'char', description: "Delimiter of the analyst CSV files ('tab' for tabs)" },
+  'csv-header': { type: 'boolean', negatable: true, description: 'Header row in the analyst CSV files (default: on)' },
+  'csv-explode': { type: 'list', placeholder: 'a,b', description: 'Array fields written as one CSV row per element' },
+  'csv-fields': { type: 'list', placeholder: 'a,b', description: 'Fields included in the analyst CSV files (default: all)' },
+  'date-format': { type: 'string', choices: DATE_FORMATS, placeholder: 'format', description: `Dates in CSV and NDJSON files: ${DATE_FORMATS.join(', ')}` },
+  'schema-strategy': { type: 'string', choices: SCHEMA_STRATEGIES, placeholder: 'strategy', description: `Schema analysis: ${SCHEMA_STRATEGIES.join(', ')}` },
+  'schema-sample-size': { type: 'number', placeholder: 'n', description: 'Documents analyzed by the sample strategy' },
+  'schema-sample-percent': { type: 'number', placeholder: 'p', description: 'Percentage analyzed by the percent strategy' }
+};
+
+parseCommandLine('node export.js', EXPORT_ARGS, EXPORT_OPTIONS);
+
+try {
+  EXPORT_OPTIONS.queries = parseCollectionArguments(EXPORT_OPTIONS.queryArgs, (value, collection) => {
+    try {
+      return EJSON.parse(value, { relaxed: true });
+    } catch (error) {
+      throw new Error(`Invalid --query for ${collection === '*' ? 'all collections' : collection}: ${error.message}`);
+    }
+  });
+  EXPORT_OPTIONS.projections = parseCollectionArguments(EXPORT_OPTIONS.fieldsArgs, parseProjection);
+  if (EXPORT_OPTIONS.subsetCollection) {
+    let query = {};
+    try {
+      query = EXPORT_OPTIONS.subsetQuery ? EJSON.parse(EXPORT_OPTIONS.subsetQuery, { relaxed: true }) : {};
+    } catch (error) {
+      throw new Error(`Invalid --subset-query: ${error.message}`);
+    }
+    EXPORT_OPTIONS.subset = {
+      collection: EXPORT_OPTIONS.subsetCollection,
+      query,
+      limit: EXPORT_OPTIONS.subsetLimit,
+      referencing: EXPORT_OPTIONS.subsetReferencing
+    };
   }
-  
-  if (value instanceof Date) {
-    return `'${value.toISOString().slice(0, 19).replace('T', ' ')}'`;
+  if (EXPORT_OPTIONS.csvDelimiter === 'tab' || EXPORT_OPTIONS.csvDelimiter === '\\t') {
+    EXPORT_OPTIONS.csvDelimiter = '\t';
   }
-  
-  if (typeof value === 'object' && value.constructor.name === 'ObjectId') {
-    return `'${value.toString()}'`;
+  if (!EXPORT_OPTIONS.dbName) {
+    throw new Error('No database selected: set DB_NAME or pass --db');
   }
-  
-  return value;
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
 }
 
-async function exportCollections() {
-  const client = new MongoClient(uri);
-
-  try {
-    await client.connect();
-    console.log("Connected to MongoDB");
-
-    const db = client.db(dbName);
-
-    // Get all collection names
-    const collections = await db.listCollections().toArray();
-
-    // Create export directories
-    const exportDir = "./db";
-    const dataDir = path.join(exportDir, "data");
-    const schemaDir = path.join(exportDir, "schema");
-    const migrationDir = path.join(exportDir, "migration");
-
-    [exportDir, dataDir, schemaDir, migrationDir].forEach(dir => {
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-      }
-    });
-
-    let fullMigrationSQL = `-- Complete Database Migration Script for: ${dbName}\n`;
-    fullMigrationSQL += `-- Generated on: ${new Date().toISOString()}\n\n`;
-    fullMigrationSQL += `-- Database: ${dbName}\n`;
-    fullMigrationSQL += `CREATE DATABASE IF NOT EXISTS \`${dbName}\`;\n`;
-    fullMigrationSQL += `USE \`${dbName}\`;\n\n`;
-
-    const databaseSchema = {
-      database: dbName,
-      collections: {},
-      exportDate: new Date().toISOString(),
-      totalCollections: collections.length
-    };
-
-    for (const coll of collections) {
-      const name = coll.name;
-      const collection = db.collection(name);
-
-      console.log(`Analyzing and exporting collection: ${name}`);
-
-      // Get collection stats and indexes
-      const stats = await db.command({ collStats: name }).catch(() => ({}));
-      const indexes = await collection.indexes();
-      
-      // Get sample documents for schema analysis
-      const sampleSize = Math.min(100, stats.count || 100);
-      const documents = await collection.find({}).limit(sampleSize).toArray();
-      
-      if (documents.length === 0) {
-        console.log(`Collection ${name} is empty, skipping...`);
-        continue;
-      }
-
-      // Analyze schema
-      const schema = analyzeFieldTypes(documents);
-      
-      // Get all documents for export
-      const allDocuments = await collection.find({}).toArray();
-
-      // Save raw JSON data
-      const dataFilePath = path.join(dataDir, `${name}.json`);
-      fs.writeFileSync(dataFilePath, JSON.stringify(allDocuments, null, 2));
-
-      // Save schema information
-      const collectionSchema = {
-        name: name,
-        fields: schema,
-        indexes: indexes,
-        stats: {
-          documentCount: allDocuments.length,
-          avgDocSize: stats.avgObjSize,
-          totalSize: stats.size
-        }
-      };
-
-      const schemaFilePath = path.join(schemaDir, `${name}_schema.json`);
-      fs.writeFileSync(schemaFilePath, JSON.stringify(collectionSchema, null, 2));
-
-      // Generate SQL migration
-      const createTableSQL = generateCreateTableSQL(name, schema);
-      const insertSQL = generateInsertSQL(name, allDocuments, schema);
-      
-      const sqlFilePath = path.join(migrationDir, `${name}.sql`);
-      fs.writeFileSync(sqlFilePath, createTableSQL + insertSQL);
-
-      // Add to full migration script
-      fullMigrationSQL += createTableSQL + insertSQL;
-
-      // Add to database schema
-      databaseSchema.collections[name] = collectionSchema;
-
-      console.log(`✓ Exported ${name}: ${allDocuments.length} documents`);
-    }
-
-    // Save complete database schema
-    const dbSchemaPath = path.join(schemaDir, "database_schema.json");
-    fs.writeFileSync(dbSchemaPath, JSON.stringify(databaseSchema, null, 2));
-
-    // Save complete migration script
-    const fullMigrationPath = path.join(migrationDir, "complete_migration.sql");
-    fs.writeFileSync(fullMigrationPath, fullMigrationSQL);
-
-    // Generate MongoDB shell script for recreation
-    let mongoShellScript = `// MongoDB Shell Script to recreate database: ${dbName}\n`;
-    mongoShellScript += `// Generated on: ${new Date().toISOString()}\n\n`;
-    mongoShellScript += `use ${dbName};\n\n`;
-
-    Object.keys(databaseSchema.collections).forEach(collName => {
-      const collSchema = databaseSchema.collections[collName];
-      
-      // Add indexes
-      collSchema.indexes.forEach(index => {
-        if (index.name !== '_id_') {
-          mongoShellScript += `db.${collName}.createIndex(${JSON.stringify(index.key)});\n`;
-        }
-      });
-    });
-
-    const mongoScriptPath = path.join(migrationDir, "mongodb_recreation.js");
-    fs.writeFileSync(mongoScriptPath, mongoShellScript);
-
-    console.log("\n🎉 Export completed successfully!");
-    console.log(`📁 Exports saved to: ${exportDir}`);
-    console.log(`📊 Data files: ${dataDir}`);
-    console.log(`📋 Schema files: ${schemaDir}`);
-    console.log(`🔄 Migration files: ${migrationDir}`);
-    console.log(`📄 Complete SQL migration: ${fullMigrationPath}`);
-    console.log(`🍃 MongoDB recreation script: ${mongoScriptPath}`);
-
-  } catch (err) {
-    console.error("Error:", err);
-  } finally {
-    await client.close();
-  }
-}
+const { queryArgs, fieldsArgs, subsetCollection, subsetQuery, subsetLimit, subsetReferencing, ...options } = EXPORT_OPTIONS;
 
-exportCollections();
+exportDatabase({ ...options, events: logToConsole(new EventEmitter()) }).catch(err => {
+  console.error("Error:", err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,37 @@
+// Programmatic API: the same export and import the CLIs run, usable from other Node.js code
+const { exportDatabase, DEFAULT_EXPORT_OPTIONS } = require("./lib/export");
+const { importDatabase, DEFAULT_IMPORT_OPTIONS } = require("./lib/import");
+const { syncDatabase, DEFAULT_SYNC_OPTIONS } = require("./lib/sync");
+const { copyDatabase, DEFAULT_COPY_OPTIONS } = require("./lib/copy");
+const { analyzeFieldTypes, createSchemaAnalyzer, getValueType } = require("./lib/schema");
+const { validateDocument, castToType } = require("./lib/validation");
+const {
+  generateCreateTableSQL,
+  generateInsertSQL,
+  generateInsertStatement,
+  mongoTypeToSQL
+} = require("./lib/sql");
+const { buildTableLayout, generateNormalizedCreateSQL, generateNormalizedInsertSQL } = require("./lib/normalize");
+
+module.exports = {
+  exportDatabase,
+  importDatabase,
+  syncDatabase,
+  copyDatabase,
+  DEFAULT_EXPORT_OPTIONS,
+  DEFAULT_IMPORT_OPTIONS,
+  DEFAULT_SYNC_OPTIONS,
+  DEFAULT_COPY_OPTIONS,
+  analyzeFieldTypes,
+  createSchemaAnalyzer,
+  getValueType,
+  validateDocument,
+  castToType,
+  generateCreateTableSQL,
+  generateInsertSQL,
+  generateInsertStatement,
+  mongoTypeToSQL,
+  buildTableLayout,
+  generateNormalizedCreateSQL,
+  generateNormalizedInsertSQL
+};
@@ -0,0 +1,431 @@
+// Compressed exports: a single tar archive (gzip or brotli) or per-file compression,
+// and a reader that serves export files from a directory or straight from an archive
+//
+// Tar archives use the ustar format, with PAX headers for paths over 100 characters
+// and files over 8 GB. Entries are written in export order: an index of the entries,
+// the manifest and schema files, then the data.
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { Readable, pipeline: pipeStreams } = require("stream");
+const { pipeline } = require("stream/promises");
+
+const ARCHIVE_MODES = ['tar', 'files'];
+const COMPRESSIONS = ['gzip', 'brotli', 'none'];
+const COMPRESSION_EXTENSIONS = { gzip: '.gz', brotli: '.br', none: '' };
+
+const BLOCK_SIZE = 512;
+const MAX_USTAR_SIZE = 0o77777777777;
+
+// First entry of an archive: the names of the entries after it, so readers know them without a full pass
+const ARCHIVE_INDEX = '.archive-index.json';
+
+// Brotli's default quality (11) is too slow for large exports
+const BROTLI_OPTIONS = { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 } };
+
+function createCompressor(compression) {
+  if (compression === 'gzip') return zlib.createGzip();
+  if (compression === 'brotli') return zlib.createBrotliCompress(BROTLI_OPTIONS);
+  return null;
+}
+
+function createDecompressor(compression) {
+  if (compression === 'gzip') return zlib.createGunzip();
+  if (compression === 'brotli') return zlib.createBrotliDecompress();
+  return null;
+}
+
+function getArchivePath(outDir, compression) {
+  return `${outDir.replace(/[\\/]+$/, '')}.tar${COMPRESSION_EXTENSIONS[compression]}`;
+}
+
+function writeString(buffer, value, offset, length) {
+  buffer.write(value, offset, Math.min(Buffer.byteLength(value), length), 'utf-8');
+}
+
+function writeOctal(buffer, value, offset, length) {
+  writeString(buffer, value.toString(8).padStart(length - 1, '0'), offset, length - 1);
+}
+
+// PAX record: "<length> <key>=<value>\n", the length counting itself
+function paxRecord(key, value) {
+  const body = ` ${key}=${value}\n`;
+  let length = Buffer.byteLength(body) + 1;
+  while (String(length).length + Buffer.byteLength(body) > length) length++;
+  return `${length}${body}`;
+}
+
+function createHeader(name, size, type, mtime) {
+  const header = Buffer.alloc(BLOCK_SIZE);
+  writeString(header, name, 0, 100);
+  writeOctal(header, 0o644, 100, 8);
+  writeOctal(header, 0, 108, 8);
+  writeOctal(header, 0, 116, 8);
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, Math.floor(mtime / 1000), 136, 12);
+  header.fill(' ', 148, 156);
+  writeString(header, type, 156, 1);
+  writeString(header, 'ustar\u000000', 257, 8);
+
+  let checksum = 0;
+  for (const byte of header) checksum += byte;
+  writeString(header, `${checksum.toString(8).padStart(6, '0')}\u0000 `, 148, 8);
+  return header;
+}
+
+function padding(size) {
+  return Buffer.alloc((BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE);
+}
+
+// Tar stream of files given as { name, filePath } or { name, content } (a Buffer)
+async function* generateTar(files) {
+  for (const file of files) {
+    const stats = file.content ? { size: file.content.length, mtimeMs: Date.now() } : fs.statSync(file.filePath);
+    const records = [];
+    if (Buffer.byteLength(file.name) > 100) records.push(paxRecord('path', file.name));
+    if (stats.size > MAX_USTAR_SIZE) records.push(paxRecord('size', stats.size));
+
+    if (records.length > 0) {
+      const pax = Buffer.from(records.join(''));
+      yield createHeader('PaxHeader', pax.length, 'x', stats.mtimeMs);
+      yield pax;
+      yield padding(pax.length);
+    }
+
+    yield createHeader(file.name.slice(0, 100), Math.min(stats.size, MAX_USTAR_SIZE), '0', stats.mtimeMs);
+    if (file.content) yield file.content;
+    else yield* fs.createReadStream(file.filePath);
+    yield padding(stats.size);
+  }
+  yield Buffer.alloc(BLOCK_SIZE * 2);
+}
+
+// Every file below a directory, relative paths with '/' separators, in sorted order
+function listFiles(dir, prefix = '') {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap(entry => {
+      const name = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) return listFiles(path.join(dir, entry.name), name);
+      return [{ name, filePath: path.join(dir, entry.name) }];
+    });
+}
+
+// Files an import reads before any data: the manifest and other top-level files, and the schema files
+function isMetadataFile(name) {
+  return !name.includes('/') || name.startsWith('schema/');
+}
+
+// Pack an export directory into one tar file. The index and metadata files go first so imports can read
+// them early, then the files listed in `dataOrder` (the import reads data files in collection order), then the rest.
+async function packDirectory(dir, archivePath, compression, dataOrder = []) {
+  const rank = name => {
+    if (isMetadataFile(name)) return -1;
+    const index = dataOrder.indexOf(name);
+    return index === -1 ? dataOrder.length : index;
+  };
+  const files = listFiles(dir).sort((a, b) => rank(a.name) - rank(b.name));
+  const index = { name: ARCHIVE_INDEX, content: Buffer.from(JSON.stringify({ entries: files.map(file => file.name) })) };
+  const stages = [Readable.from(generateTar([index].concat(files))), createCompressor(compression), fs.createWriteStream(archivePath)];
+  await pipeline(...stages.filter(Boolean));
+  return files.map(file => file.name);
+}
+
+// Compress files in place: users.json -> users.json.gz
+async function compressFiles(filePaths, compression) {
+  const compressed = [];
+  for (const filePath of filePaths) {
+    const target = filePath + COMPRESSION_EXTENSIONS[compression];
+    await pipeline(fs.createReadStream(filePath), createCompressor(compression), fs.createWriteStream(target));
+    fs.unlinkSync(filePath);
+    compressed.push(target);
+  }
+  return compressed;
+}
+
+// Reads exactly the requested number of bytes from an async iterable of Buffers
+function createByteReader(iterable) {
+  const iterator = iterable[Symbol.asyncIterator]();
+  let buffered = Buffer.alloc(0);
+  let ended = false;
+
+  async function fill(length) {
+    while (buffered.length < length && !ended) {
+      const { value, done } = await iterator.next();
+      if (done) ended = true;
+      else buffered = buffered.length === 0 ? value : Buffer.concat([buffered, value]);
+    }
+  }
+
+  return {
+    async read(length) {
+      await fill(length);
+      const chunk = buffered.subarray(0, length);
+      buffered = buffered.subarray(chunk.length);
+      return chunk;
+    },
+    // Up to `length` bytes, as soon as any are available
+    async readSome(length) {
+      await fill(1);
+      const chunk = buffered.subarray(0, Math.min(length, buffered.length));
+      buffered = buffered.subarray(chunk.length);
+      return chunk;
+    }
+  };
+}
+
+function readString(buffer, offset, length) {
+  const value = buffer.toString('utf-8', offset, offset + length);
+  const end = value.indexOf('\u0000');
+  return end === -1 ? value : value.slice(0, end);
+}
+
+async function readBody(body) {
+  const chunks = [];
+  for await (const chunk of body) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+// Record lengths are in bytes, so records are cut from the buffer before decoding
+function parsePax(buffer) {
+  const values = {};
+  let offset = 0;
+  while (offset < buffer.length) {
+    const space = buffer.indexOf(' ', offset);
+    const length = parseInt(buffer.toString('utf-8', offset, space), 10);
+    if (!(length > 0)) break;
+    const record = buffer.toString('utf-8', space + 1, offset + length - 1);
+    const separator = record.indexOf('=');
+    values[record.slice(0, separator)] = record.slice(separator + 1);
+    offset += length;
+  }
+  return values;
+}
+
+// Entries of a tar stream as { name, size, body }; each body has to be read (or is skipped) before the next entry
+async function* readTarEntries(input) {
+  const reader = createByteReader(input);
+  let pax = {};
+
+  try {
+    while (true) {
+      const header = await reader.read(BLOCK_SIZE);
+      if (header.length < BLOCK_SIZE || header.every(byte => byte === 0)) return;
+
+      const type = readString(header, 156, 1) || '0';
+      const size = pax.size !== undefined ? Number(pax.size) : parseInt(readString(header, 124, 12).trim() || '0', 8);
+      const prefix = readString(header, 345, 155);
+      const name = pax.path || (prefix ? `${prefix}/${readString(header, 0, 100)}` : readString(header, 0, 100));
+      let remaining = size;
+
+      async function* body() {
+        while (remaining > 0) {
+          const chunk = await reader.readSome(Math.min(remaining, 64 * 1024));
+          if (chunk.length === 0) throw new Error(`Archive ends inside ${name}`);
+          remaining -= chunk.length;
+          yield chunk;
+        }
+      }
+
+      if (type === 'x') {
+        pax = parsePax(await readBody(body()));
+      } else {
+        pax = {};
+        if (type === '0' || type === '\u0000') {
+          yield { name, size, body: body() };
+        }
+      }
+
+      // Skip whatever the consumer did not read, then the padding
+      for await (const chunk of body()) { void chunk; }
+      await reader.read((BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE);
+    }
+  } finally {
+    if (typeof input.destroy === 'function') input.destroy();
+  }
+}
+
+// gzip and plain tar are recognized by their magic bytes; anything else is taken for brotli
+function detectArchiveCompression(archivePath) {
+  const handle = fs.openSync(archivePath, 'r');
+  const header = Buffer.alloc(BLOCK_SIZE);
+  try {
+    fs.readSync(handle, header, 0, BLOCK_SIZE, 0);
+  } finally {
+    fs.closeSync(handle);
+  }
+  if (header[0] === 0x1f && header[1] === 0x8b) return 'gzip';
+  if (header.toString('latin1', 257, 262) === 'ustar') return 'none';
+  return 'brotli';
+}
+
+// Decompressed file contents; destroying the returned stream also closes the file
+function openFileStream(filePath, compression) {
+  const input = fs.createReadStream(filePath);
+  const decompressor = createDecompressor(compression);
+  return decompressor ? pipeStreams(input, decompressor, () => {}) : input;
+}
+
+// Export files read from a tar archive. Opening reads the index and the metadata files at the start of
+// the archive and stops there; data files are then streamed from that same pass when they are read in
+// archive order. Files read at the same time (concurrent imports) each get a pass of their own.
+// Archives without an index are read through once on opening, to list their entries.
+async function openArchiveSource(archivePath) {
+  const compression = detectArchiveCompression(archivePath);
+  const names = [];
+  const cached = new Map();
+  const passes = new Set();
+  const idle = [];
+
+  function openPass() {
+    const pass = { entries: readTarEntries(openFileStream(archivePath, compression)), position: 0 };
+    passes.add(pass);
+    return pass;
+  }
+
+  function closePass(pass) {
+    passes.delete(pass);
+    return pass.entries.return();
+  }
+
+  async function nextEntry(pass) {
+    const { value: entry, done } = await pass.entries.next();
+    if (done) {
+      passes.delete(pass);
+      return null;
+    }
+    pass.position++;
+    return entry;
+  }
+
+  const first = openPass();
+  try {
+    const index = await nextEntry(first);
+    if (index && index.name === ARCHIVE_INDEX) {
+      names.push(ARCHIVE_INDEX, ...JSON.parse((await readBody(index.body)).toString('utf-8')).entries);
+      while (first.position < names.length && isMetadataFile(names[first.position])) {
+        const entry = await nextEntry(first);
+        cached.set(entry.name, await readBody(entry.body));
+      }
+      idle.push(first);
+    } else {
+      for (let entry = index; entry; entry = await nextEntry(first)) {
+        names.push(entry.name);
+        if (isMetadataFile(entry.name)) {
+          cached.set(entry.name, await readBody(entry.body));
+        }
+      }
+    }
+  } catch (error) {
+    await closePass(first).catch(() => {});
+    throw new Error(`Cannot read archive ${archivePath} (${compression === 'brotli' ? 'not gzip or tar, tried brotli' : compression}): ${error.message}`);
+  }
+
+  // Body of an entry, from the idle pass closest before it or a new one. release(true) hands the
+  // pass on once the body has been read, release(false) closes it.
+  async function openEntry(name) {
+    const target = names.indexOf(name);
+    let pass = idle.filter(candidate => candidate.position <= target)
+      .sort((a, b) => b.position - a.position)[0];
+    if (pass) {
+      idle.splice(idle.indexOf(pass), 1);
+    } else {
+      // Idle passes are all beyond this entry
+      await Promise.all(idle.splice(0).map(closePass));
+      pass = openPass();
+    }
+
+    while (true) {
+      const entry = await nextEntry(pass);
+      if (!entry) {
+        throw new Error(`${name} not found in ${archivePath}`);
+      }
+      if (entry.name === name) {
+        return {
+          body: entry.body,
+          release: read => {
+            if (read) idle.push(pass);
+            else closePass(pass).catch(() => {});
+          }
+        };
+      }
+    }
+  }
+
+  return {
+    description: `${archivePath} (tar${compression !== 'none' ? `, ${compression}` : ''})`,
+    exists: name => name !== ARCHIVE_INDEX && names.includes(name),
+    async readFile(name) {
+      if (cached.has(name)) return cached.get(name).toString('utf-8');
+      const entry = await openEntry(name);
+      let read = false;
+      try {
+        const body = await readBody(entry.body);
+        read = true;
+        return body.toString('utf-8');
+      } finally {
+        entry.release(read);
+      }
+    },
+    createReadStream: name => Readable.from((async function* () {
+      if (cached.has(name)) {
+        yield cached.get(name);
+        return;
+      }
+      const entry = await openEntry(name);
+      let read = false;
+      try {
+        yield* entry.body;
+        read = true;
+      } finally {
+        entry.release(read);
+      }
+    })(), { objectMode: false }),
+    async close() {
+      await Promise.all([...passes].map(closePass));
+    }
+  };
+}
+
+// Export files read from a directory, each one optionally compressed (users.json.gz, users.json.br)
+function openDirectorySource(dir) {
+  function resolve(name) {
+    for (const compression of ['none', 'gzip', 'brotli']) {
+      const filePath = path.join(dir, name) + COMPRESSION_EXTENSIONS[compression];
+      if (fs.existsSync(filePath)) return { filePath, compression };
+    }
+    return null;
+  }
+
+  function open(name) {
+    const file = resolve(name);
+    if (!file) throw new Error(`${name} not found in ${dir}`);
+    return openFileStream(file.filePath, file.compression);
+  }
+
+  return {
+    description: dir,
+    exists: name => resolve(name) !== null,
+    readFile: async name => (await readBody(open(name))).toString('utf-8'),
+    createReadStream: open,
+    close: async () => {}
+  };
+}
+
+// Open an export given as a directory or as an archive file
+async function openExportSource(location) {
+  if (fs.existsSync(location) && fs.statSync(location).isFile()) {
+    return openArchiveSource(location);
+  }
+  return openDirectorySource(location);
+}
+
+module.exports = {
+  ARCHIVE_MODES,
+  COMPRESSIONS,
+  getArchivePath,
+  packDirectory,
+  compressFiles,
+  readTarEntries,
+  openExportSource
+};
@@ -0,0 +1,136 @@
+// Command line argument parser shared by export.js and import.js
+//
+// Arguments are declared as a spec keyed by flag name:
+//   {
+//     'batch-size': { type: 'number', option: 'batchSize', description: '...' },
+//     'indexes': { type: 'boolean', option: 'recreateIndexes', description: '...' }
+//   }
+//
+// Types:
+//   boolean   --flag sets true, --no-flag sets false
+//   string    --flag=value
+//   number    --flag=123
+//   list      --flag=a,b,c (comma separated)
+//   multi     --flag=value, may be repeated; values are collected in an array
+// A spec entry may also restrict values with `choices`.
+
+function camelCase(name) {
+  return name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+function parseValue(name, definition, rawValue) {
+  switch (definition.type) {
+    case 'number': {
+      const value = Number(rawValue);
+      if (rawValue === '' || isNaN(value)) {
+        throw new Error(`--${name} expects a number, got '${rawValue}'`);
+      }
+      return value;
+    }
+    case 'list':
+      return rawValue.split(',').map(item => item.trim()).filter(item => item.length > 0);
+    default:
+      return rawValue;
+  }
+}
+
+function checkChoices(name, definition, value) {
+  if (!definition.choices) return;
+  const values = Array.isArray(value) ? value : [value];
+  values.forEach(item => {
+    if (!definition.choices.includes(item)) {
+      throw new Error(`Invalid --${name} '${item}', expected one of: ${definition.choices.join(', ')}`);
+    }
+  });
+}
+
+// Parse argv against a spec, assigning values onto `options` (by `option` name or camelCase flag name)
+function parseArgs(argv, spec, options = {}) {
+  argv.forEach(arg => {
+    if (!arg.startsWith('--')) {
+      throw new Error(`Unexpected argument '${arg}'`);
+    }
+
+    const separator = arg.indexOf('=');
+    let name = separator === -1 ? arg.slice(2) : arg.slice(2, separator);
+    const rawValue = separator === -1 ? undefined : arg.slice(separator + 1);
+    let negated = false;
+
+    if (!spec[name] && name.startsWith('no-') && spec[name.slice(3)] && spec[name.slice(3)].type === 'boolean') {
+      name = name.slice(3);
+      negated = true;
+    }
+
+    const definition = spec[name];
+    if (!definition) {
+      throw new Error(`Unknown option '--${name}'`);
+    }
+
+    const key = definition.option || camelCase(name);
+
+    if (definition.type === 'boolean') {
+      if (rawValue !== undefined) {
+        throw new Error(`--${name} does not take a value`);
+      }
+      options[key] = !negated;
+      return;
+    }
+
+    if (rawValue === undefined) {
+      throw new Error(`--${name} expects a value (--${name}=...)`);
+    }
+
+    const value = parseValue(name, definition, rawValue);
+    checkChoices(name, definition, value);
+
+    if (definition.type === 'multi') {
+      options[key] = (Array.isArray(options[key]) ? options[key] : []).concat(value);
+    } else {
+      options[key] = value;
+    }
+
+    if (definition.implies) {
+      Object.assign(options, definition.implies);
+    }
+  });
+
+  return options;
+}
+
+// Usage text generated from a spec
+function formatUsage(command, spec) {
+  const lines = [`Usage: ${command} [options]`, '', 'Options:'];
+  Object.keys(spec).forEach(name => {
+    const definition = spec[name];
+    let flag = `--${name}`;
+    if (definition.type === 'boolean' && definition.negatable) flag = `--[no-]${name}`;
+    else if (definition.type !== 'boolean') flag += `=<${definition.placeholder || definition.type}>`;
+    lines.push(`  ${flag.padEnd(34)} ${definition.description || ''}`);
+  });
+  lines.push(`  ${'--help'.padEnd(34)} Show this help`);
+  return lines.join('\n');
+}
+
+// Parse process arguments for a CLI, printing usage on --help and exiting on errors
+function parseCommandLine(command, spec, options) {
+  const argv = process.argv.slice(2);
+
+  if (argv.includes('--help')) {
+    console.log(formatUsage(command, spec));
+    process.exit(0);
+  }
+
+  try {
+    return parseArgs(argv, spec, options);
+  } catch (error) {
+    console.error(`❌ ${error.message}\n`);
+    console.error(formatUsage(command, spec));
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  parseArgs,
+  parseCommandLine,
+  formatUsage
+};
@@ -0,0 +1,89 @@
+// Import checkpoints: the collections and batches an import has committed, so that an
+// interrupted import can continue with --resume instead of starting over
+//
+// The file is first written when a batch is committed, then rewritten (through a temporary file
+// and a rename) after every one. It is removed once the import has finished, or when the imported
+// data fails verification (resuming would not fix it).
+const fs = require("fs");
+
+const CHECKPOINT_VERSION = 1;
+
+// db + shop -> db.shop.checkpoint.json, next to the export directory or archive
+function getCheckpointPath(inDir, dbName) {
+  return `${inDir.replace(/[\\/]+$/, '')}.${dbName}.checkpoint.json`;
+}
+
+function readCheckpoint(filePath, identity) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`No checkpoint found at ${filePath}, nothing to resume`);
+  }
+  const state = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  Object.keys(identity).forEach(key => {
+    if (state[key] !== identity[key]) {
+      throw new Error(`Checkpoint ${filePath} belongs to another import (${key}: ${state[key]}, expected ${identity[key]})`);
+    }
+  });
+  return state;
+}
+
+// Start a new checkpoint, or continue the one of an interrupted import when `resume` is set.
+// `identity` ({ database, exportDate }) must match for a checkpoint to be resumed.
+function openCheckpoint(filePath, identity, resume) {
+  const state = resume ? readCheckpoint(filePath, identity) : {
+    checkpointVersion: CHECKPOINT_VERSION,
+    ...identity,
+    startedAt: new Date().toISOString(),
+    collections: {}
+  };
+
+  // Nothing is written before the first committed batch: an import that fails early leaves no file
+  let persisted = resume;
+
+  function save() {
+    state.updatedAt = new Date().toISOString();
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(state, null, 2));
+    fs.renameSync(tempPath, filePath);
+    persisted = true;
+  }
+
+  return {
+    filePath,
+
+    // Result of a collection the checkpointed import completed, or null
+    completed(name) {
+      const entry = state.collections[name];
+      return entry && entry.status === 'done' ? entry.result : null;
+    },
+
+    // Progress of one collection for importCollectionData: documents to skip, counts so far
+    // and commit(), called with the number of documents read once a batch has been written
+    collection(name) {
+      const entry = state.collections[name];
+      return {
+        offset: entry ? entry.offset : 0,
+        counts: entry ? entry.counts : null,
+        resumed: Boolean(entry),
+        commit(offset, counts) {
+          state.collections[name] = { status: 'in-progress', offset, counts };
+          save();
+        }
+      };
+    },
+
+    complete(name, result) {
+      const { validationErrors, ...summary } = result;
+      state.collections[name] = { status: 'done', result: summary };
+      if (persisted) save();
+    },
+
+    remove() {
+      fs.rmSync(filePath, { force: true });
+    }
+  };
+}
+
+module.exports = {
+  getCheckpointPath,
+  openCheckpoint
+};
@@ -0,0 +1,102 @@
+// Collection-level metadata from listCollections: validators, capped, time-series,
+// clustered collections, default collation and view definitions
+const { toShellLiteral } = require("./indexes");
+
+// Options reported by listCollections that createCollection does not accept back
+function getCreateCollectionOptions(options = {}) {
+  const createOptions = { ...options };
+
+  if (createOptions.timeseries) {
+    const timeseries = { ...createOptions.timeseries };
+    // Custom bucketing parameters cannot be combined with granularity
+    if (timeseries.granularity) {
+      delete timeseries.bucketMaxSpanSeconds;
+      delete timeseries.bucketRoundingSeconds;
+    }
+    createOptions.timeseries = timeseries;
+  }
+
+  if (createOptions.clusteredIndex && typeof createOptions.clusteredIndex === 'object') {
+    const { v, ...clusteredIndex } = createOptions.clusteredIndex;
+    createOptions.clusteredIndex = clusteredIndex;
+  } else {
+    // Time-series collections report clusteredIndex: true, which is implied by timeseries
+    delete createOptions.clusteredIndex;
+  }
+
+  return createOptions;
+}
+
+function isSystemCollection(name) {
+  return name.startsWith('system.');
+}
+
+// Order views so every view comes after the view it is defined on
+function orderViews(views) {
+  const ordered = [];
+  const pending = Object.keys(views);
+
+  while (pending.length > 0) {
+    const index = pending.findIndex(name => !pending.includes(views[name].viewOn) || views[name].viewOn === name);
+    // A cycle cannot be resolved, keep the remaining order
+    const next = index === -1 ? 0 : index;
+    ordered.push(pending[next]);
+    pending.splice(next, 1);
+  }
+
+  return ordered;
+}
+
+// A view pipeline with the collections its stages read from ($lookup, $graphLookup and
+// $unionWith, including those nested in sub-pipelines and $facet) under their target names
+function renamePipelineTargets(pipeline, targetName) {
+  return pipeline.map(stage => {
+    const [operator, spec] = Object.entries(stage)[0] || [];
+    switch (operator) {
+      case '$lookup':
+        return { $lookup: {
+          ...spec,
+          ...(spec.from !== undefined && { from: targetName(spec.from) }),
+          ...(spec.pipeline && { pipeline: renamePipelineTargets(spec.pipeline, targetName) })
+        } };
+      case '$graphLookup':
+        return { $graphLookup: { ...spec, from: targetName(spec.from) } };
+      case '$unionWith':
+        if (typeof spec === 'string') return { $unionWith: targetName(spec) };
+        return { $unionWith: {
+          ...spec,
+          ...(spec.coll !== undefined && { coll: targetName(spec.coll) }),
+          ...(spec.pipeline && { pipeline: renamePipelineTargets(spec.pipeline, targetName) })
+        } };
+      case '$facet':
+        return { $facet: Object.fromEntries(Object.entries(spec)
+          .map(([facet, facetPipeline]) => [facet, renamePipelineTargets(facetPipeline, targetName)])) };
+      default:
+        return stage;
+    }
+  });
+}
+
+// Shell statement recreating a collection with its options
+function generateCreateCollectionCommand(collectionName, options) {
+  const createOptions = getCreateCollectionOptions(options);
+  if (Object.keys(createOptions).length === 0) {
+    return `db.createCollection(${JSON.stringify(collectionName)});\n`;
+  }
+  return `db.createCollection(${JSON.stringify(collectionName)}, ${toShellLiteral(createOptions)});\n`;
+}
+
+// Shell statement recreating a view
+function generateCreateViewCommand(viewName, view) {
+  const options = view.collation ? `, ${toShellLiteral({ collation: view.collation })}` : '';
+  return `db.createView(${JSON.stringify(viewName)}, ${JSON.stringify(view.viewOn)}, ${toShellLiteral(view.pipeline || [])}${options});\n`;
+}
+
+module.exports = {
+  getCreateCollectionOptions,
+  isSystemCollection,
+  orderViews,
+  renamePipelineTargets,
+  generateCreateCollectionCommand,
+  generateCreateViewCommand
+};
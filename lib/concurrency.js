@@ -0,0 +1,86 @@
+// Running collections side by side and overlapping reads with writes, for --concurrency
+
+// Call `worker` for every item with at most `limit` calls in progress. Once one fails no new
+// items are started; the calls in progress are waited for and the first error is thrown.
+async function runConcurrently(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failure = null;
+
+  async function run() {
+    while (next < items.length && !failure) {
+      const index = next++;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (error) {
+        failure = failure || error;
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+  if (failure) throw failure;
+  return results;
+}
+
+// Iterate `iterable` while reading up to `limit` items ahead of the consumer, so the next
+// documents are fetched while the current ones are being written
+async function* readAhead(iterable, limit) {
+  const iterator = iterable[Symbol.asyncIterator]();
+  const buffer = [];
+  let pending = null;
+  let done = false;
+  let failure = null;
+
+  function pull() {
+    pending = iterator.next().then(item => {
+      pending = null;
+      if (item.done) {
+        done = true;
+        return;
+      }
+      buffer.push(item.value);
+      if (buffer.length < limit) pull();
+    }, error => {
+      pending = null;
+      failure = error;
+      done = true;
+    });
+  }
+
+  pull();
+  try {
+    while (true) {
+      if (buffer.length === 0) {
+        if (failure) throw failure;
+        if (done) return;
+        await pending;
+        continue;
+      }
+      const value = buffer.shift();
+      if (!pending && !done) pull();
+      yield value;
+    }
+  } finally {
+    // Stopped early: let the read in progress finish, then close the source
+    if (!done) {
+      await pending;
+      if (iterator.return) await iterator.return();
+    }
+  }
+}
+
+// Entries of `map` in the order of `names`, whichever collection finished first
+function inCollectionOrder(map, names) {
+  const ordered = {};
+  names.filter(name => map[name]).forEach(name => {
+    ordered[name] = map[name];
+  });
+  return ordered;
+}
+
+module.exports = {
+  runConcurrently,
+  readAhead,
+  inCollectionOrder
+};
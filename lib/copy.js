@@ -0,0 +1,229 @@
+// Direct copy from one database to another: collections with their options, documents,
+// indexes and views are read from the source client and written through the importer's
+// collection creation, batching, validation and index creation, with no files in between
+const { MongoClient } = require("mongodb");
+const { analyzeCollectionSchema } = require("./export");
+const {
+  IMPORT_MODES,
+  importCollectionData,
+  ensureCollection,
+  createIndexes,
+  createViews
+} = require("./import");
+const { isSystemCollection, renamePipelineTargets } = require("./collections");
+const { createReporter, createBufferedReporter } = require("./events");
+const { runConcurrently, inCollectionOrder } = require("./concurrency");
+
+// Default options for copyDatabase()
+const DEFAULT_COPY_OPTIONS = {
+  uri: undefined,                // Source connection string (or pass a connected `client`)
+  client: undefined,             // Existing MongoClient for the source, left open afterwards
+  dbName: undefined,             // Source database
+  events: undefined,             // EventEmitter receiving 'log' and progress events
+  targetUri: undefined,          // Target connection string (or pass a connected `targetClient`)
+  targetClient: undefined,       // Existing MongoClient for the target, left open afterwards
+  targetDbName: null,            // Target database (null = same name as the source)
+  collections: null,             // Array of collection and view names to copy (null = all)
+  exclude: [],                   // Collection and view names to skip
+  rename: {},                    // Target names by source collection or view name
+  recreateDatabase: false,       // Drop the target database before copying
+  clearCollections: true,        // Clear target collections before copying into them
+  recreateIndexes: true,         // Create the source's indexes on the target
+  validateData: true,            // Validate documents against the analyzed schema
+  schemaStrategy: 'full',        // Schema analysis for validation: 'full', 'sample' or 'percent'
+  schemaSampleSize: 100,         // Documents analyzed by the 'sample' strategy
+  schemaSamplePercent: 10,       // Percentage of documents analyzed by the 'percent' strategy
+  batchSize: 1000,               // Documents written per batch
+  bypassDocumentValidation: false, // Skip collection validators (JSON Schema) while inserting
+  mode: 'replace',               // Copy mode: 'replace', 'upsert', 'merge' or 'insert-only'
+  keyFields: ['_id'],            // Fields identifying existing documents in non-replace modes
+  concurrency: 1                 // Collections copied at the same time
+};
+
+function validateCopyOptions(options) {
+  if (!options.client && !options.uri) {
+    throw new Error('No MongoDB connection: pass uri or client');
+  }
+  if (!options.dbName) {
+    throw new Error('No database selected: pass dbName');
+  }
+  if (!options.targetClient && !options.targetUri) {
+    throw new Error('No copy target: pass targetUri or targetClient');
+  }
+  const sameServer = options.targetClient ? options.targetClient === options.client : options.targetUri === options.uri;
+  if (sameServer && (options.targetDbName || options.dbName) === options.dbName) {
+    throw new Error(`Source and target are the same database (${options.dbName}): pass another targetDbName`);
+  }
+  if (!IMPORT_MODES.includes(options.mode)) {
+    throw new Error(`Invalid mode '${options.mode}', expected one of: ${IMPORT_MODES.join(', ')}`);
+  }
+  if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+    throw new Error(`Invalid concurrency '${options.concurrency}', expected a positive integer`);
+  }
+}
+
+// Copy a database to another server or database and return what was written
+async function copyDatabase(userOptions = {}) {
+  const options = { ...DEFAULT_COPY_OPTIONS, ...userOptions };
+  validateCopyOptions(options);
+  options.targetDbName = options.targetDbName || options.dbName;
+
+  // Non-destructive modes never drop the database or clear collections
+  if (options.mode !== 'replace') {
+    options.recreateDatabase = false;
+    options.clearCollections = false;
+  }
+  // Documents come with their exact BSON types, there is nothing to cast
+  const writeOptions = { ...options, typeCasting: false };
+
+  const reporter = createReporter(options.events);
+  const client = options.client || new MongoClient(options.uri);
+  const targetClient = options.targetClient || new MongoClient(options.targetUri);
+  const targetName = name => options.rename[name] || name;
+  const startTime = Date.now();
+
+  try {
+    if (!options.client) {
+      await client.connect();
+    }
+    if (!options.targetClient) {
+      await targetClient.connect();
+    }
+    reporter.info("Connected to MongoDB");
+
+    const db = client.db(options.dbName);
+    const targetDb = targetClient.db(options.targetDbName);
+    const buildInfo = await targetDb.admin().command({ buildInfo: 1 }).catch(() => ({}));
+    const serverVersion = buildInfo.version;
+
+    const collectionInfos = (await db.listCollections().toArray()).filter(info => {
+      if (options.collections && !options.collections.includes(info.name)) return false;
+      return !options.exclude.includes(info.name);
+    });
+    const collections = collectionInfos.filter(info => info.type !== 'view' && !isSystemCollection(info.name));
+    const views = collectionInfos.filter(info => info.type === 'view');
+
+    if (options.collections) {
+      options.collections
+        .filter(name => !collectionInfos.some(info => info.name === name))
+        .forEach(name => reporter.warn(`⚠️  Collection '${name}' not found in ${options.dbName}, skipping...`));
+    }
+    Object.keys(options.rename)
+      .filter(name => !collectionInfos.some(info => info.name === name))
+      .forEach(name => reporter.warn(`⚠️  Renamed collection '${name}' is not being copied`));
+
+    if (options.recreateDatabase) {
+      reporter.info(`Dropping existing database: ${options.targetDbName}`);
+      await targetDb.dropDatabase();
+    }
+
+    reporter.info(`\n Copying ${collections.length} collections and ${views.length} views ` +
+      `from ${options.dbName} to ${options.targetDbName}...\n`);
+
+    const totals = { collections: 0, imported: 0, inserted: 0, updated: 0, skipped: 0, failed: 0 };
+    const failedIndexes = [];
+    let totalIndexesCreated = 0;
+    let collectionResults = {};
+
+    async function copyCollection(info, reporter) {
+      const name = info.name;
+      const target = targetName(name);
+      const source = db.collection(name);
+
+      reporter.emit('collection:start', { collection: name, target });
+      reporter.info(`\n Copying collection: ${name}${target !== name ? ` → ${target}` : ''}`);
+
+      // The schema the documents are validated against, analyzed like an export would
+      const indexes = await source.indexes();
+      const { fields } = options.validateData
+        ? await analyzeCollectionSchema(source, { query: {}, projection: null, limit: null }, options)
+        : { fields: {} };
+      const collectionSchema = {
+        name: target,
+        type: info.type,
+        options: info.options || {},
+        fields,
+        indexes,
+        stats: { documentCount: await source.estimatedDocumentCount() }
+      };
+
+      const collection = await ensureCollection(targetDb, target, collectionSchema, reporter);
+      const documents = source.find({}, { promoteValues: false, promoteLongs: false });
+      const result = await importCollectionData(collection, documents, collectionSchema, target, writeOptions, reporter);
+
+      if (options.recreateIndexes && indexes.length > 0) {
+        const indexReport = await createIndexes(collection, indexes, target, serverVersion, reporter);
+        totalIndexesCreated += indexReport.created;
+        failedIndexes.push(...indexReport.failed);
+      }
+
+      collectionResults[name] = { target, ...result };
+      totals.collections++;
+      totals.imported += result.imported;
+      ['inserted', 'updated', 'skipped', 'failed'].forEach(key => { totals[key] += result[key] || 0; });
+      reporter.info(`  ✅ Collection ${name} copied: ${result.imported} documents`);
+      reporter.emit('collection:done', { collection: name, target, ...result });
+    }
+
+    // Up to `concurrency` collections at a time, each with its log output kept together
+    await runConcurrently(collections, options.concurrency, async info => {
+      const collectionReporter = options.concurrency > 1 ? createBufferedReporter(reporter) : reporter;
+      try {
+        await copyCollection(info, collectionReporter);
+      } finally {
+        if (collectionReporter !== reporter) collectionReporter.flush();
+      }
+    });
+    collectionResults = inCollectionOrder(collectionResults, collections.map(info => info.name));
+
+    // Views under their target names, on (and looking up) the target names of their collections
+    let viewReport = { created: 0, failed: [] };
+    if (views.length > 0) {
+      const viewDefinitions = {};
+      views.forEach(view => {
+        viewDefinitions[targetName(view.name)] = {
+          viewOn: targetName(view.options.viewOn),
+          pipeline: renamePipelineTargets(view.options.pipeline || [], targetName),
+          collation: view.options.collation
+        };
+      });
+      reporter.info(`\n Creating ${views.length} views...`);
+      viewReport = await createViews(targetDb, viewDefinitions, Object.keys(viewDefinitions), reporter);
+    }
+
+    reporter.info(`\n🎉 Copy completed successfully!`);
+    reporter.info(` Summary:`);
+    reporter.info(`   Collections copied: ${totals.collections}`);
+    reporter.info(`   Documents written: ${totals.imported}`);
+    if (options.mode !== 'replace') {
+      reporter.info(`   ${totals.inserted} inserted, ${totals.updated} updated, ${totals.skipped} skipped, ${totals.failed} failed`);
+    }
+    reporter.info(`   Indexes created: ${totalIndexesCreated}${failedIndexes.length > 0 ? `, ${failedIndexes.length} not recreated` : ''}`);
+    reporter.info(`   Views created: ${viewReport.created}`);
+    reporter.info(`   Duration: ${((Date.now() - startTime) / 1000).toFixed(1)}s` +
+      `${options.concurrency > 1 ? ` (${options.concurrency} at a time)` : ''}`);
+
+    const result = {
+      database: options.dbName,
+      targetDatabase: options.targetDbName,
+      collections: collectionResults,
+      totals,
+      indexes: { created: totalIndexesCreated, failed: failedIndexes },
+      views: viewReport
+    };
+    reporter.emit('done', result);
+    return result;
+  } finally {
+    if (!options.client) {
+      await client.close();
+    }
+    if (!options.targetClient) {
+      await targetClient.close();
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_COPY_OPTIONS,
+  copyDatabase
+};
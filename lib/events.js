@@ -0,0 +1,56 @@
+// Progress reporting for the library functions: everything is emitted on an optional
+// EventEmitter passed as `options.events`, the CLIs print the 'log' events to the console
+
+function createReporter(events) {
+  const emit = (name, payload) => {
+    if (events) events.emit(name, payload);
+  };
+
+  return {
+    emit,
+    info: message => emit('log', { level: 'info', message }),
+    warn: message => emit('log', { level: 'warn', message }),
+    error: message => emit('log', { level: 'error', message })
+  };
+}
+
+// Reporter for one of several collections processed at once: its log messages are held back
+// and written as one block by flush(), so concurrent collections do not interleave their output.
+// Other events go out immediately.
+function createBufferedReporter(reporter) {
+  const messages = [];
+  return {
+    emit: reporter.emit,
+    info: message => messages.push({ level: 'info', message }),
+    warn: message => messages.push({ level: 'warn', message }),
+    error: message => messages.push({ level: 'error', message }),
+    flush: () => messages.splice(0).forEach(({ level, message }) => reporter[level](message))
+  };
+}
+
+// Events for an export or import run as one step of a larger operation: everything but its
+// 'start' and 'done' goes to `reporter`, the caller emits its own at either end
+function forwardEvents(reporter) {
+  return {
+    emit: (name, payload) => {
+      if (name !== 'start' && name !== 'done') reporter.emit(name, payload);
+    }
+  };
+}
+
+// Print 'log' events the way the scripts always have
+function logToConsole(events) {
+  events.on('log', ({ level, message }) => {
+    if (level === 'error') console.error(message);
+    else if (level === 'warn') console.warn(message);
+    else console.log(message);
+  });
+  return events;
+}
+
+module.exports = {
+  createReporter,
+  createBufferedReporter,
+  forwardEvents,
+  logToConsole
+};
@@ -0,0 +1,903 @@
+// MongoDB export: data files, schema analysis, SQL migration and mongosh recreation script
+const { MongoClient, BSON } = require("mongodb");
+const fs = require("fs");
+const path = require("path");
+const { SCHEMA_VERSION, createSchemaAnalyzer } = require("./schema");
+const { generateCreateIndexCommand } = require("./indexes");
+const {
+  isSystemCollection,
+  orderViews,
+  generateCreateCollectionCommand,
+  generateCreateViewCommand
+} = require("./collections");
+const {
+  SQL_DIALECTS,
+  generateCreateTableSQL,
+  getInsertRows,
+  getTableColumns,
+  getUnknownFields,
+  widenFields,
+  generateMigrationHeader,
+  generateMigrationPreamble
+} = require("./sql");
+const {
+  buildTableLayout,
+  generateNormalizedCreateSQL,
+  getNormalizedRows,
+  getTableColumns: getNormalizedColumns,
+  getUnknownFields: getNormalizedUnknownFields
+} = require("./normalize");
+const { SQL_DATA_FORMATS, createSQLWriter } = require("./sql-writer");
+const { FLAT_FORMATS, DATE_FORMATS, createFlatWriter } = require("./flat");
+const { writeChunk, closeStream } = require("./streams");
+const { ARCHIVE_MODES, COMPRESSIONS, getArchivePath, packDirectory, compressFiles } = require("./archive");
+const { MANIFEST_FILE, createContentHasher, createManifest } = require("./manifest");
+const {
+  createWatermarkTracker,
+  serializeWatermark,
+  readManifest,
+  getPreviousWatermark,
+  getIncrementalQuery
+} = require("./incremental");
+const { loadMaskingRules, createMasking } = require("./masking");
+const { findReferences, selectSubset, findSelected, countSelected, sampleIds } = require("./subset");
+const { createReporter, createBufferedReporter } = require("./events");
+const { runConcurrently, readAhead, inCollectionOrder } = require("./concurrency");
+
+const { EJSON } = BSON;
+
+const SCHEMA_STRATEGIES = ['full', 'sample', 'percent'];
+const EXPORT_FORMATS = ['data', 'schema', 'sql', 'shell', 'csv', 'ndjson'];
+const DEFAULT_FORMATS = ['data', 'schema', 'sql', 'shell'];
+const SQL_DIALECT_NAMES = Object.keys(SQL_DIALECTS);
+const SQL_LAYOUTS = ['json', 'normalized'];
+
+// Emit a progress event every this many streamed documents
+const PROGRESS_INTERVAL = 1000;
+
+// Documents read ahead of the writers when collections are exported concurrently
+const READ_AHEAD = 1000;
+
+// Default options for exportDatabase()
+const DEFAULT_EXPORT_OPTIONS = {
+  uri: undefined,                // MongoDB connection string (or pass a connected `client`)
+  client: undefined,             // Existing MongoClient, left open after the export
+  dbName: undefined,             // Database to export
+  events: undefined,             // EventEmitter receiving 'log' and progress events
+  outDir: './db',                // Output directory
+  archive: null,                 // 'tar' (single archive next to outDir) or 'files' (each file compressed)
+  compression: 'gzip',           // Archive or file compression: 'gzip', 'brotli' or 'none'
+  manifest: true,                // Write manifest.json with document counts, checksums and content hashes
+  concurrency: 1,                // Collections exported at the same time
+  consistent: false,             // Read every collection at one cluster time (snapshot reads)
+  since: null,                   // Previous export (directory, archive or manifest.json): only export what changed since
+  incrementalField: '_id',       // Field compared with the previous export: '_id' or a timestamp field such as updatedAt
+  masking: null,                 // Masking rules file (or rules object) for personal data in every output
+  maskingSecret: undefined,      // Key of the masking hashes and fake values (keeps them stable between exports)
+  collections: null,             // Array of collection names to export (null = all)
+  exclude: [],                   // Collection names to skip
+  queries: {},                   // Filters by collection name, '*' for all collections
+  projections: {},               // Projections by collection name, '*' for all collections
+  limit: null,                   // Maximum documents per collection (null = all)
+  subset: null,                  // Subset export: { collection, query, limit, referencing } and every document it references
+  references: {},                // References followed by subsets (or a JSON file of them): { collection: { 'field.path': 'target' } }
+  inferReferences: true,         // Also follow objectId fields whose target collection is found by name or by probing
+  formats: DEFAULT_FORMATS,      // Outputs to write (EXPORT_FORMATS lists all of them)
+  ejsonMode: 'canonical',        // Extended JSON mode for data files: 'canonical' or 'relaxed'
+  dataLayout: 'array',           // Data file layout: 'array' (streamed JSON array) or 'ndjson'
+  sqlDialect: 'mysql',           // SQL migration dialect: 'mysql', 'postgres' or 'sqlite'
+  sqlLayout: 'json',             // SQL tables: 'json' (nested values in JSON columns) or 'normalized'
+  sqlData: 'inserts',            // SQL data: 'inserts' or 'csv' files loaded by LOAD DATA / \copy / .import
+  sqlBatchSize: 1,               // Rows per INSERT statement
+  sqlTransactions: false,        // Wrap the data of each SQL file in a transaction
+  sqlChunkRows: null,            // Split SQL data into numbered files of this many rows (null = one file)
+  sqlChunkSize: null,            // Split SQL data into numbered files of about this many MB (null = one file)
+  csvDelimiter: ',',             // Delimiter of the analyst CSV files
+  csvHeader: true,               // Write a header row in the analyst CSV files
+  csvExplode: [],                // Array fields written as one CSV row per element (others as JSON)
+  csvFields: null,               // Fields included in the analyst CSV files (null = all)
+  dateFormat: 'iso',             // Dates in CSV and NDJSON files: 'iso', 'sql', 'date' or 'epoch'
+  schemaStrategy: 'sample',      // Schema analysis: 'full', 'sample' (N random docs) or 'percent'
+  schemaSampleSize: 100,         // Documents analyzed by the 'sample' strategy
+  schemaSamplePercent: 10        // Percentage of documents analyzed by the 'percent' strategy
+};
+
+// Query filter, projection and limit applied to one collection
+function getCollectionFilter(name, options) {
+  const queries = options.queries || {};
+  const projections = options.projections || {};
+  return {
+    query: queries[name] || queries['*'] || {},
+    projection: projections[name] || projections['*'] || null,
+    limit: options.limit || null
+  };
+}
+
+// Documents of a collection filter. Subsets read their selected _id values in batches.
+function findDocuments(collection, filter, findOptions) {
+  if (filter.ids) return findSelected(collection, filter.ids, findOptions);
+  const cursor = collection.find(filter.query, findOptions);
+  if (filter.limit) {
+    cursor.limit(filter.limit);
+  }
+  return cursor;
+}
+
+function isFilteredExport(filter) {
+  return Object.keys(filter.query).length > 0 || filter.projection !== null || filter.limit !== null;
+}
+
+// CREATE TABLE statements and table rows for a collection in the configured SQL layout and dialect.
+// Column types are only narrowed to the statistics of a full analysis.
+function createSQLGenerator(name, analyzedFields, indexes, options) {
+  const dialect = options.sqlDialect;
+  const fields = options.schemaStrategy === 'full' ? analyzedFields : widenFields(analyzedFields);
+
+  if (options.sqlLayout === 'normalized') {
+    const layout = buildTableLayout(name, fields);
+    const columns = {};
+    layout.tables.forEach(table => {
+      columns[table.name] = getNormalizedColumns(table);
+    });
+    return {
+      tables: layout.tables.map(table => table.name),
+      columns,
+      createSQL: generateNormalizedCreateSQL(layout, dialect, indexes),
+      rows: doc => getNormalizedRows(layout, doc),
+      unknownFields: doc => getNormalizedUnknownFields(layout, doc)
+    };
+  }
+
+  // Top-level fields only: nested objects and arrays are written to JSON columns by the INSERTs
+  return {
+    tables: [name],
+    columns: { [name]: getTableColumns(fields) },
+    createSQL: generateCreateTableSQL(name, fields, dialect, indexes),
+    rows: doc => getInsertRows(name, doc, fields),
+    unknownFields: doc => getUnknownFields(fields, doc)
+  };
+}
+
+// Stream the selected documents of a collection into the data file and the SQL, CSV and NDJSON writers
+async function streamCollection(collection, name, filter, dataFilePath, writers, options, reporter) {
+  const relaxed = options.ejsonMode === 'relaxed';
+  const isArray = options.dataLayout === 'array';
+  const dataStream = dataFilePath ? fs.createWriteStream(dataFilePath) : null;
+  let documentCount = 0;
+
+  if (dataStream && isArray) {
+    await writeChunk(dataStream, '[\n');
+  }
+  for (const writer of writers) {
+    await writer.start();
+  }
+
+  // Read without promoting BSON numerics, so int32/double/long keep their exact types
+  const cursor = findDocuments(collection, filter, {
+    promoteValues: false,
+    promoteLongs: false,
+    projection: filter.projection || undefined,
+    session: options.session
+  });
+
+  // With concurrency, the next documents are fetched while the current ones are written
+  const documents = options.concurrency > 1 ? readAhead(cursor, READ_AHEAD) : cursor;
+  const maskedValues = options.mask ? {} : undefined;
+  for await (const raw of documents) {
+    // Masking replaces personal data before any output sees the document
+    const doc = options.mask ? options.mask(raw, maskedValues) : raw;
+    if (dataStream) {
+      const line = EJSON.stringify(doc, { relaxed });
+      if (isArray) {
+        await writeChunk(dataStream, (documentCount > 0 ? ',\n' : '') + line);
+      } else {
+        await writeChunk(dataStream, line + '\n');
+      }
+    }
+
+    for (const writer of writers) {
+      await writer.write(doc);
+    }
+
+    documentCount++;
+    if (documentCount % PROGRESS_INTERVAL === 0) {
+      reporter.emit('collection:progress', { collection: name, documents: documentCount });
+    }
+  }
+
+  if (dataStream) {
+    if (isArray) {
+      await writeChunk(dataStream, documentCount > 0 ? '\n]\n' : ']\n');
+    }
+    await closeStream(dataStream);
+  }
+  const outputs = [];
+  for (const writer of writers) {
+    outputs.push(await writer.finish());
+  }
+
+  return { documentCount, outputs, maskedValues };
+}
+
+// Analyze a collection's schema with the configured strategy, reading documents from a cursor
+async function analyzeCollectionSchema(collection, filter, options) {
+  const analyzer = createSchemaAnalyzer();
+  const readOptions = { promoteValues: false, promoteLongs: false, session: options.session };
+  const analysis = { strategy: options.schemaStrategy };
+  const hasQuery = Object.keys(filter.query).length > 0;
+  let cursor;
+
+  if (options.schemaStrategy === 'full') {
+    cursor = findDocuments(collection, filter, { ...readOptions, projection: filter.projection || undefined });
+  } else {
+    let size = options.schemaSampleSize;
+    if (options.schemaStrategy === 'percent') {
+      // The count command behind the estimate cannot read from a snapshot
+      const total = filter.ids ? filter.ids.length
+        : hasQuery || options.session
+          ? await collection.countDocuments(filter.query, { session: options.session })
+          : await collection.estimatedDocumentCount();
+      size = Math.max(1, Math.ceil(total * options.schemaSamplePercent / 100));
+      analysis.percent = options.schemaSamplePercent;
+    }
+    if (filter.limit) {
+      size = Math.min(size, filter.limit);
+    }
+    analysis.sampleSize = size;
+
+    if (filter.ids) {
+      // The documents of a subset are known: a random part of their _id values is read
+      cursor = findSelected(collection, sampleIds(filter.ids, size), { ...readOptions, projection: filter.projection || undefined });
+    } else {
+      const pipeline = [];
+      if (hasQuery) pipeline.push({ $match: filter.query });
+      pipeline.push({ $sample: { size } });
+      if (filter.projection) pipeline.push({ $project: filter.projection });
+      cursor = collection.aggregate(pipeline, readOptions);
+    }
+  }
+
+  // Masked like the exported documents, so that types and sample values match the outputs
+  for await (const doc of cursor) {
+    analyzer.add(options.mask ? options.mask(doc) : doc);
+  }
+
+  analysis.documentsAnalyzed = analyzer.documentCount;
+  return { fields: analyzer.finalize(), analysis };
+}
+
+function validateExportOptions(options) {
+  if (!options.client && !options.uri) {
+    throw new Error('No MongoDB connection: pass uri or client');
+  }
+  if (!options.dbName) {
+    throw new Error('No database selected: pass dbName');
+  }
+  if (!SCHEMA_STRATEGIES.includes(options.schemaStrategy)) {
+    throw new Error(`Invalid schemaStrategy '${options.schemaStrategy}', expected one of: ${SCHEMA_STRATEGIES.join(', ')}`);
+  }
+  if (!SQL_DIALECT_NAMES.includes(options.sqlDialect)) {
+    throw new Error(`Invalid sqlDialect '${options.sqlDialect}', expected one of: ${SQL_DIALECT_NAMES.join(', ')}`);
+  }
+  if (!SQL_LAYOUTS.includes(options.sqlLayout)) {
+    throw new Error(`Invalid sqlLayout '${options.sqlLayout}', expected one of: ${SQL_LAYOUTS.join(', ')}`);
+  }
+  if (!SQL_DATA_FORMATS.includes(options.sqlData)) {
+    throw new Error(`Invalid sqlData '${options.sqlData}', expected one of: ${SQL_DATA_FORMATS.join(', ')}`);
+  }
+  ['sqlBatchSize', 'sqlChunkRows', 'sqlChunkSize'].forEach(name => {
+    const value = options[name];
+    if (value !== null && value !== undefined && !(value > 0)) {
+      throw new Error(`Invalid ${name} '${value}', expected a positive number`);
+    }
+  });
+  if (!DATE_FORMATS.includes(options.dateFormat)) {
+    throw new Error(`Invalid dateFormat '${options.dateFormat}', expected one of: ${DATE_FORMATS.join(', ')}`);
+  }
+  if (typeof options.csvDelimiter !== 'string' || options.csvDelimiter.length !== 1 || /["\r\n]/.test(options.csvDelimiter)) {
+    throw new Error(`Invalid csvDelimiter '${options.csvDelimiter}', expected a single character other than a quote or line break`);
+  }
+  if (options.archive && !ARCHIVE_MODES.includes(options.archive)) {
+    throw new Error(`Invalid archive '${options.archive}', expected one of: ${ARCHIVE_MODES.join(', ')}`);
+  }
+  if (!COMPRESSIONS.includes(options.compression)) {
+    throw new Error(`Invalid compression '${options.compression}', expected one of: ${COMPRESSIONS.join(', ')}`);
+  }
+  if (options.archive === 'files' && options.compression === 'none') {
+    throw new Error("archive 'files' needs a compression: gzip or brotli");
+  }
+  if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+    throw new Error(`Invalid concurrency '${options.concurrency}', expected a positive integer`);
+  }
+  if (typeof options.incrementalField !== 'string' || options.incrementalField === '') {
+    throw new Error(`Invalid incrementalField '${options.incrementalField}', expected a field name`);
+  }
+  if (options.since && (!options.manifest || !options.formats.includes('data'))) {
+    throw new Error('Incremental exports (since) need the data format and a manifest');
+  }
+  if (options.since && options.limit) {
+    throw new Error('Incremental exports (since) cannot be combined with limit: the documents left out would fall below the watermark');
+  }
+  if (options.subset) {
+    if (typeof options.subset.collection !== 'string' || options.subset.collection === '') {
+      throw new Error('Invalid subset: expected { collection, query, limit }');
+    }
+    if (options.subset.limit !== undefined && options.subset.limit !== null && !(options.subset.limit > 0)) {
+      throw new Error(`Invalid subset limit '${options.subset.limit}', expected a positive number`);
+    }
+    if (options.since || options.limit || Object.keys(options.queries || {}).length > 0) {
+      throw new Error('Subset exports select their own documents: they cannot be combined with since, queries or limit');
+    }
+  }
+  options.formats.forEach(format => {
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new Error(`Invalid format '${format}', expected one of: ${EXPORT_FORMATS.join(', ')}`);
+    }
+  });
+}
+
+// Every file path in an export result
+function getResultFiles(result) {
+  return Object.values(result.collections)
+    .map(entry => entry.files)
+    .concat(result.files)
+    .flatMap(files => Object.values(files).flat());
+}
+
+// Apply `map` to every file path in an export result
+async function mapResultFiles(result, map) {
+  const mapFiles = async files => {
+    for (const key of Object.keys(files)) {
+      files[key] = Array.isArray(files[key])
+        ? await Promise.all(files[key].map(map))
+        : await map(files[key]);
+    }
+  };
+  for (const name of Object.keys(result.collections)) {
+    await mapFiles(result.collections[name].files);
+  }
+  await mapFiles(result.files);
+}
+
+// Documents of a subset export: the root query, then everything referenced from there.
+// References are declared in the options or inferred from the analyzed objectId fields.
+async function selectSubsetDocuments(db, collections, options, readOptions, reporter) {
+  const subset = { query: {}, limit: null, referencing: true, ...options.subset };
+  if (!collections.some(coll => coll.name === subset.collection)) {
+    throw new Error(`Subset collection '${subset.collection}' is not exported`);
+  }
+  const declared = typeof options.references === 'string'
+    ? JSON.parse(fs.readFileSync(options.references, "utf-8"))
+    : options.references || {};
+
+  reporter.info(`🌱 Selecting a subset from ${subset.collection}: ${EJSON.stringify(subset.query)}` +
+    `${subset.limit ? `, limit: ${subset.limit}` : ''}`);
+  const schemas = {};
+  for (const coll of collections) {
+    const noFilter = { query: {}, projection: null, limit: null };
+    schemas[coll.name] = (await analyzeCollectionSchema(db.collection(coll.name), noFilter, readOptions)).fields;
+  }
+
+  const references = await findReferences(db, schemas, declared, options.inferReferences, readOptions, reporter);
+  references.forEach(reference => {
+    reporter.info(`  🔗 ${reference.collection}.${reference.path} → ${reference.to} (${reference.source})`);
+  });
+
+  const selection = await selectSubset(db, schemas, subset, references, readOptions, reporter);
+  const selected = Object.keys(selection.documents).filter(name => selection.documents[name] > 0);
+  reporter.info(`  Selected ${selected.map(name => `${selection.documents[name]} ${name}`).join(', ') || 'no documents'}`);
+  return { ...selection, root: subset, references };
+}
+
+// Export a database and return a summary of what was written
+async function exportDatabase(userOptions = {}) {
+  const options = { ...DEFAULT_EXPORT_OPTIONS, ...userOptions };
+  validateExportOptions(options);
+  const masking = options.masking ? createMasking(loadMaskingRules(options.masking), options.maskingSecret) : null;
+
+  const reporter = createReporter(options.events);
+  const client = options.client || new MongoClient(options.uri);
+  const dbName = options.dbName;
+  const formats = options.formats;
+  const startTime = Date.now();
+
+  // Archives are staged in a directory next to the archive and packed at the end
+  const outDir = options.outDir.replace(/[\\/]+$/, '') || '.';
+  let stagingDir = null;
+  if (options.archive === 'tar') {
+    fs.mkdirSync(path.dirname(outDir), { recursive: true });
+    stagingDir = fs.mkdtempSync(`${outDir}.partial-`);
+  }
+  let snapshotSession = null;
+
+  try {
+    // Incremental exports continue from the watermarks in the previous export's manifest
+    const previousManifest = options.since ? await readManifest(options.since) : null;
+    if (previousManifest && previousManifest.database !== dbName) {
+      throw new Error(`The previous export ${options.since} is of database ${previousManifest.database}, not ${dbName}`);
+    }
+
+    if (!options.client) {
+      await client.connect();
+    }
+    reporter.info("Connected to MongoDB");
+
+    const db = client.db(dbName);
+
+    // Get all collection names
+    const collectionInfos = (await db.listCollections().toArray()).filter(info => {
+      if (options.collections && !options.collections.includes(info.name)) return false;
+      return !options.exclude.includes(info.name);
+    });
+
+    // Views are exported as definitions only, system collections are managed by the server
+    const collections = collectionInfos.filter(info => info.type !== 'view' && !isSystemCollection(info.name));
+    const views = collectionInfos.filter(info => info.type === 'view');
+
+    if (options.collections) {
+      options.collections
+        .filter(name => !collectionInfos.some(info => info.name === name))
+        .forEach(name => reporter.warn(`⚠️  Collection '${name}' not found in ${dbName}, skipping...`));
+    }
+
+    // Consistent exports read every collection through one snapshot session. Its first read
+    // fixes the cluster time all later reads see; it is made here, before collections are
+    // exported side by side, so that no two reads pick a time of their own.
+    let clusterTime = null;
+    if (options.consistent && collections.length > 0) {
+      snapshotSession = client.startSession({ snapshot: true });
+      try {
+        await db.collection(collections[0].name)
+          .find({}, { session: snapshotSession, projection: { _id: 1 } })
+          .limit(1)
+          .toArray();
+      } catch (error) {
+        throw new Error(`Consistent exports need snapshot reads (MongoDB 5.0+ replica set or sharded cluster): ${error.message}`);
+      }
+      clusterTime = snapshotSession.snapshotTime;
+      reporter.info(`📸 Reading all collections at cluster time ${clusterTime.t}.${clusterTime.i} (${new Date(clusterTime.t * 1000).toISOString()})`);
+    }
+    const readOptions = snapshotSession ? { ...options, session: snapshotSession } : options;
+    if (masking) {
+      const maskedCollections = Object.keys(masking.rules.collections).map(name => (name === '*' ? 'all collections' : name));
+      reporter.info(`🎭 Masking fields of ${maskedCollections.join(', ')}`);
+      if (!masking.keyed) {
+        reporter.warn('⚠️  No masking secret: hashes of guessable values (emails, phone numbers) can be matched by hashing candidates');
+      }
+    }
+    if (previousManifest) {
+      reporter.info(`⏩ Exporting changes since ${previousManifest.createdAt} (${options.since}), by ${options.incrementalField}`);
+    }
+    // Subset exports pick their documents up front, each collection then exports its selection
+    const subset = options.subset ? await selectSubsetDocuments(db, collections, options, readOptions, reporter) : null;
+
+    // Create export directories for the selected formats
+    const exportDir = stagingDir || options.outDir;
+    // Names of files within the export, as listed in the manifest and the archive: data/users.json
+    const toEntryName = filePath => path.relative(exportDir, filePath).split(path.sep).join('/');
+    const dataDir = path.join(exportDir, "data");
+    const schemaDir = path.join(exportDir, "schema");
+    const migrationDir = path.join(exportDir, "migration");
+    const flatDirs = { csv: path.join(exportDir, "csv"), ndjson: path.join(exportDir, "ndjson") };
+
+    [
+      exportDir,
+      formats.includes('data') && dataDir,
+      formats.includes('schema') && schemaDir,
+      (formats.includes('sql') || formats.includes('shell')) && migrationDir,
+      ...FLAT_FORMATS.filter(format => formats.includes(format)).map(format => flatDirs[format])
+    ].filter(Boolean).forEach(dir => {
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+    });
+
+    const fullMigrationPath = path.join(migrationDir, "complete_migration.sql");
+    const fullMigrationStream = formats.includes('sql') ? fs.createWriteStream(fullMigrationPath) : null;
+
+    if (fullMigrationStream) {
+      await writeChunk(fullMigrationStream, generateMigrationHeader(dbName, options.sqlDialect));
+    }
+
+    const databaseSchema = {
+      schemaVersion: SCHEMA_VERSION,
+      database: dbName,
+      dataFormat: {
+        type: 'ejson',
+        mode: options.ejsonMode,
+        layout: options.dataLayout
+      },
+      formats: formats,
+      sqlDialect: formats.includes('sql') ? options.sqlDialect : undefined,
+      sqlLayout: formats.includes('sql') ? options.sqlLayout : undefined,
+      sqlData: formats.includes('sql') ? options.sqlData : undefined,
+      collections: {},
+      views: {},
+      exportDate: new Date().toISOString(),
+      snapshot: clusterTime ? { clusterTime } : undefined,
+      subset: subset ? {
+        collection: subset.root.collection,
+        query: subset.root.query,
+        limit: subset.root.limit,
+        referencing: subset.root.referencing,
+        references: subset.references,
+        documents: subset.documents
+      } : undefined,
+      incremental: previousManifest ? {
+        field: options.incrementalField,
+        previousExportId: previousManifest.exportId,
+        previousExportDate: previousManifest.createdAt
+      } : undefined,
+      totalCollections: collections.length
+    };
+
+    const manifestCollections = {};
+    const result = {
+      database: dbName,
+      outDir: stagingDir ? null : exportDir,
+      archive: null,
+      formats: formats,
+      collections: {},
+      views: [],
+      files: {},
+      clusterTime: clusterTime || undefined,
+      subset: subset ? subset.documents : undefined
+    };
+
+    views.forEach(view => {
+      databaseSchema.views[view.name] = {
+        viewOn: view.options.viewOn,
+        pipeline: view.options.pipeline || [],
+        collation: view.options.collation
+      };
+      result.views.push(view.name);
+      reporter.info(`Recorded view definition: ${view.name} (on ${view.options.viewOn})`);
+    });
+
+    // Exported concurrently, each collection writes its part of the complete migration to a
+    // file of its own; the parts are appended in collection order once all are done
+    const migrationParts = {};
+    function openMigrationSection(name) {
+      if (options.concurrency === 1) return fullMigrationStream;
+      migrationParts[name] = path.join(migrationDir, `${name}.complete.part`);
+      return fs.createWriteStream(migrationParts[name]);
+    }
+
+    async function exportCollection(coll, reporter) {
+      const name = coll.name;
+      const collection = db.collection(name);
+      const filter = getCollectionFilter(name, options);
+
+      // Incremental exports select the documents above the previous export's watermark;
+      // collections without one (new, or empty back then) are exported in full
+      const previousWatermark = previousManifest
+        ? getPreviousWatermark(previousManifest, name, options.incrementalField)
+        : undefined;
+      if (previousWatermark !== undefined) {
+        filter.query = getIncrementalQuery(filter.query, options.incrementalField, previousWatermark);
+      }
+      if (subset) {
+        filter.ids = subset.ids[name];
+      }
+
+      // Masking rules of this collection, applied to every document read. A masked incremental
+      // field has no usable watermark: the next export would compare masked and real values
+      const mask = masking ? masking.forCollection(name) : null;
+      const maskedWatermark = Boolean(mask) && masking.masksField(name, options.incrementalField);
+      if (maskedWatermark && previousManifest) {
+        throw new Error(`The incremental field ${options.incrementalField} of ${name} is masked: ` +
+          `pass another --incremental-field or leave it unmasked`);
+      }
+      const collectionOptions = mask ? { ...readOptions, mask } : readOptions;
+
+      reporter.emit('collection:start', { collection: name, type: coll.type });
+      reporter.info(`Analyzing and exporting collection: ${name}${coll.type !== 'collection' ? ` (${coll.type})` : ''}`);
+      if (subset) {
+        reporter.info(`  Subset: ${subset.documents[name]} documents`);
+      } else if (isFilteredExport(filter)) {
+        reporter.info(`  Filter: ${EJSON.stringify(filter.query)}` +
+          `${filter.projection ? `, fields: ${JSON.stringify(filter.projection)}` : ''}` +
+          `${filter.limit ? `, limit: ${filter.limit}` : ''}`);
+      }
+      if (previousManifest && previousWatermark === undefined) {
+        reporter.info(`  No watermark for ${name} in the previous export, exporting all documents`);
+      }
+
+      // Get collection stats and indexes
+      const stats = await db.command({ collStats: name }).catch(() => ({}));
+      const indexes = await collection.indexes();
+
+      // Analyze schema
+      const { fields: schema, analysis } = await analyzeCollectionSchema(collection, filter, collectionOptions);
+      // The _id lists of subsets are recorded once, as counts, under `subset` in the database schema
+      const exportFilter = isFilteredExport(filter) && !subset ? filter : undefined;
+
+      // Empty collections keep their options and indexes, but have no data or SQL
+      if (analysis.documentsAnalyzed === 0) {
+        reporter.info(`Collection ${name} is empty${exportFilter ? ' for this filter' : subset ? ' in this subset' : ''}, exporting metadata only...`);
+        databaseSchema.collections[name] = {
+          schemaVersion: SCHEMA_VERSION,
+          name: name,
+          type: coll.type,
+          options: coll.options || {},
+          exportFilter: exportFilter,
+          analysis: analysis,
+          fields: {},
+          indexes: indexes,
+          stats: {
+            documentCount: 0
+          }
+        };
+        result.collections[name] = { documentCount: 0, files: {} };
+        manifestCollections[name] = {
+          documents: 0,
+          contentHash: formats.includes('data') ? createContentHasher().digest() : undefined,
+          watermark: serializeWatermark(options.incrementalField, previousWatermark)
+        };
+        reporter.emit('collection:done', { collection: name, documentCount: 0 });
+        return;
+      }
+      reporter.info(`  Schema analyzed (${analysis.strategy}): ${analysis.documentsAnalyzed} documents`);
+
+      const collectionFiles = {};
+
+      // Write the table definitions before streaming the data
+      let sqlWriter = null;
+      let sqlStream = null;
+      let migrationSection = null;
+      if (formats.includes('sql')) {
+        const generator = createSQLGenerator(name, schema, indexes, options);
+        collectionFiles.sql = path.join(migrationDir, `${name}.sql`);
+        sqlStream = fs.createWriteStream(collectionFiles.sql);
+        await writeChunk(sqlStream, generateMigrationPreamble(dbName, options.sqlDialect));
+        await writeChunk(sqlStream, generator.createSQL);
+        migrationSection = openMigrationSection(name);
+        await writeChunk(migrationSection, generator.createSQL);
+        sqlWriter = createSQLWriter(name, generator, [sqlStream, migrationSection], { ...options, migrationDir }, reporter);
+        if (generator.tables.length > 1) {
+          reporter.info(`  SQL tables: ${generator.tables.join(', ')}`);
+        }
+      }
+
+      // Analyst files: CSV with schema columns and NDJSON as plain JSON
+      const flatWriters = FLAT_FORMATS.filter(format => formats.includes(format)).map(format => {
+        collectionFiles[format] = path.join(flatDirs[format], `${name}.${format}`);
+        return createFlatWriter(format, collectionFiles[format], schema, options, reporter);
+      });
+      // Content hash of the exported documents, for the manifest
+      const contentHasher = options.manifest && formats.includes('data') ? createContentHasher() : null;
+      // Highest value of the incremental field, where the next incremental export starts. Not for
+      // a limit or a subset: they leave out documents below it, which no later export would include.
+      const partial = filter.limit !== null || Boolean(subset);
+      const watermarkTracker = contentHasher && !maskedWatermark && !partial
+        ? createWatermarkTracker(options.incrementalField, previousWatermark)
+        : null;
+      const writers = (sqlWriter ? [sqlWriter] : []).concat(flatWriters, [contentHasher, watermarkTracker].filter(Boolean));
+
+      // Stream raw data as Extended JSON together with the SQL INSERTs and flat files
+      let documentCount;
+      let maskedValues;
+      if (formats.includes('data') || writers.length > 0) {
+        const extension = options.dataLayout === 'ndjson' ? 'ndjson' : 'json';
+        if (formats.includes('data')) {
+          collectionFiles.data = path.join(dataDir, `${name}.${extension}`);
+        }
+        const streamed = await streamCollection(collection, name, filter, collectionFiles.data, writers, collectionOptions, reporter);
+        documentCount = streamed.documentCount;
+        maskedValues = streamed.maskedValues;
+        if (maskedValues) {
+          reporter.info(`  🎭 Masked: ${Object.entries(maskedValues).map(([field, count]) => `${field} (${count})`).join(', ') || 'no values'}`);
+        }
+        const sqlData = sqlWriter ? streamed.outputs[0] : null;
+        if (sqlData && sqlData.files.length > 0) {
+          collectionFiles.sqlData = sqlData.files;
+          reporter.info(`  SQL data: ${sqlData.rows} rows in ${sqlData.files.length} ${options.sqlData === 'csv' ? 'CSV' : 'SQL'} files`);
+        }
+      } else {
+        documentCount = filter.ids
+          ? await countSelected(collection, filter.ids, { session: readOptions.session })
+          : await collection.countDocuments(filter.query, {
+            limit: filter.limit || undefined,
+            session: readOptions.session
+          });
+      }
+      if (sqlStream) {
+        await closeStream(sqlStream);
+      }
+      if (migrationSection && migrationSection !== fullMigrationStream) {
+        await closeStream(migrationSection);
+      }
+
+      // Save schema information
+      const collectionSchema = {
+        schemaVersion: SCHEMA_VERSION,
+        name: name,
+        type: coll.type,
+        options: coll.options || {},
+        exportFilter: exportFilter,
+        analysis: analysis,
+        fields: schema,
+        indexes: indexes,
+        stats: {
+          documentCount: documentCount,
+          avgDocSize: stats.avgObjSize,
+          totalSize: stats.size
+        }
+      };
+
+      if (formats.includes('schema')) {
+        collectionFiles.schema = path.join(schemaDir, `${name}_schema.json`);
+        fs.writeFileSync(collectionFiles.schema, EJSON.stringify(collectionSchema, null, 2, { relaxed: true }));
+      }
+
+      // Add to database schema
+      databaseSchema.collections[name] = collectionSchema;
+      result.collections[name] = { documentCount, files: collectionFiles };
+      manifestCollections[name] = {
+        documents: documentCount,
+        contentHash: contentHasher ? contentHasher.digest() : undefined,
+        dataFile: collectionFiles.data ? toEntryName(collectionFiles.data) : undefined,
+        watermark: watermarkTracker ? watermarkTracker.watermark() : undefined,
+        masked: maskedValues
+      };
+
+      reporter.info(`✓ Exported ${name}: ${documentCount} documents`);
+      reporter.emit('collection:done', { collection: name, documentCount });
+    }
+
+    // Up to `concurrency` collections at a time, each with its log output kept together
+    await runConcurrently(collections, options.concurrency, async coll => {
+      const collectionReporter = options.concurrency > 1 ? createBufferedReporter(reporter) : reporter;
+      try {
+        await exportCollection(coll, collectionReporter);
+      } finally {
+        if (collectionReporter !== reporter) collectionReporter.flush();
+      }
+    });
+    const collectionNames = collections.map(coll => coll.name);
+    databaseSchema.collections = inCollectionOrder(databaseSchema.collections, collectionNames);
+    result.collections = inCollectionOrder(result.collections, collectionNames);
+    for (const name of collectionNames.filter(name => migrationParts[name])) {
+      for await (const chunk of fs.createReadStream(migrationParts[name])) {
+        await writeChunk(fullMigrationStream, chunk);
+      }
+      fs.rmSync(migrationParts[name]);
+    }
+
+    // Save complete database schema
+    if (formats.includes('schema')) {
+      result.files.databaseSchema = path.join(schemaDir, "database_schema.json");
+      fs.writeFileSync(result.files.databaseSchema, EJSON.stringify(databaseSchema, null, 2, { relaxed: true }));
+    }
+
+    // Finish complete migration script
+    if (fullMigrationStream) {
+      await closeStream(fullMigrationStream);
+      result.files.completeMigration = fullMigrationPath;
+    }
+
+    // Generate MongoDB shell script for recreation
+    const mongoScriptPath = path.join(migrationDir, "mongodb_recreation.js");
+    if (formats.includes('shell')) {
+      let mongoShellScript = `// MongoDB Shell Script to recreate database: ${dbName}\n`;
+      mongoShellScript += `// Generated on: ${new Date().toISOString()}\n\n`;
+      mongoShellScript += `use ${dbName};\n\n`;
+
+      Object.keys(databaseSchema.collections).forEach(collName => {
+        const collSchema = databaseSchema.collections[collName];
+
+        // Create the collection with its options (validator, capped, time-series, collation)
+        mongoShellScript += generateCreateCollectionCommand(collName, collSchema.options);
+
+        // Add indexes with all of their options
+        collSchema.indexes.forEach(index => {
+          if (index.name !== '_id_') {
+            mongoShellScript += generateCreateIndexCommand(collName, index);
+          }
+        });
+      });
+
+      // Views go last, after the collections they are defined on
+      orderViews(databaseSchema.views).forEach(viewName => {
+        mongoShellScript += generateCreateViewCommand(viewName, databaseSchema.views[viewName]);
+      });
+
+      fs.writeFileSync(mongoScriptPath, mongoShellScript);
+      result.files.shellScript = mongoScriptPath;
+    }
+
+    // Record counts, sizes and checksums of everything written, for the importer to verify
+    if (options.manifest) {
+      const manifestFiles = {};
+      getResultFiles(result).forEach(filePath => {
+        manifestFiles[toEntryName(filePath)] = filePath;
+      });
+      const manifest = await createManifest(dbName, inCollectionOrder(manifestCollections, collectionNames), manifestFiles, {
+        type: previousManifest ? 'incremental' : 'full',
+        previous: previousManifest ? { exportId: previousManifest.exportId, createdAt: previousManifest.createdAt } : undefined,
+        snapshot: clusterTime ? { clusterTime: EJSON.serialize(clusterTime, { relaxed: false }) } : undefined,
+        masking: masking ? { rules: masking.rules, keyed: masking.keyed } : undefined
+      });
+      result.files.manifest = path.join(exportDir, MANIFEST_FILE);
+      fs.writeFileSync(result.files.manifest, JSON.stringify(manifest, null, 2));
+      reporter.info(`\n🔏 Manifest: ${Object.keys(manifest.files).length} files checksummed (SHA-256)`);
+    }
+
+    // Pack everything into one archive (file paths in the result become archive entries),
+    // or compress the data and schema files in place. Migration scripts and analyst files
+    // stay plain for the tools that read them.
+    if (options.archive === 'tar') {
+      const archivePath = getArchivePath(outDir, options.compression);
+      const dataOrder = Object.values(result.collections).map(entry => entry.files.data).filter(Boolean).map(toEntryName);
+      reporter.info(`\n📦 Packing export into ${archivePath}...`);
+      await packDirectory(exportDir, archivePath, options.compression, dataOrder);
+      await mapResultFiles(result, toEntryName);
+      result.archive = archivePath;
+    } else if (options.archive === 'files') {
+      reporter.info(`\n🗜️  Compressing data and schema files (${options.compression})...`);
+      const compressed = [dataDir, schemaDir].map(dir => dir + path.sep);
+      await mapResultFiles(result, async filePath => (compressed.some(dir => filePath.startsWith(dir))
+        ? (await compressFiles([filePath], options.compression))[0]
+        : filePath));
+    }
+
+    const totalDocuments = Object.values(result.collections).reduce((sum, entry) => sum + entry.documentCount, 0);
+    reporter.info("\n🎉 Export completed successfully!");
+    reporter.info(`📦 ${collections.length} collections, ${totalDocuments} documents in ` +
+      `${((Date.now() - startTime) / 1000).toFixed(1)}s${options.concurrency > 1 ? ` (${options.concurrency} at a time)` : ''}`);
+    if (result.archive) {
+      reporter.info(`📦 Export archive: ${result.archive} (${options.compression})`);
+      reporter.emit('done', result);
+      return result;
+    }
+    reporter.info(`📁 Exports saved to: ${exportDir}`);
+    if (formats.includes('data')) {
+      reporter.info(`📊 Data files: ${dataDir} (Extended JSON, ${options.ejsonMode})`);
+    }
+    if (formats.includes('schema')) {
+      reporter.info(`📋 Schema files: ${schemaDir}`);
+    }
+    if (formats.includes('sql') || formats.includes('shell')) {
+      reporter.info(`🔄 Migration files: ${migrationDir}`);
+    }
+    if (formats.includes('sql')) {
+      reporter.info(`📄 Complete SQL migration: ${fullMigrationPath} (${options.sqlDialect})`);
+    }
+    if (formats.includes('shell')) {
+      reporter.info(`🍃 MongoDB recreation script: ${mongoScriptPath}`);
+    }
+    if (formats.includes('csv')) {
+      reporter.info(`📈 CSV files: ${flatDirs.csv}`);
+    }
+    if (formats.includes('ndjson')) {
+      reporter.info(`📈 NDJSON files: ${flatDirs.ndjson}`);
+    }
+
+    reporter.emit('done', result);
+    return result;
+  } finally {
+    if (snapshotSession) {
+      await snapshotSession.endSession();
+    }
+    if (stagingDir) {
+      fs.rmSync(stagingDir, { recursive: true, force: true });
+    }
+    if (!options.client) {
+      await client.close();
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_EXPORT_OPTIONS,
+  SCHEMA_STRATEGIES,
+  EXPORT_FORMATS,
+  DATE_FORMATS,
+  SQL_DIALECT_NAMES,
+  SQL_LAYOUTS,
+  SQL_DATA_FORMATS,
+  ARCHIVE_MODES,
+  COMPRESSIONS,
+  exportDatabase,
+  analyzeCollectionSchema
+};
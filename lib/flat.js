@@ -0,0 +1,196 @@
+// Flat files for analysts: CSV with columns from the schema analysis and NDJSON as plain JSON
+//
+// BSON values become plain JSON values: ObjectIds, Decimal128 and large Longs are strings,
+// UUIDs their hex form, other binaries base64, and dates follow the `dateFormat` option.
+const fs = require("fs");
+const { BSON } = require("mongodb");
+const { flattenObject } = require("./sql");
+const { writeChunk, closeStream } = require("./streams");
+
+const { EJSON } = BSON;
+
+const FLAT_FORMATS = ['csv', 'ndjson'];
+const DATE_FORMATS = ['iso', 'sql', 'date', 'epoch'];
+
+function formatDate(date, dateFormat) {
+  switch (dateFormat) {
+    case 'epoch':
+      return date.getTime();
+    case 'date':
+      return date.toISOString().slice(0, 10);
+    case 'sql':
+      return date.toISOString().slice(0, 19).replace('T', ' ');
+    default:
+      return date.toISOString();
+  }
+}
+
+// Convert a document or value with BSON types into plain JSON values
+function toPlainValue(value, options) {
+  if (value instanceof Date) {
+    return formatDate(value, options.dateFormat);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => toPlainValue(item, options));
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (value._bsontype) {
+    switch (value._bsontype) {
+      case 'Int32':
+      case 'Double':
+        return value.valueOf();
+      case 'Long': {
+        const number = value.toNumber();
+        return Number.isSafeInteger(number) ? number : value.toString();
+      }
+      case 'Decimal128':
+      case 'ObjectId':
+        return value.toString();
+      case 'Binary':
+        return value.sub_type === 4 ? value.toUUID().toHexString() : value.toString('base64');
+      default:
+        return EJSON.serialize(value, { relaxed: true });
+    }
+  }
+
+  const plain = {};
+  Object.keys(value).forEach(key => {
+    plain[key] = toPlainValue(value[key], options);
+  });
+  return plain;
+}
+
+// Schema entry of a dotted field path, through nested objects
+function getFieldInfo(fields, field) {
+  return field.split('.').reduce((info, key, index) => {
+    if (index === 0) return fields[key];
+    return info && info.nestedFields ? info.nestedFields[key] : undefined;
+  }, null);
+}
+
+function isExplodableArray(fieldInfo) {
+  return Boolean(fieldInfo) && fieldInfo.type === 'array' && fieldInfo.arrayElement && !fieldInfo.arrayElement.mixed;
+}
+
+// Dot-joined CSV columns in schema order. Exploded arrays of subdocuments contribute their element fields.
+function getFlatColumns(fields, explode, prefix = '') {
+  const columns = [];
+
+  Object.keys(fields).forEach(key => {
+    const fieldInfo = fields[key];
+    const name = prefix ? `${prefix}.${key}` : key;
+
+    if (fieldInfo.type === 'object' && !fieldInfo.mixed && fieldInfo.nestedFields) {
+      columns.push(...getFlatColumns(fieldInfo.nestedFields, explode, name));
+    } else if (explode.includes(name) && isExplodableArray(fieldInfo) &&
+      fieldInfo.arrayElement.type === 'object' && fieldInfo.arrayElement.nestedFields) {
+      columns.push(...getFlatColumns(fieldInfo.arrayElement.nestedFields, [], name));
+    } else {
+      columns.push(name);
+    }
+  });
+
+  return columns;
+}
+
+// Only the selected fields, in the order given; 'address' selects all of address.*
+function selectColumns(columns, selected) {
+  if (!selected || selected.length === 0) return columns;
+  const result = [];
+  selected.forEach(field => {
+    columns.filter(column => column === field || column.startsWith(`${field}.`)).forEach(column => {
+      if (!result.includes(column)) result.push(column);
+    });
+  });
+  return result;
+}
+
+function getPath(value, path) {
+  return path.reduce((current, key) => (current && typeof current === 'object' ? current[key] : undefined), value);
+}
+
+// Copy of `doc` with the value at `path` replaced, sharing everything off the path
+function replacePath(doc, path, value) {
+  const [key, ...rest] = path;
+  const copy = { ...doc };
+  copy[key] = rest.length === 0 ? value : replacePath(doc[key] || {}, rest, value);
+  return copy;
+}
+
+// One row per element of each exploded array; several exploded arrays give every combination
+function explodeDocument(doc, explode) {
+  let rows = [doc];
+  explode.forEach(field => {
+    const path = field.split('.');
+    rows = rows.flatMap(row => {
+      const elements = getPath(row, path);
+      if (!Array.isArray(elements)) return [row];
+      if (elements.length === 0) return [replacePath(row, path, null)];
+      return elements.map(element => replacePath(row, path, element));
+    });
+  });
+  return rows;
+}
+
+function formatCSVField(value, delimiter) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+// Writer for one collection's CSV or NDJSON file, with the same start/write/finish steps as the SQL writer
+function createFlatWriter(format, filePath, fields, options, reporter) {
+  const requested = options.csvExplode || [];
+  const explode = requested.filter(field => isExplodableArray(getFieldInfo(fields, field)));
+  const delimiter = options.csvDelimiter;
+  const columns = selectColumns(getFlatColumns(fields, explode), options.csvFields);
+  let stream = null;
+  let rowCount = 0;
+
+  async function start() {
+    stream = fs.createWriteStream(filePath);
+    if (format === 'csv') {
+      requested.filter(field => !explode.includes(field))
+        .forEach(field => reporter.warn(`  ⚠️  --csv-explode: '${field}' is not an array of one type, left as JSON`));
+      if (options.csvHeader) {
+        await writeChunk(stream, columns.map(column => formatCSVField(column, delimiter)).join(delimiter) + '\n');
+      }
+    }
+  }
+
+  async function write(doc) {
+    const plain = toPlainValue(doc, options);
+
+    if (format === 'ndjson') {
+      await writeChunk(stream, JSON.stringify(plain) + '\n');
+      rowCount++;
+      return;
+    }
+
+    for (const row of explodeDocument(plain, explode)) {
+      const flat = flattenObject(row, '', true);
+      await writeChunk(stream, columns.map(column => formatCSVField(flat[column], delimiter)).join(delimiter) + '\n');
+      rowCount++;
+    }
+  }
+
+  async function finish() {
+    await closeStream(stream);
+    return { rows: rowCount, files: [filePath] };
+  }
+
+  return { start, write, finish, columns };
+}
+
+module.exports = {
+  FLAT_FORMATS,
+  DATE_FORMATS,
+  toPlainValue,
+  getFlatColumns,
+  createFlatWriter
+};
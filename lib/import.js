@@ -0,0 +1,1108 @@
+// MongoDB import: recreates collections, views and indexes from an export and loads the data
+const { MongoClient, BSON, MongoNetworkError, MongoServerSelectionError } = require("mongodb");
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { SCHEMA_VERSION, migrateDatabaseSchema } = require("./schema");
+const {
+  getIndexKey,
+  getIndexOptions,
+  checkIndexCompatibility,
+  compareWithExistingIndexes
+} = require("./indexes");
+const { getCreateCollectionOptions, orderViews } = require("./collections");
+const { validateDocument, getNestedValue } = require("./validation");
+const { createReporter, createBufferedReporter, forwardEvents } = require("./events");
+const { runConcurrently, inCollectionOrder } = require("./concurrency");
+const { TABULAR_FORMATS, readTabularDocuments } = require("./tabular");
+const { openExportSource } = require("./archive");
+const { openTextStream } = require("./streams");
+const { MANIFEST_FILE, verifyFiles, hashCollection } = require("./manifest");
+const { checkExportChain } = require("./incremental");
+const { getCheckpointPath, openCheckpoint } = require("./checkpoint");
+
+const { EJSON } = BSON;
+
+const IMPORT_MODES = ['replace', 'upsert', 'merge', 'insert-only'];
+
+// Parse data according to the format recorded in the database schema
+function parseData(content, dataFormat) {
+  if (dataFormat && dataFormat.type === 'ejson') {
+    return EJSON.parse(content, { relaxed: dataFormat.mode === 'relaxed' });
+  }
+  return JSON.parse(content);
+}
+
+function getDataFileName(collectionName, dataFormat) {
+  return `${collectionName}.${dataFormat.layout === 'ndjson' ? 'ndjson' : 'json'}`;
+}
+
+// The exported data file, or a CSV, TSV or SQL file with the collection's name in its place.
+// Paths are names inside the export source (a directory or an archive), like data/users.json.
+function findDataFile(source, collectionName, dataFormat) {
+  const exported = `data/${getDataFileName(collectionName, dataFormat)}`;
+  if (source.exists(exported)) {
+    return { path: exported, format: dataFormat.type, tabular: false };
+  }
+  
+  for (const format of Object.keys(TABULAR_FORMATS)) {
+    const filePath = `data/${collectionName}.${TABULAR_FORMATS[format].extension}`;
+    if (source.exists(filePath)) {
+      return { path: filePath, format, tabular: true };
+    }
+  }
+  
+  return null;
+}
+
+// Read documents from a data file (a path or a stream) one at a time. Streamed exports
+// hold one document per line, older pretty-printed exports have to be loaded whole.
+async function* readDocuments(source, dataFormat, reporter) {
+  const input = openTextStream(source);
+  if (!dataFormat.layout) {
+    reporter.warn(`  ⚠️  Legacy data file, loading it into memory`);
+    let content = '';
+    for await (const chunk of input) {
+      content += chunk;
+    }
+    yield* parseData(content, dataFormat);
+    return;
+  }
+  
+  const lines = readline.createInterface({
+    input,
+    crlfDelay: Infinity
+  });
+  
+  for await (const rawLine of lines) {
+    let line = rawLine.trim();
+    if (dataFormat.layout === 'array') {
+      if (line === '[' || line === ']') continue;
+      if (line.endsWith(',')) line = line.slice(0, -1);
+    }
+    if (line.length === 0) continue;
+    yield parseData(line, dataFormat);
+  }
+}
+
+// Create indexes for a collection based on schema, returning the ones that could not be recreated
+async function createIndexes(collection, indexes, collectionName, serverVersion, reporter) {
+  reporter.info(`  📋 Creating indexes for ${collectionName}...`);
+  
+  const report = { created: 0, failed: [] };
+  
+  for (const index of indexes) {
+    if (index.name === '_id_') {
+      continue; // Skip default _id index
+    }
+    
+    // Skip indexes using features the target server does not support
+    const reasons = checkIndexCompatibility(index, serverVersion);
+    if (reasons.length > 0) {
+      reporter.warn(`    ⚠️  Skipped index ${index.name}: ${reasons.join('; ')}`);
+      report.failed.push({ collection: collectionName, index: index.name, reason: reasons.join('; ') });
+      continue;
+    }
+    
+    try {
+      await collection.createIndex(getIndexKey(index), getIndexOptions(index));
+      report.created++;
+      reporter.info(`    ✓ Created index: ${index.name}`);
+    } catch (error) {
+      reporter.warn(`    ⚠️  Failed to create index ${index.name}: ${error.message}`);
+      report.failed.push({ collection: collectionName, index: index.name, reason: error.message });
+    }
+  }
+  
+  return report;
+}
+
+// Work out which indexes would be created, already exist or conflict, without creating any
+async function planIndexes(collection, indexes, collectionName, serverVersion, collectionExists, options) {
+  const existingIndexes = collectionExists && !options.recreateDatabase
+    ? await collection.indexes().catch(() => [])
+    : [];
+  const plan = { toCreate: [], existing: [], conflicting: [], unsupported: [] };
+  
+  for (const index of indexes) {
+    if (index.name === '_id_') continue;
+    
+    const reasons = checkIndexCompatibility(index, serverVersion);
+    if (reasons.length > 0) {
+      plan.unsupported.push({ collection: collectionName, index: index.name, reason: reasons.join('; ') });
+      continue;
+    }
+    
+    const comparison = compareWithExistingIndexes(index, existingIndexes);
+    if (comparison.status === 'exists') {
+      plan.existing.push(index.name);
+    } else if (comparison.status === 'conflict') {
+      plan.conflicting.push({ collection: collectionName, index: index.name, reason: comparison.reason });
+    } else {
+      plan.toCreate.push(index.name);
+    }
+  }
+  
+  return plan;
+}
+
+// Print the dry-run plan and optionally write it as JSON
+function reportPlan(plan, options, reporter) {
+  reporter.info(`\n📝 Import Plan (dry run, nothing was written)`);
+  reporter.info(`   Database: ${plan.database}`);
+  reporter.info(`   Mode: ${plan.mode}`);
+  if (plan.dropDatabase) {
+    reporter.info(`   🗑️  Drop database ${plan.database} (${plan.existingCollections.length} existing collections)`);
+  }
+  
+  plan.collections.forEach(entry => {
+    reporter.info(`\n   📦 ${entry.name}: ${entry.exists ? 'existing collection' : 'create collection'}` +
+      `${entry.exists && entry.existingDocuments !== undefined ? ` (${entry.existingDocuments} documents)` : ''}`);
+    if (entry.clear) {
+      reporter.info(`      🗑️  Clear existing documents`);
+    }
+    reporter.info(`      📊 Read ${entry.documents.read}: ${entry.documents.inserted} to insert, ` +
+      `${entry.documents.updated} to update, ${entry.documents.skipped} to skip, ${entry.documents.failed} would fail`);
+    if (entry.documents.typeCasts > 0) {
+      reporter.info(`      🔄 Type casts: ${entry.documents.typeCasts}`);
+    }
+    if (entry.indexes) {
+      reporter.info(`      📋 Indexes: ${entry.indexes.toCreate.length} to create, ${entry.indexes.existing.length} already exist`);
+      entry.indexes.conflicting.forEach(conflict => {
+        reporter.info(`      ⚠️  Index ${conflict.index} conflicts: ${conflict.reason}`);
+      });
+      entry.indexes.unsupported.forEach(unsupported => {
+        reporter.info(`      ⚠️  Index ${unsupported.index} unsupported: ${unsupported.reason}`);
+      });
+    }
+    entry.validationErrors.forEach(failure => {
+      reporter.info(`      ❌ Document ${failure.document}: ${failure.errors.join('; ')}`);
+    });
+  });
+  
+  plan.views.forEach(view => {
+    reporter.info(`\n   👁️  ${view.name}: ${view.exists ? 'already exists, skip' : `create view on ${view.viewOn}`}`);
+  });
+
+  if (plan.deltas) {
+    reporter.info(`\n   ⏩ Then apply ${plan.deltas.length} incremental exports (not planned): ${plan.deltas.join(', ')}`);
+  }
+
+  if (options.planFile) {
+    fs.writeFileSync(options.planFile, EJSON.stringify(plan, null, 2, { relaxed: true }));
+    reporter.info(`\n   Plan written to ${options.planFile}`);
+  }
+}
+
+// Create a collection with its exported options (validator, capped, time-series, collation)
+// before any data is loaded, so inserts do not create it implicitly with defaults
+async function ensureCollection(db, collectionName, collectionSchema, reporter) {
+  const existing = await db.listCollections({ name: collectionName }).toArray();
+  if (existing.length > 0) {
+    reporter.info(`  📁 Collection ${collectionName} already exists, keeping its current options`);
+    return db.collection(collectionName);
+  }
+  
+  const options = getCreateCollectionOptions(collectionSchema.options);
+  const optionNames = Object.keys(options);
+  await db.createCollection(collectionName, options);
+  reporter.info(`  📁 Created collection ${collectionName}${optionNames.length > 0 ? ` with options: ${optionNames.join(', ')}` : ''}`);
+  
+  return db.collection(collectionName);
+}
+
+// Recreate views once the collections they are defined on exist
+async function createViews(db, views, viewNames, reporter) {
+  const report = { created: 0, failed: [] };
+  
+  for (const viewName of orderViews(views)) {
+    if (!viewNames.includes(viewName)) continue;
+    const view = views[viewName];
+    
+    try {
+      const existing = await db.listCollections({ name: viewName }).toArray();
+      if (existing.length > 0) {
+        reporter.info(`  👁️  View ${viewName} already exists, skipping...`);
+        continue;
+      }
+      
+      const options = { viewOn: view.viewOn, pipeline: view.pipeline || [] };
+      if (view.collation) options.collation = view.collation;
+      await db.createCollection(viewName, options);
+      report.created++;
+      reporter.info(`  👁️  Created view ${viewName} on ${view.viewOn}`);
+    } catch (error) {
+      reporter.warn(`  ⚠️  Failed to create view ${viewName}: ${error.message}`);
+      report.failed.push({ view: viewName, reason: error.message });
+    }
+  }
+  
+  return report;
+}
+
+// Build the filter matching a document by the configured key fields (null if a key is missing)
+function buildKeyFilter(doc, keyFields) {
+  const filter = {};
+  for (const field of keyFields) {
+    const value = getNestedValue(doc, field);
+    if (value === undefined) return null;
+    filter[field] = value;
+  }
+  return filter;
+}
+
+// Find which documents of a batch already exist, keyed by their key field values
+async function findExistingDocuments(collection, filters, keyFields) {
+  const existing = new Map();
+  const lookups = filters.filter(filter => filter !== null);
+  if (lookups.length === 0) return existing;
+  
+  const query = keyFields.length === 1 && keyFields[0] === '_id'
+    ? { _id: { $in: lookups.map(filter => filter._id) } }
+    : { $or: lookups };
+  const projection = { _id: 1 };
+  keyFields.forEach(field => { projection[field] = 1; });
+  
+  for await (const doc of collection.find(query, { projection })) {
+    existing.set(EJSON.stringify(buildKeyFilter(doc, keyFields)), doc._id);
+  }
+  return existing;
+}
+
+// Build the bulkWrite operations for a batch according to the import mode (upsert, merge or insert-only)
+async function planBatchOperations(collection, docs, options) {
+  const mode = options.mode;
+  const keyFields = options.keyFields;
+  const counts = { inserted: 0, updated: 0, skipped: 0, failed: 0 };
+  
+  const filters = docs.map(doc => buildKeyFilter(doc, keyFields));
+  const existing = await findExistingDocuments(collection, filters, keyFields);
+  const operations = [];
+  
+  docs.forEach((doc, index) => {
+    const key = filters[index] ? EJSON.stringify(filters[index]) : null;
+    const existingId = key !== null ? existing.get(key) : undefined;
+    
+    if (existingId === undefined) {
+      operations.push({ insertOne: { document: doc } });
+      return;
+    }
+    
+    const { _id, ...fields } = doc;
+    if (mode === 'insert-only') {
+      counts.skipped++;
+    } else if (mode === 'upsert') {
+      operations.push({ replaceOne: { filter: { _id: existingId }, replacement: fields } });
+    } else if (mode === 'merge') {
+      operations.push({ updateOne: { filter: { _id: existingId }, update: { $set: fields } } });
+    }
+  });
+  
+  return { operations, counts };
+}
+
+// Write a batch with bulkWrite according to the import mode (upsert, merge or insert-only)
+async function writeBatchWithMode(collection, docs, options, reporter) {
+  const { operations, counts } = await planBatchOperations(collection, docs, options);
+  
+  if (operations.length === 0) return counts;
+  
+  let result;
+  try {
+    result = await collection.bulkWrite(operations, {
+      ordered: false,
+      bypassDocumentValidation: options.bypassDocumentValidation
+    });
+  } catch (error) {
+    if (!error.result) throw error;
+    result = error.result;
+    const writeErrors = error.writeErrors ? [].concat(error.writeErrors) : [];
+    counts.failed += writeErrors.length;
+    writeErrors.slice(0, 5).forEach(writeError => {
+      reporter.warn(`    ⚠️  Failed to write document: ${writeError.errmsg || writeError.message}`);
+    });
+  }
+  
+  counts.inserted += result.insertedCount;
+  counts.updated += result.matchedCount;
+  return counts;
+}
+
+// Lost connections end the import instead of failing document by document
+function isConnectionError(error) {
+  return error instanceof MongoNetworkError || error instanceof MongoServerSelectionError;
+}
+
+// Import data in batches with validation, reading documents from a stream.
+// With a checkpoint, documents up to its offset are skipped and every written batch is committed to it.
+async function importCollectionData(collection, documents, schema, collectionName, options, reporter, checkpoint = null) {
+  const expectedCount = schema.stats ? schema.stats.documentCount : undefined;
+  const resumeOffset = checkpoint ? checkpoint.offset : 0;
+  const previous = (checkpoint && checkpoint.counts) || {};
+  reporter.info(`  📊 Importing ${expectedCount !== undefined ? expectedCount : 'all'} documents into ${collectionName}...`);
+  if (checkpoint && checkpoint.resumed) {
+    reporter.info(`  ⏩ Resuming after ${resumeOffset} documents committed before the interruption`);
+  }
+  
+  let readCount = 0;
+  let validCount = 0;
+  let invalidCount = 0;
+  let totalTypeCasts = 0;
+  let totalValidationErrors = 0;
+  let totalValidationWarnings = 0;
+  let importedCount = previous.imported || 0;
+  let attemptedCount = resumeOffset;
+  const modeCounts = {
+    inserted: previous.inserted || 0,
+    updated: previous.updated || 0,
+    skipped: previous.skipped || 0,
+    failed: previous.failed || 0
+  };
+  // The first batch after a resume point may have been partly written before the interruption
+  let partlyWritten = Boolean(checkpoint && checkpoint.resumed);
+  const batchSize = options.batchSize;
+  const validationErrors = [];
+  let batch = [];
+  
+  async function insertBatch(docs) {
+    // Dry run: count what would be written, using reads only
+    if (options.dryRun) {
+      attemptedCount += docs.length;
+      if (options.mode === 'replace') {
+        // Without clearing, documents whose _id already exists would fail as duplicates
+        let duplicates = 0;
+        if (!options.clearCollections && !options.recreateDatabase) {
+          const filters = docs.map(doc => buildKeyFilter(doc, ['_id']));
+          duplicates = (await findExistingDocuments(collection, filters, ['_id'])).size;
+        }
+        modeCounts.inserted += docs.length - duplicates;
+        modeCounts.failed += duplicates;
+      } else {
+        const { operations, counts } = await planBatchOperations(collection, docs, options);
+        modeCounts.skipped += counts.skipped;
+        operations.forEach(operation => {
+          if (operation.insertOne) modeCounts.inserted++;
+          else modeCounts.updated++;
+        });
+      }
+      return;
+    }
+    
+    const batchStart = attemptedCount;
+    attemptedCount += docs.length;
+    
+    if (options.mode !== 'replace') {
+      const counts = await writeBatchWithMode(collection, docs, options, reporter);
+      Object.keys(counts).forEach(key => { modeCounts[key] += counts[key]; });
+      importedCount += counts.inserted + counts.updated;
+      reporter.info(`    ✓ Processed batch: ${attemptedCount}/${expectedCount !== undefined ? expectedCount : attemptedCount} documents ` +
+        `(${modeCounts.inserted} inserted, ${modeCounts.updated} updated, ${modeCounts.skipped} skipped)`);
+      return;
+    }
+    
+    if (partlyWritten) {
+      partlyWritten = false;
+      // Only the _id tells which documents of the batch made it before the interruption
+      if (docs.some(doc => doc._id === undefined)) {
+        throw new Error(`Cannot resume ${collectionName}: the documents after the last committed batch have no _id, ` +
+          `so those written before the interruption cannot be told apart; import again without resume`);
+      }
+      const counts = await writeBatchWithMode(collection, docs, { ...options, mode: 'insert-only', keyFields: ['_id'] }, reporter);
+      importedCount += counts.inserted + counts.skipped;
+      reporter.info(`    ✓ Imported batch: ${importedCount}/${expectedCount !== undefined ? expectedCount : attemptedCount} documents ` +
+        `(${counts.skipped} already written before the interruption)`);
+      return;
+    }
+    
+    try {
+      await collection.insertMany(docs, {
+        ordered: false,
+        bypassDocumentValidation: options.bypassDocumentValidation
+      });
+      importedCount += docs.length;
+      reporter.info(`    ✓ Imported batch: ${importedCount}/${expectedCount !== undefined ? expectedCount : attemptedCount} documents`);
+    } catch (error) {
+      // The batch is not committed to the checkpoint, so --resume writes it again
+      if (isConnectionError(error)) {
+        throw error;
+      }
+      reporter.error(`    ❌ Failed to import batch starting at ${batchStart}: ${error.message}`);
+      
+      // Try inserting documents one by one in case of partial failures
+      for (const doc of docs) {
+        try {
+          await collection.insertOne(doc, { bypassDocumentValidation: options.bypassDocumentValidation });
+          importedCount++;
+        } catch (docError) {
+          reporter.warn(`    ⚠️  Failed to import document: ${docError.message}`);
+        }
+      }
+    }
+  }
+  
+  // The first `offset` documents have been written: a resumed import continues after them
+  function commitBatch(offset) {
+    if (checkpoint) {
+      checkpoint.commit(offset, { imported: importedCount, ...modeCounts });
+    }
+  }
+  
+  // With concurrency, the next batch is read and validated while this one is written.
+  // Only one batch is written at a time, so batches are committed in order.
+  let writing = null;
+  async function writeBatch(docs) {
+    const offset = readCount;
+    if (writing) await writing;
+    const write = insertBatch(docs).then(() => commitBatch(offset));
+    if (options.concurrency > 1) {
+      writing = write;
+      writing.catch(() => {}); // Awaited before the next batch or at the end
+    } else {
+      await write;
+    }
+  }
+  
+  // Cleared before anything is read, also when there is nothing to import: the collection then
+  // holds exactly the imported documents
+  if (options.clearCollections && !options.dryRun) {
+    await collection.deleteMany({});
+    reporter.info(`  🗑️  Cleared existing documents from ${collectionName}`);
+  }
+  
+  if (options.validateData) {
+    reporter.info(`  🔍 Validating documents against schema...`);
+  }
+  
+  for await (const doc of documents) {
+    readCount++;
+    if (readCount <= resumeOffset) {
+      continue;
+    }
+    let finalDoc = doc;
+    
+    // Validate documents if validation is enabled
+    if (options.validateData) {
+      const validation = validateDocument(doc, schema, { typeCasting: options.typeCasting });
+      finalDoc = validation.document;
+      validation.typeCasts.forEach(cast => {
+        reporter.info(`    🔄 Type cast: ${cast.field} (${cast.from} → ${cast.to})`);
+      });
+      
+      if (validation.isValid) {
+        validCount++;
+        totalTypeCasts += validation.typeCastingCount;
+        totalValidationWarnings += validation.warnings.length;
+        
+        // Log warnings if any
+        if (validation.warnings.length > 0) {
+          validation.warnings.forEach(warning => {
+            reporter.warn(`    ⚠️  ${warning}`);
+          });
+        }
+      } else {
+        totalValidationErrors += validation.errors.length;
+        reporter.error(`    ❌ Document ${readCount} validation failed:`);
+        validation.errors.forEach(error => {
+          reporter.error(`      - ${error}`);
+        });
+        invalidCount++;
+        if (options.dryRun) {
+          validationErrors.push({ document: readCount, _id: doc._id, errors: validation.errors });
+        }
+        
+        // Optionally skip invalid documents or include them anyway (with potential casting)
+        if (options.skipInvalidDocuments) {
+          continue;
+        }
+      }
+    }
+    
+    batch.push(finalDoc);
+    if (batch.length >= batchSize) {
+      await writeBatch(batch);
+      batch = [];
+      reporter.emit('collection:progress', { collection: collectionName, documents: readCount });
+    }
+  }
+  
+  if (batch.length > 0) {
+    await writeBatch(batch);
+  }
+  if (writing) {
+    await writing;
+  }
+  
+  if (options.validateData) {
+    reporter.info(`  ✓ Validation complete: ${validCount} valid, ${invalidCount} invalid`);
+    if (totalTypeCasts > 0) {
+      reporter.info(`  🔄 Total type casts performed: ${totalTypeCasts}`);
+    }
+    if (totalValidationWarnings > 0) {
+      reporter.info(`  ⚠️  Total validation warnings: ${totalValidationWarnings}`);
+    }
+    if (totalValidationErrors > 0) {
+      reporter.info(`  ❌ Total validation errors: ${totalValidationErrors}`);
+    }
+  }
+  
+  if (attemptedCount === 0) {
+    reporter.info(`  ⚠️  No valid documents to import for ${collectionName}`);
+  }
+  
+  if (options.mode === 'replace' && !options.dryRun) {
+    modeCounts.inserted = importedCount;
+  }
+  
+  return {
+    success: true,
+    imported: importedCount,
+    inserted: modeCounts.inserted,
+    updated: modeCounts.updated,
+    skipped: modeCounts.skipped,
+    failed: modeCounts.failed,
+    total: readCount,
+    typeCasts: totalTypeCasts,
+    warnings: totalValidationWarnings,
+    errors: totalValidationErrors,
+    validationErrors
+  };
+}
+
+// Default options for importDatabase()
+const DEFAULT_IMPORT_OPTIONS = {
+  uri: undefined,                // MongoDB connection string (or pass a connected `client`)
+  client: undefined,             // Existing MongoClient, left open after the import
+  dbName: undefined,             // Target database
+  events: undefined,             // EventEmitter receiving 'log' and progress events
+  inDir: './db',                 // Export directory or archive (.tar, .tar.gz, .tar.br) to import from
+  deltas: [],                    // Incremental exports applied in order after inDir (upserted by _id)
+  recreateDatabase: true,        // Drop and recreate database
+  recreateIndexes: true,         // Recreate indexes from schema
+  validateData: true,            // Validate data against schema
+  typeCasting: true,             // Automatically cast data to required types
+  batchSize: 1000,              // Batch size for bulk operations
+  clearCollections: true,        // Clear existing collections before import
+  forceTypeCasting: false,       // Keep type casting on for Extended JSON data files
+  bypassDocumentValidation: false, // Skip collection validators (JSON Schema) while inserting
+  sqlDialect: null,              // Dialect of SQL data files, for string escapes (null = as exported, else 'mysql')
+  mode: 'replace',               // Import mode: 'replace', 'upsert', 'merge' or 'insert-only'
+  keyFields: ['_id'],            // Fields identifying existing documents in non-replace modes
+  concurrency: 1,                // Collections imported at the same time (batches are pipelined when above 1)
+  verify: true,                  // Check files against manifest.json, then compare counts and content hashes
+  resume: false,                 // Continue an interrupted import from its checkpoint
+  checkpointFile: null,          // Progress of the import, for resume (null = <inDir>.<dbName>.checkpoint.json)
+  dryRun: false,                 // Only report what the import would do, write nothing
+  planFile: null,                // Path to write the dry-run plan as JSON
+  selectiveImport: null          // Array of collection names to import (null = all)
+};
+
+function validateImportOptions(options) {
+  if (!options.client && !options.uri) {
+    throw new Error('No MongoDB connection: pass uri or client');
+  }
+  if (!options.dbName) {
+    throw new Error('No database selected: pass dbName');
+  }
+  if (!IMPORT_MODES.includes(options.mode)) {
+    throw new Error(`Invalid mode '${options.mode}', expected one of: ${IMPORT_MODES.join(', ')}`);
+  }
+  if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+    throw new Error(`Invalid concurrency '${options.concurrency}', expected a positive integer`);
+  }
+  if (options.resume && options.dryRun) {
+    throw new Error('resume cannot be combined with dryRun');
+  }
+  if (!Array.isArray(options.deltas)) {
+    throw new Error('Invalid deltas, expected an array of export directories or archives');
+  }
+  if (options.resume && options.deltas.length > 0) {
+    throw new Error('resume cannot be combined with deltas: resume the interrupted export on its own');
+  }
+}
+
+// Connection string with its password masked, for reports
+function redactUri(uri) {
+  return uri && uri.replace(/(\/\/[^:@/]+):[^@/]*@/, '$1:****@');
+}
+
+// Import each incremental export after the base one, through the same client
+async function applyDeltas(client, userOptions, reporter) {
+  const results = [];
+  const deltas = userOptions.deltas;
+  for (const [index, delta] of deltas.entries()) {
+    reporter.info(`\n⏩ Applying incremental export ${index + 1}/${deltas.length}: ${delta}`);
+    results.push(await importDatabase({
+      ...userOptions,
+      client,
+      inDir: delta,
+      deltas: [],
+      checkpointFile: null,
+      events: forwardEvents(reporter)
+    }));
+  }
+  return results;
+}
+
+// Import an export directory into a database and return what was done (or the plan, for dry runs)
+async function importDatabase(userOptions = {}) {
+  const options = { ...DEFAULT_IMPORT_OPTIONS, ...userOptions };
+  validateImportOptions(options);
+
+  // Non-destructive modes never drop the database or clear collections
+  if (options.mode !== 'replace') {
+    options.recreateDatabase = false;
+    options.clearCollections = false;
+  }
+  // A resumed import keeps what the interrupted one wrote
+  if (options.resume) {
+    options.recreateDatabase = false;
+  }
+
+  const reporter = createReporter(options.events);
+  const client = options.client || new MongoClient(options.uri);
+  const dbName = options.dbName;
+  const startTime = Date.now();
+  let source = null;
+
+  try {
+    if (!options.client) {
+      await client.connect();
+    }
+    reporter.info("Connected to MongoDB");
+
+    const db = client.db(dbName);
+    const buildInfo = await db.admin().command({ buildInfo: 1 }).catch(() => ({}));
+    const serverVersion = buildInfo.version;
+
+    // Read database schema, from the export directory or straight from an archive
+    if (!fs.existsSync(options.inDir)) {
+      throw new Error("Export directories not found. Please run export first.");
+    }
+    source = await openExportSource(options.inDir);
+
+    const databaseSchemaPath = "schema/database_schema.json";
+    if (!source.exists(databaseSchemaPath)) {
+      throw new Error("Database schema file not found. Please run export first.");
+    }
+
+    reporter.info(`Reading database schema from ${source.description}...`);
+    const databaseSchema = migrateDatabaseSchema(EJSON.parse(await source.readFile(databaseSchemaPath)));
+    const dataFormat = databaseSchema.dataFormat || { type: 'json' };
+    
+    reporter.info(`Database: ${databaseSchema.database}`);
+    reporter.info(`Export Date: ${databaseSchema.exportDate}`);
+    reporter.info(`Collections: ${databaseSchema.totalCollections}`);
+    if (databaseSchema.migratedFrom) {
+      reporter.info(`Schema Version: ${databaseSchema.migratedFrom} (migrated to ${SCHEMA_VERSION}, required-field checks disabled)`);
+    } else {
+      reporter.info(`Schema Version: ${databaseSchema.schemaVersion}`);
+    }
+    reporter.info(`Data Format: ${dataFormat.type}${dataFormat.mode ? ` (${dataFormat.mode})` : ''}`);
+    if (databaseSchema.snapshot) {
+      const { clusterTime } = databaseSchema.snapshot;
+      reporter.info(`Snapshot: cluster time ${clusterTime.t}.${clusterTime.i}`);
+    }
+
+    // An incremental export holds the documents changed since the previous export: they are
+    // upserted by _id into what the earlier imports left
+    if (databaseSchema.incremental) {
+      reporter.info(`Incremental export: changes since ${databaseSchema.incremental.previousExportDate} ` +
+        `(by ${databaseSchema.incremental.field}), applied as upserts`);
+      Object.assign(options, { mode: 'upsert', keyFields: ['_id'], recreateDatabase: false, clearCollections: false });
+    }
+
+    // CSV and SQL values are text, they are always cast unless casting was turned off
+    const tabularOptions = {
+      ...options,
+      sqlDialect: options.sqlDialect || databaseSchema.sqlDialect || 'mysql'
+    };
+
+    // Extended JSON already carries exact BSON types, heuristic casting would only corrupt them
+    if (dataFormat.type === 'ejson' && options.typeCasting && !options.forceTypeCasting) {
+      options.typeCasting = false;
+      reporter.info(`Type casting disabled for Extended JSON data (use --force-type-casting to override)`);
+    }
+    // Every adjustment is made: report the options the import runs with, without credentials
+    reporter.emit('start', { options: { ...options, uri: redactUri(options.uri) } });
+
+    // Check the files against the export manifest before anything in the target is changed
+    const exportManifest = source.exists(MANIFEST_FILE) ? JSON.parse(await source.readFile(MANIFEST_FILE)) : null;
+    const manifest = options.verify ? exportManifest : null;
+    if (manifest) {
+      const checkedFiles = [databaseSchemaPath].concat(Object.keys(manifest.collections)
+        .filter(name => !options.selectiveImport || options.selectiveImport.includes(name))
+        .map(name => manifest.collections[name].dataFile)
+        .filter(name => name && source.exists(name)));
+      reporter.info(`Verifying ${checkedFiles.length} files against the manifest...`);
+      const mismatches = await verifyFiles(source, manifest, checkedFiles);
+      if (mismatches.length > 0) {
+        throw new Error(`Export files do not match the manifest:\n  ${mismatches.join('\n  ')}`);
+      }
+      reporter.info(`✓ Files match the manifest (SHA-256)`);
+    } else if (options.verify) {
+      reporter.info(`No manifest in the export, skipping verification`);
+    }
+
+    // Incremental exports to apply afterwards must each continue the export before them
+    if (options.deltas.length > 0) {
+      if (!exportManifest) {
+        throw new Error(`Applying incremental exports needs the manifest of the export they start from (${MANIFEST_FILE})`);
+      }
+      const deltaManifests = await checkExportChain(exportManifest, options.deltas);
+      reporter.info(`✓ ${options.deltas.length} incremental exports follow on, ` +
+        `up to ${deltaManifests[deltaManifests.length - 1].createdAt}`);
+    }
+
+    // Progress is recorded after every batch, so an interrupted import can continue with --resume
+    const checkpoint = options.dryRun ? null : openCheckpoint(
+      options.checkpointFile || getCheckpointPath(options.inDir, dbName),
+      { database: dbName, exportDate: databaseSchema.exportDate },
+      options.resume
+    );
+    if (options.resume) {
+      reporter.info(`Resuming import from checkpoint ${checkpoint.filePath}`);
+    }
+
+    // Dry runs only read from the target database and collect a plan
+    const plan = options.dryRun ? {
+      database: dbName,
+      generatedAt: new Date().toISOString(),
+      mode: options.mode,
+      serverVersion,
+      dropDatabase: options.recreateDatabase,
+      existingCollections: (await db.listCollections({}, { nameOnly: true }).toArray()).map(info => info.name),
+      collections: [],
+      views: []
+    } : null;
+
+    // Recreate database if option is enabled (only once the export has been found)
+    if (options.recreateDatabase && !options.dryRun) {
+      reporter.info(`Dropping existing database: ${dbName}`);
+      await db.dropDatabase();
+      reporter.info(`Database ${dbName} dropped`);
+    }
+
+    // Get collections to import
+    const views = databaseSchema.views || {};
+    const collectionsToImport = options.selectiveImport || 
+                               Object.keys(databaseSchema.collections);
+    const viewsToCreate = Object.keys(views).filter(viewName =>
+      !options.selectiveImport || options.selectiveImport.includes(viewName)
+    );
+
+    reporter.info(`\n Starting import of ${collectionsToImport.length} collections...\n`);
+
+    let totalImported = 0;
+    let totalCollections = 0;
+    let totalTypeCasts = 0;
+    let totalWarnings = 0;
+    let totalErrors = 0;
+    let totalIndexesCreated = 0;
+    const failedIndexes = [];
+    const exportedSources = new Set(); // Collections loaded from their exported data file
+    const modeTotals = { inserted: 0, updated: 0, skipped: 0, failed: 0 };
+    let collectionResults = {};
+
+    async function importCollection(collectionName, reporter) {
+      if (views[collectionName]) {
+        return; // Views are created after all collections
+      }
+      if (!databaseSchema.collections[collectionName]) {
+        reporter.warn(` Collection '${collectionName}' not found in schema, skipping...`);
+        return;
+      }
+
+      const collectionSchema = databaseSchema.collections[collectionName];
+      const dataFile = findDataFile(source, collectionName, dataFormat);
+
+      const hasData = collectionSchema.stats.documentCount > 0 || dataFile !== null;
+
+      if (hasData && !dataFile) {
+        reporter.warn(`Data file for '${collectionName}' not found, skipping...`);
+        return;
+      }
+
+      if (!dataFile || !dataFile.tabular) {
+        exportedSources.add(collectionName);
+      }
+
+      const completed = checkpoint && checkpoint.completed(collectionName);
+      if (completed) {
+        reporter.info(`\n ⏭️  Collection ${collectionName} was imported before the interruption, skipping`);
+        collectionResults[collectionName] = completed;
+        totalImported += completed.imported || 0;
+        Object.keys(modeTotals).forEach(key => { modeTotals[key] += completed[key] || 0; });
+        totalCollections++;
+        return;
+      }
+
+      reporter.emit('collection:start', { collection: collectionName });
+      reporter.info(`\n Processing collection: ${collectionName}${collectionSchema.type && collectionSchema.type !== 'collection' ? ` (${collectionSchema.type})` : ''}`);
+      reporter.info(`   Expected documents: ${collectionSchema.stats.documentCount}`);
+      reporter.info(`   Fields: ${Object.keys(collectionSchema.fields).length}`);
+      reporter.info(`   Indexes: ${collectionSchema.indexes.length}`);
+      if (dataFile && dataFile.tabular) {
+        reporter.info(`   Data file: ${path.basename(dataFile.path)} (${dataFile.format.toUpperCase()}, columns mapped with the schema)`);
+      }
+
+      // Create collection with its exported options
+      let collection;
+      let planEntry = null;
+      if (options.dryRun) {
+        const exists = !options.recreateDatabase && plan.existingCollections.includes(collectionName);
+        collection = db.collection(collectionName);
+        planEntry = {
+          name: collectionName,
+          exists,
+          options: collectionSchema.options || {},
+          existingDocuments: exists ? await collection.estimatedDocumentCount() : undefined,
+          clear: exists && options.clearCollections
+        };
+        plan.collections.push(planEntry);
+      } else {
+        collection = await ensureCollection(db, collectionName, collectionSchema, reporter);
+      }
+
+      // Stream and import collection data; empty collections are still cleared
+      const documents = !hasData ? []
+        : dataFile.tabular
+          ? readTabularDocuments(source.createReadStream(dataFile.path), dataFile.format, collectionName, collectionSchema, tabularOptions, reporter)
+          : readDocuments(source.createReadStream(dataFile.path), dataFormat, reporter);
+      // A collection the interrupted import had started is continued, not cleared
+      const progress = checkpoint ? checkpoint.collection(collectionName) : null;
+      const collectionOptions = dataFile && dataFile.tabular ? tabularOptions : options;
+      const result = await importCollectionData(
+        collection, 
+        documents, 
+        collectionSchema, 
+        collectionName,
+        progress && progress.resumed ? { ...collectionOptions, clearCollections: false } : collectionOptions,
+        reporter,
+        progress
+      );
+      collectionResults[collectionName] = result;
+
+      if (result.total === 0) {
+        reporter.info(` No documents found in ${collectionName}`);
+      }
+
+      if (planEntry) {
+        planEntry.documents = {
+          read: result.total,
+          inserted: result.inserted || 0,
+          updated: result.updated || 0,
+          skipped: result.skipped || 0,
+          failed: result.failed || 0,
+          typeCasts: result.typeCasts || 0,
+          warnings: result.warnings || 0
+        };
+        planEntry.validationErrors = result.validationErrors || [];
+        if (options.recreateIndexes) {
+          planEntry.indexes = await planIndexes(collection, collectionSchema.indexes, collectionName, serverVersion, planEntry.exists, options);
+        }
+        return;
+      }
+
+      // Create indexes if option is enabled
+      if (options.recreateIndexes && collectionSchema.indexes.length > 0) {
+        const indexReport = await createIndexes(collection, collectionSchema.indexes, collectionName, serverVersion, reporter);
+        totalIndexesCreated += indexReport.created;
+        failedIndexes.push(...indexReport.failed);
+      }
+
+      if (result.success) {
+        totalImported += result.imported;
+        totalTypeCasts += result.typeCasts || 0;
+        totalWarnings += result.warnings || 0;
+        totalErrors += result.errors || 0;
+        Object.keys(modeTotals).forEach(key => { modeTotals[key] += result[key] || 0; });
+      }
+      totalCollections++;
+      checkpoint.complete(collectionName, result);
+
+      if (options.mode === 'replace') {
+        reporter.info(`  ✅ Collection ${collectionName} completed: ${result.imported} documents imported`);
+      } else {
+        reporter.info(`  ✅ Collection ${collectionName} completed: ${result.inserted || 0} inserted, ` +
+          `${result.updated || 0} updated, ${result.skipped || 0} skipped, ${result.failed || 0} failed`);
+      }
+      reporter.emit('collection:done', { collection: collectionName, ...result });
+    }
+
+    // Up to `concurrency` collections at a time, each with its log output kept together
+    await runConcurrently(collectionsToImport, options.concurrency, async collectionName => {
+      const collectionReporter = options.concurrency > 1 ? createBufferedReporter(reporter) : reporter;
+      try {
+        await importCollection(collectionName, collectionReporter);
+      } finally {
+        if (collectionReporter !== reporter) collectionReporter.flush();
+      }
+    });
+    collectionResults = inCollectionOrder(collectionResults, collectionsToImport);
+    if (plan) {
+      plan.collections.sort((a, b) => collectionsToImport.indexOf(a.name) - collectionsToImport.indexOf(b.name));
+    }
+
+    if (options.dryRun) {
+      orderViews(views).filter(viewName => viewsToCreate.includes(viewName)).forEach(viewName => {
+        const exists = !options.recreateDatabase && plan.existingCollections.includes(viewName);
+        plan.views.push({ name: viewName, viewOn: views[viewName].viewOn, exists });
+      });
+      plan.deltas = options.deltas.length > 0 ? options.deltas : undefined;
+      reportPlan(plan, options, reporter);
+      const planResult = { database: dbName, dryRun: true, plan, collections: collectionResults };
+      reporter.emit('done', planResult);
+      return planResult;
+    }
+
+    // Create views after their source collections
+    let viewReport = { created: 0, failed: [] };
+    if (viewsToCreate.length > 0) {
+      reporter.info(`\n Creating ${viewsToCreate.length} views...`);
+      viewReport = await createViews(db, views, viewsToCreate, reporter);
+    }
+
+    reporter.info(`\n🎉 Import completed successfully!`);
+    reporter.info(` Summary:`);
+    reporter.info(`   Collections processed: ${totalCollections}`);
+    reporter.info(`   Total documents imported: ${totalImported}`);
+    reporter.info(`   Duration: ${((Date.now() - startTime) / 1000).toFixed(1)}s` +
+      `${options.concurrency > 1 ? ` (${options.concurrency} collections at a time)` : ''}`);
+    if (options.mode !== 'replace') {
+      reporter.info(`   Import mode: ${options.mode} (key: ${options.keyFields.join(', ')})`);
+      Object.keys(collectionResults).forEach(name => {
+        const result = collectionResults[name];
+        reporter.info(`     ${name}: ${result.inserted || 0} inserted, ${result.updated || 0} updated, ` +
+          `${result.skipped || 0} skipped, ${result.failed || 0} failed`);
+      });
+      reporter.info(`   Totals: ${modeTotals.inserted} inserted, ${modeTotals.updated} updated, ` +
+        `${modeTotals.skipped} skipped, ${modeTotals.failed} failed`);
+    }
+    if (viewsToCreate.length > 0) {
+      reporter.info(`   Views created: ${viewReport.created}/${viewsToCreate.length}`);
+    }
+    if (totalTypeCasts > 0) {
+      reporter.info(`   Type casts performed: ${totalTypeCasts}`);
+    }
+    if (totalWarnings > 0) {
+      reporter.info(`     Validation warnings: ${totalWarnings}`);
+    }
+    if (totalErrors > 0) {
+      reporter.info(`   Validation errors: ${totalErrors}`);
+    }
+    reporter.info(`   Type casting: ${options.typeCasting ? 'Enabled' : 'Disabled'}`);
+    reporter.info(`   Data validation: ${options.validateData ? 'Enabled' : 'Disabled'}`);
+    reporter.info(`   Database: ${dbName}`);
+    
+    // Report indexes that could not be recreated on the target server
+    if (options.recreateIndexes) {
+      reporter.info(`\n Index Report (target server ${serverVersion || 'unknown'}):`);
+      reporter.info(`   Indexes created: ${totalIndexesCreated}`);
+      if (failedIndexes.length > 0) {
+        reporter.info(`   Indexes not recreated: ${failedIndexes.length}`);
+        failedIndexes.forEach(failure => {
+          reporter.info(`     ❌ ${failure.collection}.${failure.index}: ${failure.reason}`);
+        });
+      }
+    }
+    
+    // Verify import by getting collection stats
+    reporter.info(`\n Verification - Collection Statistics:`);
+    const collections = await db.listCollections().toArray();
+    const verification = {};
+    
+    for (const coll of collections) {
+      if (coll.type === 'view') {
+        reporter.info(`  👁️  ${coll.name}: view on ${coll.options.viewOn}`);
+        continue;
+      }
+      const collection = db.collection(coll.name);
+      const count = await collection.countDocuments();
+      const indexes = await collection.indexes();
+      verification[coll.name] = { documents: count, indexes: indexes.length };
+      reporter.info(`  📦 ${coll.name}: ${count} documents, ${indexes.length} indexes`);
+    }
+
+    // Recompute counts and content hashes from the target and compare them with the manifest.
+    // Only meaningful when the import started from empty collections.
+    const verificationErrors = [];
+    if (manifest && (options.mode !== 'replace' || !(options.recreateDatabase || options.clearCollections))) {
+      reporter.info(`\n Manifest verification skipped: the target collections were not emptied before the import`);
+    } else if (manifest) {
+      reporter.info(`\n Verification - Manifest:`);
+      for (const name of Object.keys(collectionResults)) {
+        const expected = manifest.collections[name];
+        if (!expected || !exportedSources.has(name)) {
+          reporter.info(`  ➖ ${name}: not loaded from an exported data file, not verified`);
+          continue;
+        }
+        const actual = await hashCollection(db.collection(name));
+        const errors = [];
+        if (actual.documents !== expected.documents) {
+          errors.push(`${name}: ${expected.documents} documents expected, found ${actual.documents}`);
+        } else if (expected.contentHash && actual.contentHash !== expected.contentHash) {
+          errors.push(`${name}: content hash ${expected.contentHash} expected, found ${actual.contentHash}`);
+        }
+        verification[name] = { ...verification[name], verified: errors.length === 0 };
+        if (errors.length > 0) {
+          errors.forEach(error => reporter.error(`  ❌ ${error}`));
+          verificationErrors.push(...errors);
+        } else {
+          reporter.info(`  ✓ ${name}: ${actual.documents} documents${expected.contentHash ? ', content hash matches' : ''}`);
+        }
+      }
+    }
+    if (verificationErrors.length > 0) {
+      // Every batch was written, resuming would only skip them and find the same mismatch
+      checkpoint.remove();
+      throw new Error(`Imported data does not match the export manifest:\n  ${verificationErrors.join('\n  ')}`);
+    }
+
+    // Finished and verified: nothing left to resume
+    checkpoint.remove();
+
+    const result = {
+      database: dbName,
+      dryRun: false,
+      collections: collectionResults,
+      totals: {
+        collections: totalCollections,
+        imported: totalImported,
+        ...modeTotals,
+        typeCasts: totalTypeCasts,
+        warnings: totalWarnings,
+        errors: totalErrors
+      },
+      indexes: { created: totalIndexesCreated, failed: failedIndexes },
+      views: viewReport,
+      verification
+    };
+
+    // Then the incremental exports, in order
+    if (options.deltas.length > 0) {
+      result.deltas = await applyDeltas(client, userOptions, reporter);
+    }
+
+    reporter.emit('done', result);
+    return result;
+  } finally {
+    if (source) {
+      await source.close();
+    }
+    if (!options.client) {
+      await client.close();
+      reporter.info("🔌 Disconnected from MongoDB");
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_IMPORT_OPTIONS,
+  IMPORT_MODES,
+  importDatabase,
+  readDocuments,
+  importCollectionData,
+  ensureCollection,
+  createIndexes,
+  createViews
+};
@@ -0,0 +1,134 @@
+// Incremental exports: only the documents changed since a previous export
+//
+// Every export with a manifest records, per collection, a watermark: the highest value of the
+// incremental field (`_id` by default, or a timestamp field such as updatedAt) among the
+// documents it wrote. An export with `since` reads the previous manifest and selects the
+// documents above that watermark; the importer applies such deltas on top of the base export.
+const fs = require("fs");
+const { BSON } = require("mongodb");
+const { openExportSource } = require("./archive");
+const { MANIFEST_FILE } = require("./manifest");
+const { getNestedValue } = require("./validation");
+
+const { EJSON } = BSON;
+
+// Rank in MongoDB's comparison order and a comparable value, for the types a watermark
+// field can hold; null for values that are not tracked (missing, null, objects, arrays)
+function getSortKey(value) {
+  if (typeof value === 'number') return [1, value];
+  if (typeof value === 'string') return [2, value];
+  if (typeof value === 'boolean') return [8, value ? 1 : 0];
+  if (value instanceof Date) return [9, value.getTime()];
+  switch (value && value._bsontype) {
+    case 'Int32':
+    case 'Double':
+      return [1, value.valueOf()];
+    case 'Long':
+      return [1, value.toNumber()];
+    case 'Decimal128':
+      return [1, Number(value.toString())];
+    case 'ObjectId':
+      return [7, value.toHexString()];
+    case 'Timestamp':
+      return [10, (BigInt(value.t) << 32n) | BigInt(value.i)];
+    default:
+      return null;
+  }
+}
+
+function compareSortKeys(a, b) {
+  if (a[0] !== b[0]) return a[0] - b[0];
+  return a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0;
+}
+
+// Highest value of `field` among the documents passed to write(), starting from `initial`
+// (the previous watermark), with the same start/write/finish steps as the other writers
+function createWatermarkTracker(field, initial) {
+  let value = initial;
+  let key = initial === undefined ? null : getSortKey(initial);
+
+  return {
+    start: async () => {},
+    write: async doc => {
+      const candidate = getNestedValue(doc, field);
+      const candidateKey = getSortKey(candidate);
+      if (candidateKey && (!key || compareSortKeys(candidateKey, key) > 0)) {
+        value = candidate;
+        key = candidateKey;
+      }
+    },
+    finish: async () => ({ rows: 0, files: [] }),
+    watermark: () => serializeWatermark(field, value)
+  };
+}
+
+// Manifest entry for a watermark, with the value in canonical Extended JSON to keep its type
+function serializeWatermark(field, value) {
+  return value === undefined ? undefined : { field, value: EJSON.serialize(value, { relaxed: false }) };
+}
+
+// Manifest of an export directory or archive, or a manifest.json path
+async function readManifest(location) {
+  if (location.endsWith('.json') && fs.existsSync(location) && fs.statSync(location).isFile()) {
+    return JSON.parse(fs.readFileSync(location, "utf-8"));
+  }
+  const source = await openExportSource(location);
+  try {
+    if (!source.exists(MANIFEST_FILE)) {
+      throw new Error(`No ${MANIFEST_FILE} found in ${source.description}`);
+    }
+    return JSON.parse(await source.readFile(MANIFEST_FILE));
+  } finally {
+    await source.close();
+  }
+}
+
+// Watermark of a collection in the previous export's manifest: undefined when the collection
+// was not exported then (or was empty), an error when another field was tracked
+function getPreviousWatermark(previousManifest, name, field) {
+  const entry = previousManifest.collections[name];
+  if (!entry || !entry.watermark) return undefined;
+  if (entry.watermark.field !== field) {
+    throw new Error(`The previous export tracked '${entry.watermark.field}' for ${name}, not '${field}': ` +
+      `pass --incremental-field=${entry.watermark.field} or start over with a full export`);
+  }
+  return EJSON.deserialize(entry.watermark.value, { relaxed: false });
+}
+
+// The collection's filter narrowed to documents above the watermark
+function getIncrementalQuery(query, field, watermark) {
+  const range = { [field]: { $gt: watermark } };
+  return Object.keys(query).length > 0 ? { $and: [query, range] } : range;
+}
+
+// Check that each delta continues the export before it, starting from the base export's
+// manifest; returns the delta manifests in order
+async function checkExportChain(baseManifest, deltas) {
+  const manifests = [];
+  let previous = baseManifest;
+  let previousLocation = 'the base export';
+  for (const delta of deltas) {
+    const manifest = await readManifest(delta);
+    if (!manifest.previous) {
+      throw new Error(`${delta} is not an incremental export`);
+    }
+    if (!previous.exportId || manifest.previous.exportId !== previous.exportId) {
+      throw new Error(`${delta} does not continue ${previousLocation}: ` +
+        `it was exported since ${manifest.previous.exportId} (${manifest.previous.createdAt}), ` +
+        `${previousLocation} is ${previous.exportId || 'an export without an id'} (${previous.createdAt})`);
+    }
+    manifests.push(manifest);
+    previous = manifest;
+    previousLocation = delta;
+  }
+  return manifests;
+}
+
+module.exports = {
+  createWatermarkTracker,
+  serializeWatermark,
+  readManifest,
+  getPreviousWatermark,
+  getIncrementalQuery,
+  checkExportChain
+};
@@ -0,0 +1,182 @@
+// Index definitions as returned by collection.indexes(), turned back into createIndex() calls
+const { BSON } = require("mongodb");
+
+const { EJSON } = BSON;
+
+// Properties of listIndexes output that are not createIndex options
+const NON_OPTION_PROPERTIES = ['key', 'v', 'ns', 'background'];
+
+// Minimum (and maximum, for removed features) server versions per index feature
+const INDEX_FEATURES = [
+  { name: 'partial filter expression', since: '3.2', test: index => index.partialFilterExpression },
+  { name: 'collation', since: '3.4', test: index => index.collation },
+  { name: '2dsphere index version 3', since: '3.2', test: index => index['2dsphereIndexVersion'] >= 3 },
+  { name: 'text index version 3', since: '3.2', test: index => index.textIndexVersion >= 3 },
+  { name: 'wildcard index', since: '4.2', test: index => isWildcardIndex(index) },
+  { name: 'hidden index', since: '4.4', test: index => index.hidden },
+  { name: 'prepareUnique', since: '6.0', test: index => index.prepareUnique },
+  { name: 'columnstore index', since: '6.3', test: index => keyTypes(index).includes('columnstore') },
+  { name: 'geoHaystack index', until: '5.0', test: index => keyTypes(index).includes('geoHaystack') }
+];
+
+function keyTypes(index) {
+  return Object.values(index.key || {}).filter(value => typeof value === 'string');
+}
+
+function isTextIndex(index) {
+  return Boolean(index.key && index.key._fts === 'text');
+}
+
+function isWildcardIndex(index) {
+  if (isTextIndex(index)) return false;
+  return Object.keys(index.key || {}).some(field => field === '$**' || field.endsWith('.$**'));
+}
+
+// Text indexes are listed as { _fts: 'text', _ftsx: 1 }, the text fields only survive in weights
+function getIndexKey(index) {
+  if (!isTextIndex(index)) {
+    return index.key;
+  }
+
+  const key = {};
+  Object.keys(index.key).forEach(field => {
+    if (field === '_fts') {
+      Object.keys(index.weights || {}).forEach(textField => {
+        key[textField] = 'text';
+      });
+    } else if (field !== '_ftsx') {
+      key[field] = index.key[field];
+    }
+  });
+  return key;
+}
+
+// Every option of the exported index definition, including name
+function getIndexOptions(index) {
+  const options = {};
+  Object.keys(index).forEach(option => {
+    if (!NON_OPTION_PROPERTIES.includes(option)) {
+      options[option] = index[option];
+    }
+  });
+  return options;
+}
+
+function compareVersions(a, b) {
+  const partsA = String(a).split('.').map(part => parseInt(part, 10) || 0);
+  const partsB = String(b).split('.').map(part => parseInt(part, 10) || 0);
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+// Reasons why an index cannot be created on the given server version (empty if it can)
+function checkIndexCompatibility(index, serverVersion) {
+  if (!serverVersion) return [];
+
+  const reasons = [];
+  INDEX_FEATURES.forEach(feature => {
+    if (!feature.test(index)) return;
+    if (feature.since && compareVersions(serverVersion, feature.since) < 0) {
+      reasons.push(`${feature.name} requires MongoDB ${feature.since}+, target is ${serverVersion}`);
+    }
+    if (feature.until && compareVersions(serverVersion, feature.until) >= 0) {
+      reasons.push(`${feature.name} was removed in MongoDB ${feature.until}, target is ${serverVersion}`);
+    }
+  });
+  return reasons;
+}
+
+// Stable representation of an index definition, ignoring property order
+function normalizeIndexDefinition(value) {
+  if (Array.isArray(value)) return value.map(normalizeIndexDefinition);
+  if (value && typeof value === 'object' && !value._bsontype && !(value instanceof Date)) {
+    const normalized = {};
+    Object.keys(value).sort().forEach(key => {
+      normalized[key] = normalizeIndexDefinition(value[key]);
+    });
+    return normalized;
+  }
+  return value;
+}
+
+function describeIndex(index) {
+  // Key order is significant, option order is not
+  return EJSON.stringify({ key: index.key, options: normalizeIndexDefinition(getIndexOptions(index)) }, { relaxed: true });
+}
+
+// Compare an exported index with the indexes already on the target collection:
+// 'new' if it would be created, 'exists' if an identical index exists, 'conflict' otherwise
+function compareWithExistingIndexes(index, existingIndexes) {
+  const keySignature = EJSON.stringify(index.key, { relaxed: true });
+  const sameName = existingIndexes.find(existing => existing.name === index.name);
+
+  if (sameName) {
+    if (describeIndex(sameName) === describeIndex(index)) {
+      return { status: 'exists' };
+    }
+    return { status: 'conflict', reason: `an index named ${index.name} exists with different key or options` };
+  }
+
+  const sameKey = existingIndexes.find(existing => EJSON.stringify(existing.key, { relaxed: true }) === keySignature);
+  if (sameKey) {
+    return { status: 'conflict', reason: `an index on the same key exists as ${sameKey.name}` };
+  }
+
+  return { status: 'new' };
+}
+
+// Render a value as mongosh source, keeping BSON types
+function toShellLiteral(value) {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Date) return `ISODate("${value.toISOString()}")`;
+  if (value instanceof RegExp) return value.toString();
+  if (Array.isArray(value)) return `[${value.map(toShellLiteral).join(', ')}]`;
+
+  if (typeof value === 'object' && value._bsontype) {
+    switch (value._bsontype) {
+      case 'ObjectId': return `ObjectId("${value.toHexString()}")`;
+      case 'Int32': return `NumberInt(${value.valueOf()})`;
+      case 'Double': return String(value.valueOf());
+      case 'Long': return `NumberLong("${value.toString()}")`;
+      case 'Decimal128': return `NumberDecimal("${value.toString()}")`;
+      case 'BSONRegExp': return `/${value.pattern}/${value.options}`;
+      default: return `EJSON.parse(${JSON.stringify(EJSON.stringify(value))})`;
+    }
+  }
+
+  if (typeof value === 'object') {
+    const entries = Object.keys(value).map(key => `${JSON.stringify(key)}: ${toShellLiteral(value[key])}`);
+    return `{ ${entries.join(', ')} }`;
+  }
+
+  return JSON.stringify(value);
+}
+
+// Shell statement recreating an index with all of its options
+function generateCreateIndexCommand(collectionName, index) {
+  const key = toShellLiteral(getIndexKey(index));
+  const options = toShellLiteral(getIndexOptions(index));
+  const requirements = INDEX_FEATURES
+    .filter(feature => feature.since && feature.test(index))
+    .map(feature => `${feature.name} requires MongoDB ${feature.since}+`);
+
+  let command = '';
+  if (requirements.length > 0) {
+    command += `// ${requirements.join(', ')}\n`;
+  }
+  command += `db.getCollection(${JSON.stringify(collectionName)}).createIndex(${key}, ${options});\n`;
+  return command;
+}
+
+module.exports = {
+  getIndexKey,
+  getIndexOptions,
+  checkIndexCompatibility,
+  compareWithExistingIndexes,
+  compareVersions,
+  toShellLiteral,
+  generateCreateIndexCommand
+};
@@ -0,0 +1,124 @@
+// Export manifest: document counts, file sizes and checksums, and a content hash per collection
+//
+// The content hash does not depend on document order: each document is hashed on its own
+// (relaxed Extended JSON with sorted keys, so int32 1 and double 1.0 hash the same) and the
+// SHA-256 digests are added up modulo 2^256. The importer recomputes it from the target database.
+const crypto = require("crypto");
+const fs = require("fs");
+const { BSON } = require("mongodb");
+
+const { EJSON } = BSON;
+
+const MANIFEST_FILE = 'manifest.json';
+const MANIFEST_VERSION = 1;
+const HASH_MODULUS = 1n << 256n;
+
+// Plain JSON with object keys sorted at every level
+function sortKeys(value) {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  const sorted = {};
+  Object.keys(value).sort().forEach(key => {
+    sorted[key] = sortKeys(value[key]);
+  });
+  return sorted;
+}
+
+function hashDocument(doc) {
+  const text = JSON.stringify(sortKeys(EJSON.serialize(doc, { relaxed: true })));
+  return BigInt(`0x${crypto.createHash('sha256').update(text).digest('hex')}`);
+}
+
+// Content hash of the documents passed to write(), with the same start/write/finish steps as the other writers
+function createContentHasher() {
+  let sum = 0n;
+  let documents = 0;
+
+  const digest = () => sum.toString(16).padStart(64, '0');
+
+  return {
+    start: async () => {},
+    write: async doc => {
+      sum = (sum + hashDocument(doc)) % HASH_MODULUS;
+      documents++;
+    },
+    finish: async () => ({ rows: documents, files: [], contentHash: digest() }),
+    digest
+  };
+}
+
+// Size and SHA-256 of a file, or of a stream (a file inside an archive)
+async function hashFile(input) {
+  const stream = typeof input === 'string' ? fs.createReadStream(input) : input;
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  for await (const chunk of stream) {
+    hash.update(chunk);
+    size += chunk.length;
+  }
+  return { size, sha256: hash.digest('hex') };
+}
+
+// `files` maps names relative to the export root to file paths. `details` describes the
+// export: its type ('full' or 'incremental'), the export it continues, its snapshot time
+// and the masking rules applied.
+async function createManifest(database, collections, files, details = {}) {
+  const manifest = {
+    manifestVersion: MANIFEST_VERSION,
+    exportId: crypto.randomUUID(),
+    database,
+    createdAt: new Date().toISOString(),
+    type: details.type || 'full',
+    previous: details.previous,
+    snapshot: details.snapshot,
+    masking: details.masking,
+    hashAlgorithm: 'sha256',
+    collections,
+    files: {}
+  };
+  for (const name of Object.keys(files).sort()) {
+    manifest.files[name] = await hashFile(files[name]);
+  }
+  return manifest;
+}
+
+// Check the listed files of an export source against the manifest; returns the mismatches
+async function verifyFiles(source, manifest, names) {
+  const mismatches = [];
+  for (const name of names) {
+    const expected = manifest.files[name];
+    if (!expected) continue;
+    const actual = await hashFile(source.createReadStream(name));
+    if (actual.size !== expected.size) {
+      mismatches.push(`${name}: ${expected.size} bytes expected, found ${actual.size}`);
+    } else if (actual.sha256 !== expected.sha256) {
+      mismatches.push(`${name}: SHA-256 ${expected.sha256} expected, found ${actual.sha256}`);
+    }
+  }
+  return mismatches;
+}
+
+// Document count and content hash of a collection in the target database
+async function hashCollection(collection) {
+  const hasher = createContentHasher();
+  for await (const doc of collection.find({}, { promoteValues: false, promoteLongs: false })) {
+    await hasher.write(doc);
+  }
+  const { rows } = await hasher.finish();
+  return { documents: rows, contentHash: hasher.digest() };
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  MANIFEST_VERSION,
+  hashDocument,
+  createContentHasher,
+  createManifest,
+  hashFile,
+  verifyFiles,
+  hashCollection
+};
@@ -0,0 +1,226 @@
+// Field masking for exports: rules by collection and field path replace personal data before
+// a document reaches the schema analysis, the data files or the CSV, NDJSON and SQL outputs
+//
+// Rules file:
+//   {
+//     "collections": {
+//       "users": {
+//         "email": "hash",                               same input, same output, in every collection
+//         "name": "fake:name",                           or { "type": "fake", "kind": "name" }
+//         "phone": "redact",                             or { "type": "redact", "value": "n/a" }
+//         "birthDate": "shiftDate:30",                   days; { "type": "shiftDate", "maxDays": 90 } per document
+//         "address.street": "null",
+//         "sessions[].token": "null"                     array paths as in the schema files
+//       },
+//       "*": { "password": "null" }                      every collection
+//     }
+//   }
+//
+// Paths pass through arrays on the way (items.sku is items[].sku). A last segment ending in []
+// masks each element of the array; without it, the value is masked as a whole.
+const crypto = require("crypto");
+const fs = require("fs");
+const { BSON } = require("mongodb");
+const { cloneValue } = require("./validation");
+
+const { EJSON, ObjectId, Int32, Long, Double } = BSON;
+
+const MASKING_STRATEGIES = ['redact', 'hash', 'fake', 'shiftDate', 'null'];
+const REDACTED = '[redacted]';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Hash key used without a masking secret: hashes stay deterministic, but guessable inputs
+// (emails, phone numbers) can then be found by hashing candidates
+const DEFAULT_SECRET = 'mongo_export_and_import';
+
+const FIRST_NAMES = ['Alex', 'Sam', 'Jordan', 'Taylor', 'Morgan', 'Casey', 'Riley', 'Jamie', 'Robin', 'Avery',
+  'Quinn', 'Charlie', 'Drew', 'Emerson', 'Finley', 'Harper', 'Jules', 'Kai', 'Logan', 'Parker'];
+const LAST_NAMES = ['Smith', 'Garcia', 'Nguyen', 'Müller', 'Rossi', 'Kowalski', 'Silva', 'Kim', 'Novak', 'Dubois',
+  'Jensen', 'Okafor', 'Haddad', 'Tanaka', 'Larsen', 'Moreau', 'Costa', 'Ivanova', 'Patel', 'Brown'];
+const COMPANIES = ['Acme', 'Globex', 'Initech', 'Umbrella', 'Hooli', 'Vandelay', 'Stark', 'Wayne', 'Tyrell', 'Wonka'];
+const CITIES = ['Springfield', 'Riverton', 'Fairview', 'Greenville', 'Franklin', 'Clinton', 'Salem', 'Madison',
+  'Georgetown', 'Arlington'];
+const STREETS = ['Main', 'Oak', 'Pine', 'Maple', 'Cedar', 'Elm', 'Lake', 'Hill', 'Park', 'River'];
+const WORDS = ['lorem', 'ipsum', 'dolor', 'sit', 'amet', 'consectetur', 'adipiscing', 'elit', 'sed', 'do',
+  'eiusmod', 'tempor', 'incididunt', 'ut', 'labore', 'et', 'dolore', 'magna', 'aliqua'];
+
+// Fake values derived from the digest of the original value: the same input always gets
+// the same substitute. Phone numbers use the 555-01xx range reserved for fiction.
+const FAKE_KINDS = {
+  firstName: digest => pick(FIRST_NAMES, digest, 0),
+  lastName: digest => pick(LAST_NAMES, digest, 1),
+  name: digest => `${pick(FIRST_NAMES, digest, 0)} ${pick(LAST_NAMES, digest, 1)}`,
+  email: digest => `${pick(FIRST_NAMES, digest, 0)}.${pick(LAST_NAMES, digest, 1)}.${digest.readUInt16BE(2)}@example.com`
+    .toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, ''),
+  phone: digest => `+1-555-01${String(digest[4] % 100).padStart(2, '0')}`,
+  company: digest => `${pick(COMPANIES, digest, 5)} ${pick(['Inc.', 'Ltd.', 'GmbH', 'LLC'], digest, 6)}`,
+  city: digest => pick(CITIES, digest, 7),
+  street: digest => `${digest.readUInt16BE(8) % 999 + 1} ${pick(STREETS, digest, 10)} Street`,
+  text: (digest, value) => {
+    const length = typeof value === 'string' ? value.length : 40;
+    const words = [];
+    for (let i = 0; words.join(' ').length < length; i++) {
+      words.push(WORDS[digest[i % digest.length] % WORDS.length]);
+    }
+    return words.join(' ').slice(0, Math.max(length, 1));
+  }
+};
+
+function pick(list, digest, offset) {
+  return list[digest[offset] % list.length];
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !value._bsontype && !(value instanceof Date);
+}
+
+// "hash", "fake:email", "shiftDate:30" or { type, ... } -> { type, ... }
+function parseRule(collection, path, rule) {
+  const parsed = typeof rule === 'string'
+    ? (([type, argument]) => ({ type, argument }))(rule.split(':'))
+    : { ...rule };
+  const where = `masking rule for ${collection}.${path}`;
+
+  if (!MASKING_STRATEGIES.includes(parsed.type)) {
+    throw new Error(`Invalid ${where}: '${parsed.type}', expected one of: ${MASKING_STRATEGIES.join(', ')}`);
+  }
+  if (parsed.type === 'fake') {
+    parsed.kind = parsed.kind || parsed.argument;
+    if (!FAKE_KINDS[parsed.kind]) {
+      throw new Error(`Invalid ${where}: fake '${parsed.kind}', expected one of: ${Object.keys(FAKE_KINDS).join(', ')}`);
+    }
+  }
+  if (parsed.type === 'shiftDate') {
+    if (parsed.argument !== undefined) parsed.days = Number(parsed.argument);
+    if (!Number.isFinite(parsed.days) && !(parsed.maxDays > 0)) {
+      throw new Error(`Invalid ${where}: shiftDate needs a number of days or maxDays`);
+    }
+  }
+  delete parsed.argument;
+  return parsed;
+}
+
+// Read and check a rules file (or an object in its shape); returns the rules with every
+// rule in object form, as recorded in the manifest
+function loadMaskingRules(source) {
+  const raw = typeof source === 'string' ? JSON.parse(fs.readFileSync(source, "utf-8")) : source;
+  if (!raw || !isPlainObject(raw.collections)) {
+    throw new Error('Invalid masking rules: expected { "collections": { "<collection>": { "<field path>": <rule> } } }');
+  }
+  const collections = {};
+  Object.keys(raw.collections).forEach(collection => {
+    collections[collection] = {};
+    Object.keys(raw.collections[collection]).forEach(path => {
+      collections[collection][path] = parseRule(collection, path, raw.collections[collection][path]);
+    });
+  });
+  return { collections };
+}
+
+// Apply `replace` to the values at `segments` below `value` (already a copy, changed in place)
+function applyAtPath(value, segments, replace) {
+  if (segments.length === 0) {
+    return replace(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => applyAtPath(item, segments, replace));
+  }
+  if (!isPlainObject(value)) {
+    return value;
+  }
+  const [segment, ...rest] = segments;
+  const eachElement = segment.endsWith('[]');
+  const key = eachElement ? segment.slice(0, -2) : segment;
+  if (!(key in value)) {
+    return value;
+  }
+  value[key] = eachElement && rest.length === 0 && Array.isArray(value[key])
+    ? value[key].map(replace)
+    : applyAtPath(value[key], rest, replace);
+  return value;
+}
+
+// Masking for an export: forCollection(name) returns a function masking one document of
+// that collection (null when no rule applies), counting the values it replaced in `counts`
+function createMasking(rules, secret) {
+  const key = secret || DEFAULT_SECRET;
+  const digestOf = value => crypto.createHmac('sha256', key).update(EJSON.stringify(value, { relaxed: false })).digest();
+
+  // Same BSON type where it matters for joins and columns: ObjectIds stay ObjectIds, integers
+  // integers. Plain numbers (from promoted reads) get the type BSON would store them with:
+  // Int32 within its range, like the same value read unpromoted, otherwise Double.
+  function hashValue(value) {
+    const digest = digestOf(value);
+    if (value instanceof ObjectId) return new ObjectId(digest.subarray(0, 12));
+    if (value instanceof Int32 || (typeof value === 'number' && value === (value | 0))) {
+      return new Int32(digest.readUInt32BE(0) & 0x7fffffff);
+    }
+    if (value instanceof Long) return Long.fromBigInt(digest.readBigUInt64BE(0) & 0x7fffffffffffffffn);
+    if (value instanceof Double || typeof value === 'number') return new Double(digest.readUInt32BE(0));
+    return digest.toString('hex').slice(0, 32);
+  }
+
+  function createReplacer(rule, doc) {
+    switch (rule.type) {
+      case 'null':
+        return () => null;
+      case 'redact':
+        return value => (value === null ? null : rule.value !== undefined ? rule.value : REDACTED);
+      case 'hash':
+        return value => (value === null ? null : hashValue(value));
+      case 'fake':
+        return value => (value === null ? null : FAKE_KINDS[rule.kind](digestOf(value), value));
+      case 'shiftDate': {
+        // A fixed number of days, or an offset of the document (from its _id) within maxDays,
+        // so that the dates of one document keep their distances
+        const days = Number.isFinite(rule.days)
+          ? rule.days
+          : digestOf(doc._id === undefined ? null : doc._id).readUInt32BE(0) % (2 * rule.maxDays + 1) - rule.maxDays;
+        return value => (value instanceof Date ? new Date(value.getTime() + days * DAY_MS) : value);
+      }
+    }
+  }
+
+  function forCollection(name) {
+    const collectionRules = { ...rules.collections['*'], ...rules.collections[name] };
+    const paths = Object.keys(collectionRules);
+    if (paths.length === 0) return null;
+
+    return (doc, counts = null) => {
+      const masked = cloneValue(doc);
+      paths.forEach(path => {
+        const replace = createReplacer(collectionRules[path], doc);
+        applyAtPath(masked, path.split('.'), value => {
+          if (counts) counts[path] = (counts[path] || 0) + 1;
+          return replace(value);
+        });
+      });
+      return masked;
+    };
+  }
+
+  // Whether a rule applies to `field` (or to an object containing it) in a collection
+  function masksField(name, field) {
+    const collectionRules = { ...rules.collections['*'], ...rules.collections[name] };
+    return Object.keys(collectionRules).some(path => {
+      const plain = path.replace(/\[\]/g, '');
+      return field === plain || field.startsWith(`${plain}.`);
+    });
+  }
+
+  return {
+    rules,
+    keyed: Boolean(secret),
+    forCollection,
+    masksField
+  };
+}
+
+module.exports = {
+  MASKING_STRATEGIES,
+  FAKE_KINDS,
+  parseRule,
+  applyAtPath,
+  loadMaskingRules,
+  createMasking
+};
@@ -0,0 +1,282 @@
+// Relational layout for the SQL migration: embedded objects become prefixed columns,
+// arrays of subdocuments become child tables and arrays of scalars junction tables.
+//
+// Every table below the collection table is keyed by the document's `_id` (`_parent_id`)
+// and the position of each enclosing array element:
+//   orders                 (_id, ...)
+//   orders_items           (_parent_id, _ordinal, ...)              -> orders (_id)
+//   orders_items_options   (_parent_id, _ordinal_1, _ordinal, ...)  -> orders_items (_parent_id, _ordinal)
+//   orders_tags            (_parent_id, _ordinal, value)            -> orders (_id)
+const { BSON } = require("mongodb");
+const {
+  getDialect,
+  formatInsertStatement,
+  inferColumnType,
+  idColumnType,
+  isNotNullField,
+  formatColumnDefinition,
+  translateIndexes
+} = require("./sql");
+const { getValueType } = require("./schema");
+
+const { EJSON } = BSON;
+
+const PARENT_ID_COLUMN = '_parent_id';
+const ORDINAL_COLUMN = '_ordinal';
+const VALUE_COLUMN = 'value';
+
+function isSubdocumentArray(fieldInfo) {
+  return fieldInfo.type === 'array' && fieldInfo.arrayElement &&
+    fieldInfo.arrayElement.type === 'object' && !fieldInfo.arrayElement.mixed &&
+    Boolean(fieldInfo.arrayElement.nestedFields);
+}
+
+function isScalarArray(fieldInfo) {
+  return fieldInfo.type === 'array' && fieldInfo.arrayElement && !fieldInfo.arrayElement.mixed &&
+    !['object', 'array', 'null'].includes(fieldInfo.arrayElement.type);
+}
+
+// Collect the columns of one table from a field tree, creating child tables for arrays
+function collectColumns(table, fields, path, columnPrefix, present, tables) {
+  Object.keys(fields).forEach(key => {
+    const fieldInfo = fields[key];
+    const fieldPath = path.concat(key);
+    const column = columnPrefix ? `${columnPrefix}_${key}` : key;
+    // A column can only be NOT NULL when the field and all the objects enclosing it are always present
+    const columnPresent = present && isNotNullField(fieldInfo);
+
+    // The document _id is the key column of the collection table
+    if (table.parent === null && fieldPath.length === 1 && key === '_id') return;
+
+    if (fieldInfo.type === 'object' && !fieldInfo.mixed && fieldInfo.nestedFields) {
+      collectColumns(table, fieldInfo.nestedFields, fieldPath, column, columnPresent, tables);
+    } else if (isSubdocumentArray(fieldInfo) || isScalarArray(fieldInfo)) {
+      addArrayTable(table, fieldInfo, fieldPath, column, tables);
+    } else {
+      table.columns.push({ name: column, path: fieldPath, field: fieldInfo, notNull: columnPresent });
+    }
+  });
+}
+
+function addArrayTable(parentTable, fieldInfo, path, column, tables) {
+  const depth = parentTable.depth + 1;
+  const table = {
+    name: `${parentTable.name}_${column}`,
+    parent: parentTable.name,
+    path,
+    depth,
+    kind: isSubdocumentArray(fieldInfo) ? 'child' : 'junction',
+    keyColumns: [PARENT_ID_COLUMN],
+    columns: []
+  };
+
+  // Ordinals of the enclosing arrays are numbered by depth, the table's own ordinal comes last
+  for (let level = 1; level < depth; level++) {
+    table.keyColumns.push(`${ORDINAL_COLUMN}_${level}`);
+  }
+  table.keyColumns.push(ORDINAL_COLUMN);
+  table.foreignKey = {
+    columns: table.keyColumns.slice(0, -1),
+    references: parentTable.keyColumns
+  };
+
+  tables.push(table);
+
+  if (table.kind === 'child') {
+    collectColumns(table, fieldInfo.arrayElement.nestedFields, [], '', true, tables);
+  } else {
+    table.columns.push({ name: VALUE_COLUMN, path: [], field: fieldInfo.arrayElement, notNull: false });
+  }
+}
+
+// Describe the tables a collection is normalized into, parents before children
+function buildTableLayout(collectionName, fields) {
+  const root = {
+    name: collectionName,
+    parent: null,
+    path: [],
+    depth: 0,
+    kind: 'root',
+    keyColumns: ['_id'],
+    columns: []
+  };
+  const tables = [root];
+
+  collectColumns(root, fields, [], '', true, tables);
+  return { collection: collectionName, id: fields._id, fields, tables };
+}
+
+// Dotted MongoDB path of every column ('items.sku'), used to place indexes
+function getColumnPaths(layout) {
+  const tablePaths = {};
+  const columnPaths = {};
+
+  layout.tables.forEach(table => {
+    tablePaths[table.name] = table.parent === null ? [] : tablePaths[table.parent].concat(table.path);
+    table.columns.forEach(column => {
+      columnPaths[tablePaths[table.name].concat(column.path).join('.')] = { table, column };
+    });
+  });
+
+  return columnPaths;
+}
+
+function generateNormalizedCreateSQL(layout, dialect, indexes = []) {
+  const { quote } = getDialect(dialect);
+  const idType = idColumnType(layout.id, dialect);
+  const columnTypes = new Map();
+  layout.tables.forEach(table => {
+    table.columns.forEach(column => columnTypes.set(column, inferColumnType(column.field, dialect)));
+  });
+
+  const columnPaths = getColumnPaths(layout);
+  const translated = translateIndexes(indexes, field => {
+    const match = columnPaths[field];
+    if (!match || ['object', 'array'].includes(match.column.field.type)) return null;
+    return {
+      table: match.table.name,
+      column: match.column.name,
+      sqlType: columnTypes.get(match.column).sqlType,
+      multikey: match.table.parent !== null
+    };
+  }, dialect);
+  let sql = `-- Schema for collection: ${layout.collection} (normalized, ${layout.tables.length} tables)\n`;
+
+  layout.tables.forEach(table => {
+    const definitions = [];
+
+    if (table.parent === null) {
+      definitions.push(`  ${quote('_id')} ${idType} PRIMARY KEY`);
+    } else {
+      table.keyColumns.forEach(column => {
+        definitions.push(`  ${quote(column)} ${column === PARENT_ID_COLUMN ? idType : 'INTEGER'} NOT NULL`);
+      });
+    }
+    table.columns.forEach(column => {
+      definitions.push(formatColumnDefinition(quote(column.name), columnTypes.get(column), column.notNull ? ' NOT NULL' : ''));
+    });
+    if (table.parent !== null) {
+      definitions.push(`  PRIMARY KEY (${table.keyColumns.map(quote).join(', ')})`);
+      definitions.push(`  FOREIGN KEY (${table.foreignKey.columns.map(quote).join(', ')}) ` +
+        `REFERENCES ${quote(table.parent)} (${table.foreignKey.references.map(quote).join(', ')})`);
+    }
+    definitions.push(...(translated.constraints[table.name] || []));
+
+    sql += `CREATE TABLE IF NOT EXISTS ${quote(table.name)} (\n`;
+    sql += definitions.join(',\n');
+    sql += '\n);\n';
+  });
+
+  return sql + translated.statements + '\n';
+}
+
+function getPathValue(value, path) {
+  return path.reduce((current, key) => {
+    if (current === null || current === undefined || getValueType(current) !== 'object') return undefined;
+    return current[key];
+  }, value);
+}
+
+// Compound (object) _ids are stored as their Extended JSON string
+function toIdValue(id) {
+  return ['object', 'array'].includes(getValueType(id)) ? EJSON.stringify(id) : id;
+}
+
+// Values that do not fit the column (objects, arrays) are stored as JSON, like the JSON layout does
+function toColumnValue(value) {
+  const type = getValueType(value);
+  if (type === 'object' || type === 'array') {
+    return EJSON.stringify(value, { relaxed: true });
+  }
+  return value;
+}
+
+function toRow(table, keyValues, source) {
+  const values = { ...keyValues };
+
+  table.columns.forEach(column => {
+    const value = column.path.length === 0 ? source : getPathValue(source, column.path);
+    values[column.name] = toColumnValue(value);
+  });
+
+  return { table: table.name, values };
+}
+
+// Rows of a document and all of its array elements, parents before children
+function getNormalizedRows(layout, doc) {
+  const root = layout.tables[0];
+  const parentId = toIdValue(doc._id);
+  const rows = [toRow(root, { _id: parentId }, doc)];
+
+  function addChildren(parentTable, source, ordinals) {
+    layout.tables.filter(table => table.parent === parentTable.name).forEach(table => {
+      const elements = getPathValue(source, table.path);
+      if (!Array.isArray(elements)) return;
+
+      elements.forEach((element, index) => {
+        const keyValues = { [PARENT_ID_COLUMN]: parentId };
+        ordinals.forEach((ordinal, level) => {
+          keyValues[`${ORDINAL_COLUMN}_${level + 1}`] = ordinal;
+        });
+        keyValues[ORDINAL_COLUMN] = index;
+
+        if (table.kind === 'junction') {
+          rows.push(toRow(table, keyValues, element));
+        } else if (getValueType(element) === 'object') {
+          rows.push(toRow(table, keyValues, element));
+          addChildren(table, element, ordinals.concat(index));
+        }
+      });
+    });
+  }
+
+  addChildren(root, doc, []);
+  return rows;
+}
+
+// Columns of a normalized table in CREATE TABLE order
+function getTableColumns(table) {
+  return table.keyColumns.concat(table.columns.map(column => column.name));
+}
+
+// Paths of the fields of a document that have no column in any table of the layout, because
+// the schema analysis did not see them ('items[].color' for a field of array elements)
+function getUnknownFields(layout, doc) {
+  const unknown = new Set();
+
+  function collect(fields, value, prefix) {
+    Object.keys(value).forEach(key => {
+      const fieldInfo = fields[key];
+      const fieldPath = prefix ? `${prefix}.${key}` : key;
+      const nested = value[key];
+
+      if (!fieldInfo) {
+        unknown.add(fieldPath);
+      } else if (fieldInfo.type === 'object' && !fieldInfo.mixed && fieldInfo.nestedFields && getValueType(nested) === 'object') {
+        collect(fieldInfo.nestedFields, nested, fieldPath);
+      } else if (isSubdocumentArray(fieldInfo) && Array.isArray(nested)) {
+        nested.filter(element => getValueType(element) === 'object')
+          .forEach(element => collect(fieldInfo.arrayElement.nestedFields, element, `${fieldPath}[]`));
+      }
+    });
+  }
+
+  collect(layout.fields, doc, '');
+  return Array.from(unknown);
+}
+
+// INSERT statements for a document and all of its array elements, parents before children
+function generateNormalizedInsertSQL(layout, doc, dialect) {
+  return getNormalizedRows(layout, doc)
+    .map(row => formatInsertStatement(row.table, Object.keys(row.values), [row.values], dialect))
+    .join('');
+}
+
+module.exports = {
+  buildTableLayout,
+  generateNormalizedCreateSQL,
+  generateNormalizedInsertSQL,
+  getNormalizedRows,
+  getTableColumns,
+  getUnknownFields
+};
@@ -0,0 +1,371 @@
+// Shared schema model produced by export.js and consumed by import.js
+//
+// A collection schema is a tree of field nodes:
+//   {
+//     type,              dominant non-null type ('null' if only nulls were seen)
+//     types,             type distribution: { typeName: occurrences }
+//     mixed,             true when more than one non-null type was seen
+//     count,             number of occurrences of the field
+//     presence,          ratio of parent objects that contain the field
+//     required,          present in every parent object
+//     nullCount,         number of null values
+//     nullable,          at least one null value was seen
+//     min, max,          smallest/largest numeric or date value
+//     integer,           every numeric value was a whole number
+//     precision, scale,  digits needed to hold every Decimal128 value: DECIMAL(precision, scale)
+//     minLength,         shortest/longest string value
+//     maxLength,
+//     distinct,          { count, values } for low-cardinality fields,
+//                        { count, exceeded: true } once the limit is passed
+//     nestedFields,      child field nodes when the field holds objects
+//     arrayElementType,  dominant element type when the field holds arrays
+//     arrayElement       field node describing the array elements
+//   }
+
+const SCHEMA_VERSION = 2;
+
+// Fields with more distinct values than this are not considered low-cardinality
+const DISTINCT_VALUES_LIMIT = 50;
+
+const NUMERIC_TYPES = ['number', 'long', 'decimal128'];
+const DISTINCT_TYPES = ['string', 'number', 'long', 'decimal128', 'boolean', 'objectId', 'date'];
+
+function getValueType(value) {
+  if (value === null) return 'null';
+  if (value === undefined) return 'undefined';
+  if (Array.isArray(value)) return 'array';
+  if (value instanceof Date) return 'date';
+  if (typeof value === 'object' && value._bsontype) return getBSONType(value);
+  return typeof value;
+}
+
+// Map BSON wrapper values to schema type names so they are treated as leaves
+function getBSONType(value) {
+  switch (value._bsontype) {
+    case 'ObjectId': return 'objectId';
+    case 'Int32':
+    case 'Double': return 'number';
+    case 'Long': return 'long';
+    case 'Decimal128': return 'decimal128';
+    case 'Binary': return value.sub_type === 4 ? 'uuid' : 'binary';
+    default: return value._bsontype.charAt(0).toLowerCase() + value._bsontype.slice(1);
+  }
+}
+
+// Helper function to analyze field types from sample documents
+function analyzeFieldTypes(documents) {
+  const analyzer = createSchemaAnalyzer();
+
+  documents.forEach(doc => {
+    analyzer.add(doc);
+  });
+
+  return analyzer.finalize();
+}
+
+// Incremental analyzer, so documents can be fed from a cursor without holding them in memory
+function createSchemaAnalyzer() {
+  const fields = {};
+  let documentCount = 0;
+
+  return {
+    add(doc) {
+      analyzeObject(doc, fields);
+      documentCount++;
+    },
+    finalize() {
+      return finalizeFields(fields, documentCount);
+    },
+    get documentCount() {
+      return documentCount;
+    }
+  };
+}
+
+function analyzeObject(obj, fields) {
+  Object.keys(obj).forEach(key => {
+    if (!fields[key]) {
+      fields[key] = createNode();
+    }
+    recordValue(fields[key], obj[key]);
+  });
+}
+
+function createNode() {
+  return {
+    count: 0,
+    types: {},
+    fields: null,
+    element: null,
+    min: undefined,
+    max: undefined,
+    minLength: undefined,
+    maxLength: undefined,
+    integer: undefined,
+    integerDigits: undefined,
+    scale: undefined,
+    distinct: new Map(),
+    distinctExceeded: false
+  };
+}
+
+function getNumericValue(value) {
+  if (typeof value === 'number') return value;
+  if (value._bsontype === 'Long') return value.toNumber();
+  if (value._bsontype === 'Decimal128') return Number(value.toString());
+  return value.valueOf();
+}
+
+// Digits of a Decimal128 value: '1.50' has 1 integer digit and scale 2, '1.2E+3' 4 integer digits and scale 0
+function getDecimalDigits(value) {
+  const match = /^-?(\d*)\.?(\d*)(?:E([+-]\d+))?$/.exec(value.toString());
+  if (!match) return null; // NaN, Infinity
+
+  const coefficient = (match[1] + match[2]).replace(/^0+/, '') || '0';
+  const exponent = (match[3] ? parseInt(match[3], 10) : 0) - match[2].length;
+  const scale = Math.max(0, -exponent);
+  const integerDigits = Math.max(0, coefficient.length + exponent);
+  return { integerDigits, scale };
+}
+
+function recordNumericDigits(node, value, type) {
+  let integer;
+  if (type === 'decimal128') {
+    const digits = getDecimalDigits(value);
+    if (!digits) return;
+    node.integerDigits = Math.max(node.integerDigits || 0, digits.integerDigits);
+    node.scale = Math.max(node.scale || 0, digits.scale);
+    integer = digits.scale === 0;
+  } else {
+    integer = type === 'long' || Number.isInteger(getNumericValue(value));
+  }
+  node.integer = node.integer !== false && integer;
+}
+
+function recordStatistics(node, value, type) {
+  if (NUMERIC_TYPES.includes(type)) {
+    recordNumericDigits(node, value, type);
+  }
+
+  if (NUMERIC_TYPES.includes(type) || type === 'date') {
+    const comparable = type === 'date' ? value.getTime() : getNumericValue(value);
+    if (!isNaN(comparable)) {
+      if (node.min === undefined || comparable < node.min.comparable) node.min = { comparable, value };
+      if (node.max === undefined || comparable > node.max.comparable) node.max = { comparable, value };
+    }
+  } else if (type === 'string') {
+    if (node.minLength === undefined || value.length < node.minLength) node.minLength = value.length;
+    if (node.maxLength === undefined || value.length > node.maxLength) node.maxLength = value.length;
+  }
+
+  if (!node.distinctExceeded && DISTINCT_TYPES.includes(type)) {
+    const key = `${type}:${type === 'date' ? value.toISOString() : String(value)}`;
+    if (!node.distinct.has(key)) {
+      if (node.distinct.size >= DISTINCT_VALUES_LIMIT) {
+        node.distinctExceeded = true;
+        node.distinct.clear();
+      } else {
+        node.distinct.set(key, value);
+      }
+    }
+  }
+}
+
+function recordValue(node, value) {
+  const type = getValueType(value);
+
+  node.count++;
+  node.types[type] = (node.types[type] || 0) + 1;
+  recordStatistics(node, value, type);
+
+  // Recursively analyze nested objects
+  if (type === 'object') {
+    if (!node.fields) node.fields = {};
+    analyzeObject(value, node.fields);
+  } else if (type === 'array') {
+    // Analyze array elements
+    if (!node.element) node.element = createNode();
+    value.forEach(item => recordValue(node.element, item));
+  }
+}
+
+function finalizeFields(fields, parentCount) {
+  const result = {};
+  Object.keys(fields).forEach(key => {
+    result[key] = finalizeNode(fields[key], parentCount);
+  });
+  return result;
+}
+
+function finalizeNode(node, parentCount) {
+  const nullCount = node.types['null'] || 0;
+  const nonNullTypes = Object.keys(node.types).filter(type => type !== 'null' && type !== 'undefined');
+  const type = nonNullTypes.length > 0
+    ? nonNullTypes.reduce((a, b) => node.types[a] >= node.types[b] ? a : b)
+    : 'null';
+
+  const fieldSchema = {
+    type,
+    types: { ...node.types },
+    mixed: nonNullTypes.length > 1,
+    count: node.count,
+    presence: parentCount > 0 ? Math.round((node.count / parentCount) * 10000) / 10000 : 0,
+    required: parentCount > 0 && node.count === parentCount,
+    nullCount,
+    nullable: nullCount > 0
+  };
+
+  if (node.min !== undefined) {
+    fieldSchema.min = node.min.value;
+    fieldSchema.max = node.max.value;
+  }
+  if (node.minLength !== undefined) {
+    fieldSchema.minLength = node.minLength;
+    fieldSchema.maxLength = node.maxLength;
+  }
+  if (node.integer !== undefined) {
+    fieldSchema.integer = node.integer;
+  }
+  if (node.scale !== undefined) {
+    fieldSchema.precision = Math.max(1, node.integerDigits + node.scale);
+    fieldSchema.scale = node.scale;
+  }
+  if (node.distinctExceeded) {
+    fieldSchema.distinct = { count: DISTINCT_VALUES_LIMIT, exceeded: true };
+  } else if (node.distinct.size > 0) {
+    fieldSchema.distinct = { count: node.distinct.size, values: Array.from(node.distinct.values()) };
+  }
+
+  if (node.fields) {
+    fieldSchema.nestedFields = finalizeFields(node.fields, node.types['object']);
+  }
+
+  if (node.element && node.element.count > 0) {
+    fieldSchema.arrayElement = finalizeNode(node.element, node.element.count);
+    fieldSchema.arrayElementType = fieldSchema.arrayElement.type;
+  }
+
+  return fieldSchema;
+}
+
+// Flatten a field tree into dotted paths ('address.city', 'items[].sku'),
+// the shape used for SQL column generation
+function flattenSchemaFields(fields, prefix = '') {
+  const flattened = {};
+
+  Object.keys(fields).forEach(key => {
+    const fieldSchema = fields[key];
+    const fullKey = prefix ? `${prefix}.${key}` : key;
+
+    flattened[fullKey] = fieldSchema;
+
+    if (fieldSchema.nestedFields) {
+      Object.assign(flattened, flattenSchemaFields(fieldSchema.nestedFields, fullKey));
+    }
+    if (fieldSchema.arrayElement && fieldSchema.arrayElement.nestedFields) {
+      Object.assign(flattened, flattenSchemaFields(fieldSchema.arrayElement.nestedFields, `${fullKey}[]`));
+    }
+  });
+
+  return flattened;
+}
+
+// Version 1 schemas stored flat dotted keys with { type, nullable, samples }
+function migrateFieldsV1(flatFields) {
+  const fields = {};
+
+  Object.keys(flatFields).forEach(fieldPath => {
+    const oldSchema = flatFields[fieldPath];
+    const segments = fieldPath.split('.');
+    let current = fields;
+    let node = null;
+
+    segments.forEach((segment, index) => {
+      const isArray = segment.endsWith('[]');
+      const key = isArray ? segment.slice(0, -2) : segment;
+
+      if (!current[key]) {
+        current[key] = { type: isArray ? 'array' : 'object', types: {}, mixed: false, required: false, nullCount: 0, nullable: false };
+      }
+      node = current[key];
+
+      if (index < segments.length - 1) {
+        if (isArray) {
+          if (!node.arrayElement) {
+            node.arrayElement = { type: 'object', types: {}, mixed: false, required: false, nullCount: 0, nullable: false };
+            node.arrayElementType = 'object';
+          }
+          if (!node.arrayElement.nestedFields) node.arrayElement.nestedFields = {};
+          current = node.arrayElement.nestedFields;
+        } else {
+          if (!node.nestedFields) node.nestedFields = {};
+          current = node.nestedFields;
+        }
+      }
+    });
+
+    // Presence was not recorded in version 1, so no field can be treated as required
+    node.type = oldSchema.type;
+    node.types = { [oldSchema.type]: oldSchema.samples || 0 };
+    node.count = oldSchema.samples || 0;
+    node.nullable = Boolean(oldSchema.nullable);
+    node.nullCount = oldSchema.nullable ? 1 : 0;
+  });
+
+  return fields;
+}
+
+function migrateCollectionSchema(collectionSchema) {
+  const version = collectionSchema.schemaVersion || 1;
+
+  if (version > SCHEMA_VERSION) {
+    throw new Error(
+      `Schema for collection '${collectionSchema.name}' has version ${version}, ` +
+      `this importer only supports up to version ${SCHEMA_VERSION}`
+    );
+  }
+
+  if (version === SCHEMA_VERSION) {
+    return collectionSchema;
+  }
+
+  return {
+    ...collectionSchema,
+    schemaVersion: SCHEMA_VERSION,
+    fields: migrateFieldsV1(collectionSchema.fields || {})
+  };
+}
+
+// Bring an exported database schema up to the current version, refusing newer ones
+function migrateDatabaseSchema(databaseSchema) {
+  const version = databaseSchema.schemaVersion || 1;
+
+  if (version > SCHEMA_VERSION) {
+    throw new Error(
+      `Database schema has version ${version}, this importer only supports up to version ${SCHEMA_VERSION}. ` +
+      `Please upgrade the importer.`
+    );
+  }
+
+  const collections = {};
+  Object.keys(databaseSchema.collections || {}).forEach(name => {
+    collections[name] = migrateCollectionSchema(databaseSchema.collections[name]);
+  });
+
+  return {
+    ...databaseSchema,
+    schemaVersion: SCHEMA_VERSION,
+    migratedFrom: version < SCHEMA_VERSION ? version : undefined,
+    collections
+  };
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  getValueType,
+  analyzeFieldTypes,
+  createSchemaAnalyzer,
+  flattenSchemaFields,
+  migrateCollectionSchema,
+  migrateDatabaseSchema
+};
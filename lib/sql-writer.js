@@ -0,0 +1,223 @@
+// SQL data of one collection: batched INSERTs or CSV files for the dialect's bulk loader,
+// written into the migration scripts or into numbered chunk files next to them
+//
+//   migration/users.sql              DDL, then the INSERTs (or SOURCE / \ir / .read of the chunks)
+//   migration/users.0001.sql         INSERT chunks when --sql-chunk-rows or --sql-chunk-size is set
+//   migration/csv/users.csv          CSV data, loaded by LOAD DATA / \copy / .import statements
+const fs = require("fs");
+const path = require("path");
+const {
+  getDialect,
+  formatInsertStatement,
+  formatValueForCSV,
+  generateMigrationPreamble
+} = require("./sql");
+const { writeChunk, closeStream } = require("./streams");
+
+const SQL_DATA_FORMATS = ['inserts', 'csv'];
+const CSV_DIR = 'csv';
+
+function isChunked(options) {
+  return Boolean(options.sqlChunkRows || options.sqlChunkSize);
+}
+
+// users + 2 -> users.0002
+function chunkBaseName(base, number) {
+  return `${base}.${String(number).padStart(4, '0')}`;
+}
+
+// A file split into numbered parts once a part reaches the row or size limit (sqlChunkSize is in MB)
+function createChunkedFile(dir, base, extension, hooks, options) {
+  const chunked = isChunked(options);
+  const maxRows = options.sqlChunkRows || Infinity;
+  const maxBytes = options.sqlChunkSize ? options.sqlChunkSize * 1024 * 1024 : Infinity;
+  const files = [];
+  let stream = null;
+  let rows = 0;
+  let bytes = 0;
+
+  async function writeText(text) {
+    bytes += Buffer.byteLength(text);
+    await writeChunk(stream, text);
+  }
+
+  async function end() {
+    if (!stream) return;
+    await writeText(hooks.footer());
+    await closeStream(stream);
+    stream = null;
+  }
+
+  async function write(text, rowCount) {
+    if (!stream) {
+      const fileName = `${chunked ? chunkBaseName(base, files.length + 1) : base}.${extension}`;
+      files.push(path.join(dir, fileName));
+      stream = fs.createWriteStream(files[files.length - 1]);
+      rows = 0;
+      bytes = 0;
+      await writeText(hooks.header(files.length));
+    }
+
+    await writeText(text);
+    rows += rowCount;
+    if (chunked && (rows >= maxRows || bytes >= maxBytes)) {
+      await end();
+    }
+  }
+
+  return { write, end, files };
+}
+
+function csvHeader(columns) {
+  return columns.map(column => `"${column.replace(/"/g, '""')}"`).join(',') + '\n';
+}
+
+// Path of a data file as written in the migration script, relative to the migration directory
+function relativePath(migrationDir, filePath) {
+  return path.relative(migrationDir, filePath).split(path.sep).join('/');
+}
+
+// Writer for the rows of a collection's SQL generator ({tables, columns, rows(doc), unknownFields(doc)})
+// `streams` are the collection's migration file and the complete migration, both past their DDL
+function createSQLWriter(name, generator, streams, options, reporter) {
+  const dialectName = options.sqlDialect;
+  const dialect = getDialect(dialectName);
+  const { migrationDir, dbName } = options;
+  const batchSize = Math.max(1, options.sqlBatchSize || 1);
+  const begin = options.sqlTransactions ? `${dialect.beginTransaction}\n` : '';
+  const commit = options.sqlTransactions ? 'COMMIT;\n' : '';
+  const tableIndex = new Map(generator.tables.map((table, index) => [table, index]));
+  const pending = generator.tables.map(() => null);
+  const csvFiles = new Map();
+  const unknownFields = new Set();
+  let insertFile = null;
+  let rowCount = 0;
+
+  async function writeMigration(text) {
+    for (const stream of streams) {
+      await writeChunk(stream, text);
+    }
+  }
+
+  // Unchunked INSERTs go into the migration scripts, chunks into their own files
+  async function writeInserts(text, rows) {
+    if (insertFile) {
+      await insertFile.write(text, rows);
+    } else {
+      await writeMigration(text);
+    }
+  }
+
+  // Write pending batches of the tables up to `lastIndex`: parents come first, so foreign keys hold
+  async function flush(lastIndex = pending.length - 1) {
+    for (let index = 0; index <= lastIndex; index++) {
+      const batch = pending[index];
+      if (!batch) continue;
+      pending[index] = null;
+      await writeInserts(formatInsertStatement(batch.table, batch.columns, batch.rows, dialectName), batch.rows.length);
+    }
+  }
+
+  // Rows go into the same multi-row INSERT while they have the same columns
+  async function addInsertRow(row) {
+    const index = tableIndex.get(row.table);
+    const columns = Object.keys(row.values);
+    const key = columns.join('\u0000');
+
+    if (pending[index] && pending[index].key !== key) {
+      await flush(index);
+    }
+    if (!pending[index]) {
+      pending[index] = { table: row.table, key, columns, rows: [] };
+    }
+    pending[index].rows.push(row.values);
+    if (pending[index].rows.length >= batchSize) {
+      await flush(index);
+    }
+  }
+
+  async function addCSVRow(row) {
+    const columns = generator.columns[row.table];
+    if (!csvFiles.has(row.table)) {
+      csvFiles.set(row.table, createChunkedFile(path.join(migrationDir, CSV_DIR), row.table, 'csv', {
+        header: () => csvHeader(columns),
+        footer: () => ''
+      }, options));
+    }
+
+    const line = columns.map(column => formatValueForCSV(row.values[column], dialectName)).join(',') + '\n';
+    await csvFiles.get(row.table).write(line, 1);
+  }
+
+  async function start() {
+    if (options.sqlData === 'csv') {
+      fs.mkdirSync(path.join(migrationDir, CSV_DIR), { recursive: true });
+    } else if (isChunked(options)) {
+      insertFile = createChunkedFile(migrationDir, name, 'sql', {
+        header: part => generateMigrationPreamble(dbName, dialectName) +
+          `-- Data for collection: ${name} (part ${part})\n${begin}`,
+        footer: () => commit
+      }, options);
+    } else {
+      await writeMigration(`-- Data for collection: ${name}\n${begin}`);
+    }
+  }
+
+  // Tables only have columns for the fields the schema analysis saw, others are reported once each
+  function checkFields(doc) {
+    generator.unknownFields(doc).filter(field => !unknownFields.has(field)).forEach(field => {
+      unknownFields.add(field);
+      reporter.warn(`  ⚠️  '${field}' has no SQL column (not seen by the schema analysis), its values are left out; use --schema-strategy=full`);
+    });
+  }
+
+  async function write(doc) {
+    checkFields(doc);
+    for (const row of generator.rows(doc)) {
+      if (options.sqlData === 'csv') {
+        await addCSVRow(row);
+      } else {
+        await addInsertRow(row);
+      }
+      rowCount++;
+    }
+  }
+
+  // Flush the last batches and reference the chunk or CSV files from the migration scripts
+  async function finish() {
+    let files = [];
+
+    if (options.sqlData === 'csv') {
+      let loads = '';
+      for (const table of generator.tables) {
+        const csvFile = csvFiles.get(table);
+        if (!csvFile) continue;
+        await csvFile.end();
+        csvFile.files.forEach(file => {
+          const columns = generator.columns[table].map(dialect.quote).join(', ');
+          loads += dialect.loadCSV(dialect.quote(table), columns, dialect.escapeString(relativePath(migrationDir, file))) + '\n';
+        });
+        files = files.concat(csvFile.files);
+      }
+      await writeMigration(`-- Data for collection: ${name} (CSV)\n${begin}${loads}${commit}\n`);
+    } else if (insertFile) {
+      await flush();
+      await insertFile.end();
+      const includes = insertFile.files.map(file => dialect.includeFile(relativePath(migrationDir, file)) + '\n').join('');
+      await writeMigration(`-- Data for collection: ${name} (${insertFile.files.length} parts)\n${includes}\n`);
+      files = insertFile.files;
+    } else {
+      await flush();
+      await writeMigration(`${commit}\n`);
+    }
+
+    return { rows: rowCount, files };
+  }
+
+  return { start, write, finish };
+}
+
+module.exports = {
+  SQL_DATA_FORMATS,
+  createSQLWriter
+};
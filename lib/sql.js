@@ -0,0 +1,531 @@
+// SQL migration output generated from the schema analysis and exported documents
+const { BSON } = require("mongodb");
+
+const { EJSON } = BSON;
+
+// Quoting, column types, literals and preamble per SQL dialect
+const SQL_DIALECTS = {
+  mysql: {
+    quote: name => `\`${name.replace(/`/g, '``')}\``,
+    // Backslash is an escape character in MySQL string literals by default
+    escapeString: value => value.replace(/\\/g, '\\\\').replace(/'/g, "''"),
+    formatBoolean: value => (value ? '1' : '0'),
+    formatDate: value => value.toISOString().slice(0, 19).replace('T', ' '),
+    int: 'INT',
+    bigint: 'BIGINT',
+    double: 'DOUBLE',
+    decimal: (precision, scale) => (precision <= 65 && scale <= 30 ? `DECIMAL(${precision},${scale})` : null),
+    varchar: length => `VARCHAR(${length})`,
+    // Only a prefix of TEXT columns can be indexed
+    indexColumn: (column, sqlType) => (sqlType === 'TEXT' ? `${column}(255)` : column),
+    indexIfNotExists: false,
+    types: {
+      'string': 'TEXT',
+      'number': 'DOUBLE',
+      'long': 'BIGINT',
+      'decimal128': 'DECIMAL(65,30)',
+      'boolean': 'BOOLEAN',
+      'date': 'DATETIME',
+      'objectId': 'VARCHAR(24)',
+      'uuid': 'CHAR(36)',
+      'array': 'JSON',
+      'object': 'JSON',
+      'null': 'TEXT'
+    },
+    preamble: (dbName, quote) => `CREATE DATABASE IF NOT EXISTS ${quote(dbName)};\nUSE ${quote(dbName)};\n\n`,
+    beginTransaction: 'START TRANSACTION;',
+    // Run from the migration directory: the mysql client resolves paths from its working directory
+    includeFile: file => `SOURCE ${file};`,
+    // With an empty escape character an unquoted NULL is read as NULL, a quoted "NULL" as the string
+    csvNull: 'NULL',
+    loadCSV: (table, columns, file) => `LOAD DATA LOCAL INFILE '${file}' INTO TABLE ${table} CHARACTER SET utf8mb4\n` +
+      `  FIELDS TERMINATED BY ',' OPTIONALLY ENCLOSED BY '"' ESCAPED BY ''\n` +
+      `  LINES TERMINATED BY '\\n' IGNORE 1 LINES (${columns});`
+  },
+  postgres: {
+    quote: name => `"${name.replace(/"/g, '""')}"`,
+    escapeString: value => value.replace(/\u0000/g, '').replace(/'/g, "''"),
+    formatBoolean: value => (value ? 'TRUE' : 'FALSE'),
+    formatDate: value => value.toISOString(),
+    int: 'INTEGER',
+    bigint: 'BIGINT',
+    double: 'DOUBLE PRECISION',
+    decimal: (precision, scale) => (precision <= 1000 ? `NUMERIC(${precision},${scale})` : null),
+    varchar: length => `VARCHAR(${length})`,
+    indexColumn: column => column,
+    indexIfNotExists: true,
+    types: {
+      'string': 'TEXT',
+      'number': 'DOUBLE PRECISION',
+      'long': 'BIGINT',
+      'decimal128': 'NUMERIC',
+      'boolean': 'BOOLEAN',
+      'date': 'TIMESTAMPTZ',
+      'objectId': 'VARCHAR(24)',
+      'uuid': 'UUID',
+      'array': 'JSONB',
+      'object': 'JSONB',
+      'null': 'TEXT'
+    },
+    // A database cannot be created conditionally from a script, the export goes into a schema instead
+    preamble: (dbName, quote) => `CREATE SCHEMA IF NOT EXISTS ${quote(dbName)};\nSET search_path TO ${quote(dbName)};\n\n`,
+    beginTransaction: 'BEGIN;',
+    // psql meta-commands: \ir is relative to the including script, \copy reads the file on the client
+    includeFile: file => `\\ir ${file}`,
+    csvNull: '',
+    loadCSV: (table, columns, file) => `\\copy ${table} (${columns}) FROM '${file}' WITH (FORMAT csv, HEADER true)`
+  },
+  sqlite: {
+    quote: name => `"${name.replace(/"/g, '""')}"`,
+    escapeString: value => value.replace(/'/g, "''"),
+    formatBoolean: value => (value ? '1' : '0'),
+    formatDate: value => value.toISOString(),
+    // SQLite column types are affinities, lengths and precisions are not enforced
+    int: 'INTEGER',
+    bigint: 'INTEGER',
+    double: 'REAL',
+    decimal: () => 'NUMERIC',
+    varchar: () => 'TEXT',
+    indexColumn: column => column,
+    indexIfNotExists: true,
+    types: {
+      'string': 'TEXT',
+      'number': 'REAL',
+      'long': 'INTEGER',
+      'decimal128': 'TEXT',
+      'boolean': 'INTEGER',
+      'date': 'TEXT',
+      'objectId': 'TEXT',
+      'uuid': 'TEXT',
+      'array': 'TEXT',
+      'object': 'TEXT',
+      'null': 'TEXT'
+    },
+    // The database is the file the script is run against
+    preamble: () => '',
+    beginTransaction: 'BEGIN TRANSACTION;',
+    // sqlite3 shell dot-commands, paths are relative to its working directory
+    includeFile: file => `.read ${file}`,
+    // .import has no NULL marker, empty fields are imported as empty strings
+    csvNull: '',
+    loadCSV: (table, columns, file) => `.import --csv --skip 1 ${file} ${table}`
+  }
+};
+
+function getDialect(dialect = 'mysql') {
+  if (!SQL_DIALECTS[dialect]) {
+    throw new Error(`Unknown SQL dialect '${dialect}', expected one of: ${Object.keys(SQL_DIALECTS).join(', ')}`);
+  }
+  return SQL_DIALECTS[dialect];
+}
+
+function toColumnName(field) {
+  return field.replace(/\[\]/g, '_array').replace(/\./g, '_');
+}
+
+const NUMERIC_TYPES = ['number', 'long', 'decimal128'];
+// BigInt bounds: the int64 limits have no exact double, so statistics are compared as BigInt too
+const INT32_RANGE = [-(2n ** 31n), 2n ** 31n - 1n];
+const INT64_RANGE = [-(2n ** 63n), 2n ** 63n - 1n];
+
+// Strings up to the longest observed value get the smallest of these VARCHAR lengths, longer ones TEXT
+const VARCHAR_LENGTHS = [16, 32, 64, 128, 255];
+
+function getObservedTypes(fieldInfo) {
+  const types = Object.keys(fieldInfo.types || {}).filter(type => type !== 'null' && type !== 'undefined');
+  return types.length > 0 ? types : [fieldInfo.type];
+}
+
+function toNumber(value) {
+  return typeof value === 'number' ? value : Number(value.toString());
+}
+
+// Exact value of an integer statistic (number, Int32, Long or Decimal128), null when there is none
+function toBigInt(value) {
+  if (value === undefined) return null;
+  const text = typeof value === 'number' ? null : value.toString();
+  if (text !== null && /^-?\d+$/.test(text)) return BigInt(text);
+  const number = text === null ? value : Number(text);
+  return Number.isInteger(number) ? BigInt(number) : null;
+}
+
+function inRange(low, high, range) {
+  return low !== null && high !== null && low >= range[0] && high <= range[1];
+}
+
+function numericColumnType(fieldInfo, types, dialect) {
+  const sqlDialect = getDialect(dialect);
+  const min = fieldInfo.min !== undefined ? toNumber(fieldInfo.min) : NaN;
+  const max = fieldInfo.max !== undefined ? toNumber(fieldInfo.max) : NaN;
+
+  // Schemas without digit statistics (older exports) keep the plain type mapping
+  if (fieldInfo.integer === undefined) {
+    return mongoTypeToSQL(types.includes('decimal128') ? 'decimal128' : (types.includes('long') ? 'long' : 'number'), dialect);
+  }
+
+  // Integers beyond int64 continue to DECIMAL/NUMERIC (Decimal128) or the floating point type
+  if (fieldInfo.integer) {
+    const low = toBigInt(fieldInfo.min);
+    const high = toBigInt(fieldInfo.max);
+    if (inRange(low, high, INT32_RANGE)) return sqlDialect.int;
+    if (fieldInfo.min === undefined || inRange(low, high, INT64_RANGE)) return sqlDialect.bigint;
+  }
+
+  // Without digit statistics (see widenFields) Decimal128 values get the widest decimal type
+  if (types.includes('decimal128') && fieldInfo.precision === undefined) {
+    return mongoTypeToSQL('decimal128', dialect);
+  }
+  if (types.includes('decimal128')) {
+    const magnitude = Math.max(Math.abs(min), Math.abs(max));
+    const integerDigits = Math.max(
+      fieldInfo.precision - fieldInfo.scale,
+      isFinite(magnitude) && magnitude < 1e21 ? String(Math.trunc(magnitude)).length : 0
+    );
+    return sqlDialect.decimal(integerDigits + fieldInfo.scale, fieldInfo.scale) || mongoTypeToSQL('decimal128', dialect);
+  }
+
+  return sqlDialect.double;
+}
+
+function stringColumnType(fieldInfo, dialect) {
+  const length = VARCHAR_LENGTHS.find(limit => fieldInfo.maxLength !== undefined && fieldInfo.maxLength <= limit);
+  return length ? getDialect(dialect).varchar(length) : mongoTypeToSQL('string', dialect);
+}
+
+// SQL column type for a schema field, using its value statistics. Fields holding several
+// kinds of values become text columns and are reported in `mixed`.
+function inferColumnType(fieldInfo, dialect) {
+  const types = getObservedTypes(fieldInfo);
+
+  if (types.every(type => NUMERIC_TYPES.includes(type))) {
+    return { sqlType: numericColumnType(fieldInfo, types, dialect) };
+  }
+  if (types.length > 1) {
+    return { sqlType: mongoTypeToSQL('string', dialect), mixed: types };
+  }
+  if (types[0] === 'string') {
+    return { sqlType: stringColumnType(fieldInfo, dialect) };
+  }
+  return { sqlType: mongoTypeToSQL(types[0], dialect) };
+}
+
+// Primary key type for _id; compound and mixed ids, and strings of unknown length, are stored as text
+function idColumnType(idInfo, dialect) {
+  if (!idInfo) return mongoTypeToSQL('objectId', dialect);
+  if (['object', 'array'].includes(idInfo.type) || idInfo.mixed) return getDialect(dialect).varchar(255);
+  if (idInfo.type === 'string' && idInfo.maxLength === undefined) return getDialect(dialect).varchar(255);
+  return inferColumnType(idInfo, dialect).sqlType;
+}
+
+// Schema fields without the statistics that narrow column types: a sample says nothing of the
+// documents it did not analyze, whose strings may be longer, numbers larger or fields missing.
+// Strings then become TEXT, integers BIGINT, decimals the widest DECIMAL, and no column NOT NULL.
+function widenFields(fields) {
+  const result = {};
+  Object.keys(fields).forEach(key => {
+    result[key] = widenField(fields[key]);
+  });
+  return result;
+}
+
+function widenField(fieldInfo) {
+  const { minLength, maxLength, min, max, precision, scale, ...widened } = fieldInfo;
+  widened.required = false;
+  if (widened.nestedFields) widened.nestedFields = widenFields(widened.nestedFields);
+  if (widened.arrayElement) widened.arrayElement = widenField(widened.arrayElement);
+  return widened;
+}
+
+// NOT NULL only for fields present, and never null, in every analyzed document
+function isNotNullField(fieldInfo) {
+  return Boolean(fieldInfo.required) && !fieldInfo.nullable;
+}
+
+// Column definition, preceded by a comment when the field has mixed types
+function formatColumnDefinition(quotedName, column, constraint) {
+  const note = column.mixed ? `  -- mixed types (${column.mixed.join(', ')}), stored as text\n` : '';
+  return `${note}  ${quotedName} ${column.sqlType}${constraint}`;
+}
+
+function getIndexName(table, index) {
+  return `${table}_${index.name}`.replace(/[^A-Za-z0-9_]/g, '_').slice(0, 63);
+}
+
+// Translate MongoDB indexes into UNIQUE table constraints and CREATE INDEX statements.
+// resolveField maps an index key field to { table, column, sqlType, multikey } or null.
+function translateIndexes(indexes, resolveField, dialect) {
+  const { quote, indexColumn, indexIfNotExists } = getDialect(dialect);
+  const result = { constraints: {}, statements: '' };
+
+  (indexes || []).forEach(index => {
+    if (index.name === '_id_') return;
+
+    const fields = Object.keys(index.key);
+    const special = fields.find(field => typeof index.key[field] === 'string');
+    if (special) {
+      result.statements += `-- Index ${index.name} not created: ${index.key[special]} indexes have no SQL equivalent\n`;
+      return;
+    }
+
+    const columns = fields.map(resolveField);
+    const unresolved = fields.find((field, position) => !columns[position]);
+    if (unresolved) {
+      result.statements += `-- Index ${index.name} not created: ${unresolved} has no indexable column\n`;
+      return;
+    }
+
+    const table = columns[0].table;
+    if (columns.some(column => column.table !== table)) {
+      result.statements += `-- Index ${index.name} not created: its fields are stored in different tables\n`;
+      return;
+    }
+
+    const name = getIndexName(table, index);
+    const keyColumns = columns.map(column => indexColumn(quote(column.column), column.sqlType));
+
+    // Partial and multikey unique indexes are not unique per row
+    if (index.unique && !index.partialFilterExpression && !columns.some(column => column.multikey)) {
+      if (!result.constraints[table]) result.constraints[table] = [];
+      result.constraints[table].push(`  CONSTRAINT ${quote(name)} UNIQUE (${keyColumns.join(', ')})`);
+      return;
+    }
+
+    if (index.unique) {
+      result.statements += `-- Index ${index.name} is unique in MongoDB, created without UNIQUE (${index.partialFilterExpression ? 'partial' : 'multikey'})\n`;
+    }
+    const orderedColumns = keyColumns.map((column, position) => (index.key[fields[position]] < 0 ? `${column} DESC` : column));
+    result.statements += `CREATE INDEX ${indexIfNotExists ? 'IF NOT EXISTS ' : ''}${quote(name)} ON ${quote(table)} (${orderedColumns.join(', ')});\n`;
+  });
+
+  return result;
+}
+
+// Generate SQL-like CREATE TABLE statements, with constraints and indexes from the collection's indexes
+function generateCreateTableSQL(collectionName, schema, dialect, indexes = []) {
+  const { quote } = getDialect(dialect);
+  let sql = `-- Schema for collection: ${collectionName}\n`;
+  sql += `CREATE TABLE IF NOT EXISTS ${quote(collectionName)} (\n`;
+  
+  const fields = [];
+  const columns = {};
+  Object.keys(schema).forEach(field => {
+    const fieldInfo = schema[field];
+    
+    if (field === '_id') {
+      fields.push(`  ${quote('_id')} ${idColumnType(fieldInfo, dialect)} PRIMARY KEY`);
+      return;
+    }
+    
+    // Nested objects and arrays are single JSON columns, see flattenObject
+    const column = inferColumnType(fieldInfo, dialect);
+    columns[field] = { ...column, type: fieldInfo.type };
+    fields.push(formatColumnDefinition(quote(toColumnName(field)), column, isNotNullField(fieldInfo) ? ' NOT NULL' : ''));
+  });
+  
+  // Add MongoDB _id as primary key
+  if (!schema._id) {
+    fields.unshift(`  ${quote('_id')} ${idColumnType(null, dialect)} PRIMARY KEY`);
+  }
+  
+  // Only top-level scalar fields have a column that can be indexed
+  const translated = translateIndexes(indexes, field => {
+    const column = columns[field];
+    if (!column || ['object', 'array'].includes(column.type)) return null;
+    return { table: collectionName, column: toColumnName(field), sqlType: column.sqlType, multikey: false };
+  }, dialect);
+  
+  sql += fields.concat(translated.constraints[collectionName] || []).join(',\n');
+  sql += '\n);\n';
+  sql += translated.statements;
+  sql += '\n';
+  
+  return sql;
+}
+
+function mongoTypeToSQL(mongoType, dialect) {
+  const typeMap = getDialect(dialect).types;
+  
+  return typeMap[mongoType] || 'TEXT';
+}
+
+// Generate SQL INSERT statements
+function generateInsertSQL(collectionName, documents, schema, dialect) {
+  let sql = `-- Data for collection: ${collectionName}\n`;
+  
+  documents.forEach(doc => {
+    sql += generateInsertStatement(collectionName, doc, schema, dialect);
+  });
+  
+  return sql + '\n';
+}
+
+// Generate a single INSERT statement, used when streaming documents
+function generateInsertStatement(collectionName, doc, schema, dialect) {
+  const [row] = getInsertRows(collectionName, doc, schema);
+  return formatInsertStatement(row.table, Object.keys(row.values), [row.values], dialect);
+}
+
+function getTableFields(schema) {
+  return ['_id'].concat(Object.keys(schema).filter(field => field !== '_id'));
+}
+
+// Rows of the JSON layout: one per document with every column of the table, nested objects and
+// arrays as JSON strings. Fields without a column are left out, see getUnknownFields.
+function getInsertRows(collectionName, doc, schema) {
+  const flatDoc = flattenObject(doc);
+  const values = {};
+  
+  getTableFields(schema).forEach(field => {
+    values[toColumnName(field)] = flatDoc[field] === undefined ? null : flatDoc[field];
+  });
+  
+  return [{ table: collectionName, values }];
+}
+
+// Columns of a JSON layout table in CREATE TABLE order
+function getTableColumns(schema) {
+  return getTableFields(schema).map(toColumnName);
+}
+
+// Fields of a document that have no column in the JSON layout table: the schema analysis did not see them
+function getUnknownFields(schema, doc) {
+  return Object.keys(doc).filter(field => field !== '_id' && !schema[field]);
+}
+
+// One INSERT for rows sharing the same columns, several rows as a multi-row VALUES list
+function formatInsertStatement(table, columns, rows, dialect) {
+  const { quote } = getDialect(dialect);
+  const tuples = rows.map(row => `(${columns.map(column => formatValueForSQL(row[column], dialect)).join(', ')})`);
+  const head = `INSERT INTO ${quote(table)} (${columns.map(quote).join(', ')}) VALUES`;
+  
+  if (tuples.length === 1) {
+    return `${head} ${tuples[0]};\n`;
+  }
+  return `${head}\n  ${tuples.join(',\n  ')};\n`;
+}
+
+// Flatten a document into one value per key. Nested objects and arrays are relaxed Extended JSON
+// strings (ObjectIds, dates and decimals keep their type for the importer), unless `deep` is set: then nested objects are flattened too, into dot-joined keys.
+function flattenObject(obj, prefix = '', deep = false) {
+  const flattened = {};
+  
+  Object.keys(obj).forEach(key => {
+    const value = obj[key];
+    const newKey = prefix ? `${prefix}.${key}` : key;
+    const isObject = typeof value === 'object' && value !== null && !Array.isArray(value) &&
+      !value._bsontype && !(value instanceof Date);
+    
+    if (value === null || value === undefined) {
+      flattened[newKey] = null;
+    } else if (deep && isObject) {
+      Object.assign(flattened, flattenObject(value, newKey, true));
+    } else if (Array.isArray(value) || isObject) {
+      flattened[newKey] = EJSON.stringify(value, { relaxed: true });
+    } else {
+      flattened[newKey] = value;
+    }
+  });
+  
+  return flattened;
+}
+
+// Text of a value and whether it is written as a string literal, shared by SQL and CSV output
+function toSQLText(value, dialect) {
+  const { formatBoolean, formatDate } = getDialect(dialect);
+  
+  if (value === null || value === undefined) {
+    return null;
+  }
+  
+  if (typeof value === 'string') {
+    return { text: value, quoted: true };
+  }
+  
+  if (typeof value === 'boolean') {
+    return { text: formatBoolean(value), quoted: false };
+  }
+  
+  if (value instanceof Date) {
+    return { text: formatDate(value), quoted: true };
+  }
+  
+  if (typeof value === 'object' && value._bsontype) {
+    switch (value._bsontype) {
+      case 'Int32':
+      case 'Double':
+        return { text: String(value.valueOf()), quoted: false };
+      case 'Long':
+      case 'Decimal128':
+        return { text: value.toString(), quoted: false };
+      case 'ObjectId':
+        return { text: value.toString(), quoted: true };
+      case 'Binary':
+        if (value.sub_type === 4) return { text: value.toUUID().toHexString(), quoted: true };
+        return { text: value.toString('base64'), quoted: true };
+      default:
+        return { text: EJSON.stringify(value), quoted: true };
+    }
+  }
+  
+  return { text: String(value), quoted: false };
+}
+
+function formatValueForSQL(value, dialect) {
+  const sqlText = toSQLText(value, dialect);
+  
+  if (sqlText === null) {
+    return 'NULL';
+  }
+  return sqlText.quoted ? `'${getDialect(dialect).escapeString(sqlText.text)}'` : sqlText.text;
+}
+
+// CSV field as read back by the dialect's bulk loader (LOAD DATA, \copy, .import)
+function formatValueForCSV(value, dialect) {
+  const sqlText = toSQLText(value, dialect);
+  
+  if (sqlText === null) {
+    return getDialect(dialect).csvNull;
+  }
+  return sqlText.quoted ? `"${sqlText.text.replace(/"/g, '""')}"` : sqlText.text;
+}
+
+// Statements selecting the target database (or schema) before any table is created
+function generateMigrationPreamble(dbName, dialect) {
+  const { quote, preamble } = getDialect(dialect);
+  return preamble(dbName, quote);
+}
+
+// Header of the complete migration script
+function generateMigrationHeader(dbName, dialect = 'mysql') {
+  let sql = `-- Complete Database Migration Script for: ${dbName}\n`;
+  sql += `-- Generated on: ${new Date().toISOString()}\n`;
+  sql += `-- SQL dialect: ${dialect}\n\n`;
+  sql += `-- Database: ${dbName}\n`;
+  sql += generateMigrationPreamble(dbName, dialect);
+  return sql;
+}
+
+module.exports = {
+  SQL_DIALECTS,
+  getDialect,
+  toColumnName,
+  generateCreateTableSQL,
+  generateInsertSQL,
+  generateInsertStatement,
+  getInsertRows,
+  getTableColumns,
+  getUnknownFields,
+  formatInsertStatement,
+  generateMigrationHeader,
+  generateMigrationPreamble,
+  mongoTypeToSQL,
+  inferColumnType,
+  idColumnType,
+  widenFields,
+  isNotNullField,
+  formatColumnDefinition,
+  translateIndexes,
+  flattenObject,
+  formatValueForSQL,
+  formatValueForCSV
+};
@@ -0,0 +1,31 @@
+// Stream helpers shared by the file writers
+const fs = require("fs");
+const { once } = require("events");
+
+// Write to a stream, waiting for it to drain so memory stays bounded
+async function writeChunk(stream, chunk) {
+  if (!stream.write(chunk)) {
+    await once(stream, 'drain');
+  }
+}
+
+function closeStream(stream) {
+  return new Promise((resolve, reject) => {
+    stream.once('error', reject);
+    stream.end(resolve);
+  });
+}
+
+// Text stream of a file path, or of an already opened stream (a file inside an archive)
+function openTextStream(input) {
+  if (typeof input === 'string') {
+    return fs.createReadStream(input, { encoding: "utf-8" });
+  }
+  return input.setEncoding("utf-8");
+}
+
+module.exports = {
+  openTextStream,
+  writeChunk,
+  closeStream
+};
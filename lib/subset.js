@@ -0,0 +1,245 @@
+// Subset exports: a root query on one collection and every document it references
+//
+// References are field paths holding the _id of documents in another collection:
+//   { "orders": { "userId": "users", "items[].productId": "products" } }
+// Declared references are used as given (null drops an inferred one). The others are inferred
+// from the objectId fields found by the schema analysis: by name (userId, user_id, authorIds
+// point to users or authors), else by probing which collection holds a sample of their values.
+//
+// The selection starts from the root documents (and, with `referencing`, the documents that
+// reference them directly, such as the orders of the selected users) and follows references
+// until every referenced document is selected, so the export has no dangling references.
+const { BSON } = require("mongodb");
+const { flattenSchemaFields } = require("./schema");
+
+const { EJSON } = BSON;
+
+// _id values per query, well below the 16 MB command limit
+const ID_BATCH_SIZE = 1000;
+// Values of a field looked up in other collections when its name does not tell the target
+const PROBE_SAMPLE_SIZE = 20;
+
+function idKey(value) {
+  return EJSON.stringify(value, { relaxed: false });
+}
+
+// Path as used in queries and projections: items[].productId -> items.productId
+function toQueryPath(path) {
+  return path.replace(/\[\]/g, '');
+}
+
+// Values at `path`, going through arrays on the way and flattening arrays at the end
+function getReferenceValues(value, segments) {
+  if (value === null || value === undefined) return [];
+  if (Array.isArray(value)) return value.flatMap(item => getReferenceValues(item, segments));
+  if (segments.length === 0) return [value];
+  if (typeof value !== 'object' || value._bsontype || value instanceof Date) return [];
+  return getReferenceValues(value[segments[0]], segments.slice(1));
+}
+
+// Collection a field name points to: userId, user_id, user and userIds all match users (or user)
+function matchCollectionByName(path, collectionNames) {
+  const normalize = name => name.toLowerCase().replace(/[_\-\s]/g, '');
+  const field = path.split('.').pop().replace(/\[\]$/, '');
+  const base = normalize(field.replace(/(_?ids?|Ids?|IDs?)$/, ''));
+  if (!base) return null;
+
+  const forms = [base, `${base}s`, `${base}es`, base.replace(/y$/, 'ies')];
+  const matches = collectionNames.filter(name => forms.includes(normalize(name)));
+  return matches.length === 1 ? matches[0] : null;
+}
+
+// Collection holding most of a sample of the field's values as _id, if any
+async function probeReferenceTarget(db, name, path, candidates, readOptions) {
+  const queryPath = toQueryPath(path);
+  const sample = await db.collection(name)
+    .find({ [queryPath]: { $type: 'objectId' } }, { projection: { [queryPath]: 1 }, session: readOptions.session })
+    .limit(PROBE_SAMPLE_SIZE)
+    .toArray();
+  const values = sample.flatMap(doc => getReferenceValues(doc, queryPath.split('.')));
+  if (values.length === 0) return null;
+
+  let best = null;
+  let bestCount = 0;
+  for (const candidate of candidates) {
+    const count = await db.collection(candidate).countDocuments({ _id: { $in: values } }, { session: readOptions.session });
+    if (count > bestCount) {
+      best = candidate;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+// References between the exported collections: declared ones, then inferred ones unless
+// `infer` is off. `schemas` maps collection names to analyzed fields.
+async function findReferences(db, schemas, declared, infer, readOptions, reporter) {
+  const collectionNames = Object.keys(schemas);
+  const references = [];
+
+  Object.keys(declared).forEach(name => {
+    Object.keys(declared[name]).forEach(path => {
+      const to = declared[name][path];
+      if (!to || !schemas[name]) return;
+      if (!schemas[to]) {
+        reporter.warn(`⚠️  ${name}.${path} references ${to}, which is not exported: its references will dangle`);
+        return;
+      }
+      references.push({ collection: name, path, to, source: 'declared' });
+    });
+  });
+  if (!infer) return references;
+
+  // Collections whose _id values are ObjectIds can be the target of an objectId field
+  const targets = collectionNames.filter(name => schemas[name]._id && schemas[name]._id.type === 'objectId');
+
+  for (const name of collectionNames) {
+    const fields = flattenSchemaFields(schemas[name]);
+    const declaredPaths = Object.keys(declared[name] || {}).map(toQueryPath);
+    for (const path of Object.keys(fields)) {
+      const field = fields[path];
+      const holdsIds = field.type === 'objectId' || field.arrayElementType === 'objectId';
+      if (!holdsIds || path === '_id' || path.endsWith('._id')) continue;
+      if (declaredPaths.includes(toQueryPath(path))) continue;
+
+      const named = matchCollectionByName(path, targets);
+      const to = named || await probeReferenceTarget(db, name, path, targets, readOptions);
+      if (to) {
+        references.push({ collection: name, path, to, source: named ? 'name' : 'probe' });
+      } else {
+        reporter.info(`  ObjectId field ${name}.${path} matches no collection, not followed`);
+      }
+    }
+  }
+  return references;
+}
+
+// Select the root documents and everything they reference. Returns the selected _id values of
+// each collection and the number of documents selected.
+async function selectSubset(db, schemas, subset, references, readOptions, reporter) {
+  const selected = {};
+  Object.keys(schemas).forEach(name => { selected[name] = new Map(); });
+  const outgoing = name => references.filter(reference => reference.collection === name);
+  const dangling = {};
+
+  // Only _id and the reference fields are read while selecting
+  function getProjection(name) {
+    const paths = outgoing(name).map(reference => toQueryPath(reference.path));
+    const projection = { _id: 1 };
+    paths
+      .filter(path => !paths.some(other => path.startsWith(`${other}.`)))
+      .forEach(path => { projection[path] = 1; });
+    return projection;
+  }
+  function find(name, query) {
+    return db.collection(name).find(query, { projection: getProjection(name), session: readOptions.session });
+  }
+  // Add documents to the selection, returning the ones not selected before
+  function add(name, docs) {
+    return docs.filter(doc => {
+      const key = idKey(doc._id);
+      if (selected[name].has(key)) return false;
+      selected[name].set(key, doc._id);
+      return true;
+    });
+  }
+
+  const root = subset.collection;
+  let rootQuery = find(root, subset.query || {});
+  if (subset.limit) rootQuery = rootQuery.limit(subset.limit);
+  const rootDocs = add(root, await rootQuery.toArray());
+  let frontier = [{ name: root, docs: rootDocs }];
+
+  // Documents referencing the root documents directly: the orders of the selected users
+  if (subset.referencing) {
+    const rootIds = rootDocs.map(doc => doc._id);
+    for (const reference of references.filter(reference => reference.to === root)) {
+      for (let i = 0; i < rootIds.length; i += ID_BATCH_SIZE) {
+        const query = { [toQueryPath(reference.path)]: { $in: rootIds.slice(i, i + ID_BATCH_SIZE) } };
+        const docs = add(reference.collection, await find(reference.collection, query).toArray());
+        frontier.push({ name: reference.collection, docs });
+      }
+    }
+  }
+
+  // Follow references until no new document is selected
+  while (frontier.length > 0) {
+    const pending = {};
+    frontier.forEach(({ name, docs }) => {
+      outgoing(name).forEach(reference => {
+        const segments = toQueryPath(reference.path).split('.');
+        docs.forEach(doc => {
+          getReferenceValues(doc, segments).forEach(value => {
+            const key = idKey(value);
+            if (selected[reference.to].has(key)) return;
+            pending[reference.to] = pending[reference.to] || new Map();
+            if (!pending[reference.to].has(key)) {
+              pending[reference.to].set(key, { value, from: `${reference.collection}.${reference.path}` });
+            }
+          });
+        });
+      });
+    });
+
+    frontier = [];
+    for (const name of Object.keys(pending)) {
+      const wanted = [...pending[name].values()];
+      for (let i = 0; i < wanted.length; i += ID_BATCH_SIZE) {
+        const ids = wanted.slice(i, i + ID_BATCH_SIZE).map(entry => entry.value);
+        const docs = add(name, await find(name, { _id: { $in: ids } }).toArray());
+        frontier.push({ name, docs });
+      }
+      // Values with no document behind them already dangle in the source database
+      pending[name].forEach((entry, key) => {
+        if (!selected[name].has(key)) dangling[entry.from] = (dangling[entry.from] || 0) + 1;
+      });
+    }
+  }
+
+  Object.keys(dangling).forEach(field => {
+    reporter.warn(`⚠️  ${field}: ${dangling[field]} referenced documents do not exist in the source database`);
+  });
+
+  const ids = {};
+  const documents = {};
+  Object.keys(selected).forEach(name => {
+    ids[name] = [...selected[name].values()];
+    documents[name] = selected[name].size;
+  });
+  return { ids, documents, dangling };
+}
+
+// Documents with the given _id values, read ID_BATCH_SIZE at a time
+async function* findSelected(collection, ids, findOptions) {
+  for (let i = 0; i < ids.length; i += ID_BATCH_SIZE) {
+    yield* collection.find({ _id: { $in: ids.slice(i, i + ID_BATCH_SIZE) } }, findOptions);
+  }
+}
+
+async function countSelected(collection, ids, countOptions) {
+  let count = 0;
+  for (let i = 0; i < ids.length; i += ID_BATCH_SIZE) {
+    count += await collection.countDocuments({ _id: { $in: ids.slice(i, i + ID_BATCH_SIZE) } }, countOptions);
+  }
+  return count;
+}
+
+// `size` of the _id values, picked at random
+function sampleIds(ids, size) {
+  const sample = ids.slice();
+  for (let i = 0; i < Math.min(size, sample.length); i++) {
+    const j = i + Math.floor(Math.random() * (sample.length - i));
+    [sample[i], sample[j]] = [sample[j], sample[i]];
+  }
+  return sample.slice(0, size);
+}
+
+module.exports = {
+  findReferences,
+  selectSubset,
+  findSelected,
+  countSelected,
+  sampleIds,
+  getReferenceValues,
+  matchCollectionByName
+};
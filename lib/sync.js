@@ -0,0 +1,417 @@
+// Continuous sync: an initial copy through exportDatabase() and importDatabase(), then the
+// source database's change stream applied to a target database or appended to an oplog file
+//
+// The resume token of the last change written is saved after every batch, so a stopped sync
+// continues where it left off. Changes are replayed idempotently (upserts of the whole document,
+// deletes by key), which makes replaying a few of them twice after a restart harmless.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { MongoClient, BSON } = require("mongodb");
+const { exportDatabase } = require("./export");
+const { importDatabase } = require("./import");
+const { getCheckpointPath } = require("./checkpoint");
+const { writeChunk, closeStream } = require("./streams");
+const { createReporter, forwardEvents } = require("./events");
+
+const { EJSON } = BSON;
+
+const OPLOG_FILE = 'oplog.ndjson';
+// Export of the initial copy in oplog mode, the starting point the oplog file applies to
+const INITIAL_COPY_DIR = 'initial';
+const SYNC_STATE_VERSION = 1;
+
+// Wait at most this long for new changes, so that a stop request is noticed in time
+const MAX_AWAIT_MS = 1000;
+
+// Default options for syncDatabase()
+const DEFAULT_SYNC_OPTIONS = {
+  uri: undefined,                // Source connection string (or pass a connected `client`)
+  client: undefined,             // Existing MongoClient for the source, left open afterwards
+  dbName: undefined,             // Source database
+  events: undefined,             // EventEmitter receiving 'log', 'sync:batch' and 'done' events
+  targetUri: undefined,          // Target connection string (or pass a connected `targetClient`)
+  targetClient: undefined,       // Existing MongoClient for the target, left open afterwards
+  targetDbName: null,            // Target database (null = same name as the source)
+  oplog: false,                  // Append changes to <outDir>/oplog.ndjson instead of applying them to a target
+  outDir: './db',                // Home of the oplog file (and of the initial export with oplog)
+  collections: null,             // Array of collection names to sync (null = all)
+  exclude: [],                   // Collection names to leave out
+  initialCopy: true,             // Copy the data before following changes (not when resuming)
+  resync: false,                 // Ignore the saved resume token and start over with an initial copy
+  stateFile: null,               // Resume token of the sync (null = <outDir>.<dbName>.sync.json)
+  batchSize: 1000,               // Changes written at a time
+  concurrency: 1,                // Collections exported and imported at the same time by the initial copy
+  signal: undefined              // AbortSignal that stops the sync after the changes received so far
+};
+
+// db + shop -> db.shop.sync.json, next to the export directory like import checkpoints
+function getSyncStatePath(outDir, dbName) {
+  return `${outDir.replace(/[\\/]+$/, '')}.${dbName}.sync.json`;
+}
+
+function readSyncState(filePath, identity) {
+  if (!fs.existsSync(filePath)) return null;
+  const state = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  Object.keys(identity).forEach(key => {
+    if (state[key] !== identity[key]) {
+      throw new Error(`Sync state ${filePath} belongs to another sync (${key}: ${state[key]}, expected ${identity[key]}); ` +
+        `pass --state-file or --resync`);
+    }
+  });
+  return state;
+}
+
+function saveSyncState(filePath, state) {
+  state.updatedAt = new Date().toISOString();
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(state, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+// Only the selected collections' changes, plus the database-wide events
+function getChangePipeline(options) {
+  const databaseEvents = { operationType: { $in: ['dropDatabase', 'invalidate'] } };
+  if (options.collections) {
+    return [{ $match: { $or: [{ 'ns.coll': { $in: options.collections } }, databaseEvents] } }];
+  }
+  if (options.exclude.length > 0) {
+    return [{ $match: { 'ns.coll': { $nin: options.exclude } } }];
+  }
+  return [];
+}
+
+// bulkWrite operation replaying a document change on the target, null when there is nothing to write
+function toWriteOperation(change) {
+  const filter = change.documentKey;
+  switch (change.operationType) {
+    case 'insert':
+    case 'replace':
+      return { replaceOne: { filter, replacement: change.fullDocument, upsert: true } };
+    case 'update':
+      // The document as it is now: when it has been deleted since, its delete follows
+      return change.fullDocument ? { replaceOne: { filter, replacement: change.fullDocument, upsert: true } } : null;
+    case 'delete':
+      return { deleteOne: { filter } };
+    default:
+      return null;
+  }
+}
+
+// Oplog-style entry: ts, op (i insert, u update or replacement, d delete, c command), ns,
+// o (document, update or command) and o2 (key of the updated document)
+function toOplogEntry(change) {
+  const entry = { ts: change.clusterTime, ns: `${change.ns.db}.${change.ns.coll}` };
+  switch (change.operationType) {
+    case 'insert':
+      return { ...entry, op: 'i', o: change.fullDocument };
+    case 'update': {
+      const { updatedFields, removedFields, truncatedArrays } = change.updateDescription;
+      const update = {};
+      if (Object.keys(updatedFields).length > 0) update.$set = updatedFields;
+      if (removedFields.length > 0) {
+        update.$unset = Object.fromEntries(removedFields.map(field => [field, 1]));
+      }
+      const oplogEntry = { ...entry, op: 'u', o: update, o2: change.documentKey };
+      if (truncatedArrays && truncatedArrays.length > 0) oplogEntry.truncatedArrays = truncatedArrays;
+      return oplogEntry;
+    }
+    case 'replace':
+      return { ...entry, op: 'u', o: change.fullDocument, o2: change.documentKey };
+    case 'delete':
+      return { ...entry, op: 'd', o: change.documentKey };
+    case 'drop':
+      return { ...entry, ns: `${change.ns.db}.$cmd`, op: 'c', o: { drop: change.ns.coll } };
+    case 'rename':
+      return {
+        ...entry,
+        ns: `${change.ns.db}.$cmd`,
+        op: 'c',
+        o: { renameCollection: entry.ns, to: `${change.to.db}.${change.to.coll}` }
+      };
+    case 'dropDatabase':
+      return { ts: change.clusterTime, ns: `${change.ns.db}.$cmd`, op: 'c', o: { dropDatabase: 1 } };
+    default:
+      return null;
+  }
+}
+
+// Applies changes to the target database. Document changes are queued per collection, in
+// order, and written by flush(); drops and renames flush the queue and run at once.
+function createDatabaseApplier(targetDb, options) {
+  let queues = new Map();
+
+  async function flush() {
+    const pending = queues;
+    queues = new Map();
+    for (const [name, operations] of pending) {
+      await targetDb.collection(name).bulkWrite(operations, { ordered: true });
+    }
+  }
+
+  return {
+    description: `database ${targetDb.databaseName}`,
+    add: async change => {
+      const operation = toWriteOperation(change);
+      if (operation) {
+        const name = change.ns.coll;
+        if (!queues.has(name)) queues.set(name, []);
+        queues.get(name).push(operation);
+        return;
+      }
+      if (change.operationType === 'drop') {
+        await flush();
+        await targetDb.collection(change.ns.coll).drop().catch(() => {});
+      } else if (change.operationType === 'rename') {
+        await flush();
+        const synced = !options.collections || options.collections.includes(change.to.coll);
+        if (change.to.db === change.ns.db && synced) {
+          await targetDb.collection(change.ns.coll).rename(change.to.coll, { dropTarget: true });
+        } else {
+          await targetDb.collection(change.ns.coll).drop().catch(() => {});
+        }
+      }
+    },
+    flush,
+    close: async () => {}
+  };
+}
+
+// Appends changes to the oplog file as canonical Extended JSON, one per line
+function createOplogApplier(filePath) {
+  const stream = fs.createWriteStream(filePath, { flags: 'a' });
+  let lines = [];
+
+  return {
+    description: filePath,
+    add: async change => {
+      const entry = toOplogEntry(change);
+      if (entry) lines.push(EJSON.stringify(entry, { relaxed: false }));
+    },
+    flush: async () => {
+      if (lines.length === 0) return;
+      await writeChunk(stream, lines.join('\n') + '\n');
+      lines = [];
+    },
+    close: () => closeStream(stream)
+  };
+}
+
+function validateSyncOptions(options) {
+  if (!options.client && !options.uri) {
+    throw new Error('No MongoDB connection: pass uri or client');
+  }
+  if (!options.dbName) {
+    throw new Error('No database selected: pass dbName');
+  }
+  if (!options.oplog && !options.targetClient && !options.targetUri) {
+    throw new Error('No sync target: pass targetUri or targetClient, or oplog');
+  }
+  const sameServer = options.targetClient ? options.targetClient === options.client : options.targetUri === options.uri;
+  if (!options.oplog && sameServer && (options.targetDbName || options.dbName) === options.dbName) {
+    throw new Error(`Source and target are the same database (${options.dbName}): pass another targetDbName`);
+  }
+  if (!(options.batchSize > 0)) {
+    throw new Error(`Invalid batchSize '${options.batchSize}', expected a positive number`);
+  }
+}
+
+// Copy the source to the target through an export, and return the cluster time the export
+// read at: following changes from there misses nothing that came after the copy. The export
+// is staged in a temporary directory and removed afterwards; with the oplog, nothing is
+// imported and it is kept in <outDir>/initial instead.
+async function copyInitialData(client, targetClient, options, reporter) {
+  const exportDir = targetClient
+    ? fs.mkdtempSync(path.join(os.tmpdir(), 'sync-initial-'))
+    : path.join(options.outDir, INITIAL_COPY_DIR);
+  if (!targetClient) {
+    // Nothing of an earlier initial export may remain, such as collections no longer synced
+    fs.rmSync(exportDir, { recursive: true, force: true });
+  }
+
+  try {
+    reporter.info(`\n📤 Initial copy: exporting ${options.dbName} to ${exportDir}...`);
+    const exported = await exportDatabase({
+      client,
+      dbName: options.dbName,
+      outDir: exportDir,
+      collections: options.collections,
+      exclude: options.exclude,
+      formats: ['data', 'schema'],
+      consistent: true,
+      concurrency: options.concurrency,
+      events: forwardEvents(reporter)
+    });
+    if (targetClient) {
+      reporter.info(`\n📥 Initial copy: importing into ${options.targetDbName}...`);
+      // Only the synced collections are replaced, anything else in the target stays. Each one is
+      // cleared before it is written, empty ones too, so no document of the target survives.
+      await importDatabase({
+        client: targetClient,
+        dbName: options.targetDbName,
+        inDir: exportDir,
+        recreateDatabase: false,
+        clearCollections: true,
+        concurrency: options.concurrency,
+        events: forwardEvents(reporter)
+      });
+    }
+    return exported.clusterTime;
+  } finally {
+    if (targetClient) {
+      // A failed import leaves its checkpoint next to the export, it cannot be resumed either
+      fs.rmSync(exportDir, { recursive: true, force: true });
+      fs.rmSync(getCheckpointPath(exportDir, options.targetDbName), { force: true });
+    }
+  }
+}
+
+// Copy a database, then keep applying its changes to the target (or the oplog file) until
+// `signal` is aborted or the change stream is invalidated. Resolves to a summary of the sync.
+async function syncDatabase(userOptions = {}) {
+  const options = { ...DEFAULT_SYNC_OPTIONS, ...userOptions };
+  validateSyncOptions(options);
+  options.targetDbName = options.targetDbName || options.dbName;
+
+  const reporter = createReporter(options.events);
+  const client = options.client || new MongoClient(options.uri);
+  const targetClient = options.oplog ? null : options.targetClient || new MongoClient(options.targetUri);
+  const stateFile = options.stateFile || getSyncStatePath(options.outDir, options.dbName);
+  const identity = { database: options.dbName, target: options.oplog ? 'oplog' : options.targetDbName };
+  let applier = null;
+  let stream = null;
+
+  try {
+    if (!options.client) {
+      await client.connect();
+    }
+    if (targetClient && !options.targetClient) {
+      await targetClient.connect();
+    }
+    reporter.info("Connected to MongoDB");
+    const db = client.db(options.dbName);
+
+    if (options.resync) {
+      fs.rmSync(stateFile, { force: true });
+    }
+    let state = readSyncState(stateFile, identity);
+
+    // Start after the saved resume token, or at the time of a fresh initial copy
+    let startOptions = {};
+    if (state) {
+      reporter.info(`⏩ Resuming sync from ${stateFile} (last change at ${state.lastChangeAt || 'unknown'})`);
+      startOptions = { startAfter: EJSON.deserialize(state.resumeToken) };
+    } else {
+      state = { syncStateVersion: SYNC_STATE_VERSION, ...identity, startedAt: new Date().toISOString(), changes: 0 };
+      // Entries of an earlier sync do not follow on from the new starting point: start a new file
+      if (options.oplog) {
+        fs.rmSync(path.join(options.outDir, OPLOG_FILE), { force: true });
+      }
+      const startTime = options.initialCopy
+        ? await copyInitialData(client, targetClient, options, reporter)
+        : null;
+      startOptions = { startAtOperationTime: startTime || (await db.command({ hello: 1 })).operationTime };
+    }
+
+    if (options.oplog) {
+      fs.mkdirSync(options.outDir, { recursive: true });
+      applier = createOplogApplier(path.join(options.outDir, OPLOG_FILE));
+    } else {
+      applier = createDatabaseApplier(targetClient.db(options.targetDbName), options);
+    }
+
+    stream = db.watch(getChangePipeline(options), {
+      fullDocument: 'updateLookup',
+      batchSize: options.batchSize,
+      maxAwaitTimeMS: MAX_AWAIT_MS,
+      ...startOptions
+    });
+    reporter.info(`\n🔄 Following changes of ${options.dbName} into ${applier.description} (stop with Ctrl+C)...`);
+
+    const counts = {};
+    let pending = 0;
+    let lastChange = null;
+    let savedToken = null;
+    let invalidated = false;
+
+    // Write the queued changes, then record how far the stream has been read
+    async function commit() {
+      await applier.flush();
+      if (pending > 0) {
+        state.changes += pending;
+        state.lastChangeAt = lastChange.clusterTime ? new Date(lastChange.clusterTime.t * 1000).toISOString() : undefined;
+        reporter.info(`  ✓ ${pending} changes (${Object.entries(counts).map(([type, count]) => `${count} ${type}`).join(', ')}), ` +
+          `${state.changes} in total`);
+        reporter.emit('sync:batch', { changes: pending, counts: { ...counts }, total: state.changes });
+        Object.keys(counts).forEach(type => delete counts[type]);
+        pending = 0;
+      }
+      const token = stream.resumeToken && EJSON.serialize(stream.resumeToken, { relaxed: false });
+      if (token && JSON.stringify(token) !== savedToken) {
+        state.resumeToken = token;
+        saveSyncState(stateFile, state);
+        savedToken = JSON.stringify(token);
+      }
+    }
+
+    while (!(options.signal && options.signal.aborted)) {
+      const change = await stream.tryNext().catch(error => {
+        if (error.codeName === 'ChangeStreamHistoryLost') {
+          throw new Error(`The saved resume token is no longer in the oplog, start over with --resync: ${error.message}`);
+        }
+        throw error;
+      });
+      if (change) {
+        if (change.operationType === 'invalidate') {
+          invalidated = true;
+          break;
+        }
+        await applier.add(change);
+        counts[change.operationType] = (counts[change.operationType] || 0) + 1;
+        lastChange = change;
+        pending++;
+        if (pending < options.batchSize) continue;
+      }
+      // A full batch, or no more changes for now
+      await commit();
+    }
+    await commit();
+
+    if (invalidated) {
+      reporter.warn(`⚠️  The change stream was invalidated (the source database was dropped), stopping`);
+    } else {
+      reporter.info(`\n⏹️  Sync stopped after ${state.changes} changes, resume token saved to ${stateFile}`);
+    }
+    const result = {
+      database: options.dbName,
+      target: options.oplog ? path.join(options.outDir, OPLOG_FILE) : options.targetDbName,
+      changes: state.changes,
+      invalidated,
+      stateFile
+    };
+    reporter.emit('done', result);
+    return result;
+  } finally {
+    if (stream) {
+      await stream.close();
+    }
+    if (applier) {
+      await applier.close();
+    }
+    if (!options.client) {
+      await client.close();
+    }
+    if (targetClient && !options.targetClient) {
+      await targetClient.close();
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_SYNC_OPTIONS,
+  OPLOG_FILE,
+  INITIAL_COPY_DIR,
+  syncDatabase,
+  toOplogEntry,
+  toWriteOperation
+};
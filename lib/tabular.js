@@ -0,0 +1,407 @@
+// Tabular data files for the importer: CSV/TSV with a header row and SQL INSERT scripts
+//
+// Column names are mapped back to document paths with the collection's schema, both as
+// exported by the JSON SQL layout (`address` holding JSON) and flattened (`address_city`),
+// and each value is cast to the field's schema type with castToType.
+const { BSON } = require("mongodb");
+const { castToType } = require("./validation");
+const { getValueType } = require("./schema");
+const { toColumnName, getTableColumns } = require("./sql");
+const { openTextStream } = require("./streams");
+
+const { EJSON } = BSON;
+
+const TABULAR_FORMATS = {
+  csv: { extension: 'csv', delimiter: ',' },
+  tsv: { extension: 'tsv', delimiter: '\t' },
+  sql: { extension: 'sql' }
+};
+
+// Markers read as NULL when unquoted: empty fields, MySQL's \N and the word NULL
+const NULL_MARKERS = ['', '\\N', 'NULL'];
+
+// Column name -> { path, field } for every field and nested field of the schema.
+// Top-level columns win over flattened nested ones with the same name.
+function buildColumnMap(fields) {
+  const columns = {};
+  let level = Object.keys(fields).map(key => ({ key, field: fields[key], path: [key], prefix: '' }));
+
+  while (level.length > 0) {
+    const next = [];
+    level.forEach(({ key, field, path, prefix }) => {
+      const column = prefix ? `${prefix}_${toColumnName(key)}` : toColumnName(key);
+      if (!columns[column]) {
+        columns[column] = { path, field };
+      }
+      if (field.type === 'object' && !field.mixed && field.nestedFields) {
+        Object.keys(field.nestedFields).forEach(nestedKey => {
+          next.push({ key: nestedKey, field: field.nestedFields[nestedKey], path: path.concat(nestedKey), prefix: column });
+        });
+      }
+    });
+    level = next;
+  }
+
+  return columns;
+}
+
+function setPathValue(doc, path, value) {
+  let target = doc;
+  path.slice(0, -1).forEach(key => {
+    if (typeof target[key] !== 'object' || target[key] === null || Array.isArray(target[key])) {
+      target[key] = {};
+    }
+    target = target[key];
+  });
+  target[path[path.length - 1]] = value;
+}
+
+// JSON columns hold Extended JSON: ObjectIds, dates, Longs and decimals come back with their type.
+// Text that does not parse to the field's type is cast like any other value.
+function parseJSONColumn(text, type, fieldPath) {
+  try {
+    const value = EJSON.parse(text, { relaxed: false });
+    if (getValueType(value) === type) return value;
+  } catch {
+    // Not JSON, castToType wraps the text
+  }
+  return castToType(text, type, fieldPath);
+}
+
+// Build a document from a row of { value, quoted } cells. NULLs are kept only for fields that
+// were null in the export, otherwise the field is left out (SQL cannot tell missing from null).
+function createRowMapper(header, schema, reporter) {
+  const columnMap = buildColumnMap(schema.fields || {});
+  const targets = header.map(column => {
+    if (columnMap[column]) return columnMap[column];
+    reporter.warn(`  ⚠️  Column '${column}' has no field in the schema, imported as a string`);
+    return { path: [column], field: null };
+  });
+
+  return cells => {
+    const doc = {};
+    targets.forEach((target, index) => {
+      const cell = cells[index];
+      if (!cell) return;
+
+      if (cell.value === null || (!cell.quoted && NULL_MARKERS.includes(cell.value))) {
+        if (target.field && target.field.nullCount > 0) {
+          setPathValue(doc, target.path, null);
+        }
+        return;
+      }
+
+      const type = target.field && !target.field.mixed ? target.field.type : null;
+      const fieldPath = target.path.join('.');
+      let value = cell.value;
+      if (type === 'object' || type === 'array') {
+        value = parseJSONColumn(cell.value, type, fieldPath);
+      } else if (type) {
+        value = castToType(cell.value, type, fieldPath);
+      }
+      setPathValue(doc, target.path, value);
+    });
+    return doc;
+  };
+}
+
+// Stream the records of a delimited file as arrays of { value, quoted } cells (RFC 4180 quoting)
+async function* readDelimitedRecords(source, delimiter) {
+  const input = openTextStream(source);
+  let state = 'start';
+  let cell = { value: '', quoted: false };
+  let record = [];
+
+  function endCell() {
+    record.push(cell);
+    cell = { value: '', quoted: false };
+    state = 'start';
+  }
+
+  function endRecord() {
+    endCell();
+    const completed = record;
+    record = [];
+    // Blank lines have a single empty unquoted cell
+    return completed.length === 1 && completed[0].value === '' && !completed[0].quoted ? null : completed;
+  }
+
+  for await (const chunk of input) {
+    for (const char of chunk) {
+      if (state === 'quoted') {
+        if (char === '"') state = 'quote';
+        else cell.value += char;
+        continue;
+      }
+      if (state === 'quote' && char === '"') {
+        cell.value += '"';
+        state = 'quoted';
+        continue;
+      }
+
+      if (char === delimiter) {
+        endCell();
+      } else if (char === '\n') {
+        const completed = endRecord();
+        if (completed) yield completed;
+      } else if (char === '\r') {
+        continue;
+      } else if (char === '"' && state === 'start') {
+        cell.quoted = true;
+        state = 'quoted';
+      } else {
+        cell.value += char;
+        state = 'unquoted';
+      }
+    }
+  }
+
+  if (state !== 'start' || record.length > 0) {
+    const completed = endRecord();
+    if (completed) yield completed;
+  }
+}
+
+async function* readDelimitedDocuments(source, format, schema, reporter) {
+  let mapRow = null;
+
+  for await (const record of readDelimitedRecords(source, TABULAR_FORMATS[format].delimiter)) {
+    if (!mapRow) {
+      // The header may start with a byte order mark
+      mapRow = createRowMapper(record.map(cell => cell.value.replace(/^\uFEFF/, '').trim()), schema, reporter);
+      continue;
+    }
+    yield mapRow(record);
+  }
+}
+
+// Split a SQL script into statements, dropping comments. Backslash escapes only exist in MySQL strings.
+async function* readSQLStatements(source, backslashEscapes) {
+  const input = openTextStream(source);
+  let statement = '';
+  let state = 'code';
+  let quote = null;
+  let pending = null;
+
+  for await (const chunk of input) {
+    for (const char of chunk) {
+      if (state === 'line-comment') {
+        if (char === '\n') state = 'code';
+        continue;
+      }
+      if (state === 'block-comment') {
+        if (pending === '*' && char === '/') {
+          state = 'code';
+          pending = null;
+        } else {
+          pending = char;
+        }
+        continue;
+      }
+      if (state === 'quoted') {
+        statement += char;
+        if (pending === '\\') pending = null;
+        else if (char === '\\' && backslashEscapes && quote === "'") pending = '\\';
+        else if (char === quote) state = 'code';
+        continue;
+      }
+
+      // '--' and '/*' start comments, a lone '-' or '/' is kept
+      if (pending === '-' || pending === '/') {
+        const opener = pending;
+        pending = null;
+        if (opener === '-' && char === '-') {
+          state = 'line-comment';
+          continue;
+        }
+        if (opener === '/' && char === '*') {
+          state = 'block-comment';
+          pending = null;
+          continue;
+        }
+        statement += opener;
+      }
+
+      if (char === '-' || char === '/') {
+        pending = char;
+      } else if (char === "'" || char === '"' || char === '`') {
+        statement += char;
+        quote = char;
+        state = 'quoted';
+      } else if (char === ';') {
+        if (statement.trim()) yield statement.trim();
+        statement = '';
+      } else {
+        statement += char;
+      }
+    }
+  }
+
+  if (pending === '-' || pending === '/') statement += pending;
+  if (statement.trim()) yield statement.trim();
+}
+
+const MYSQL_ESCAPES = { '0': '\0', 'b': '\b', 'n': '\n', 'r': '\r', 't': '\t', 'Z': '\x1a' };
+
+// Tokens of one statement: words, quoted identifiers, string literals, numbers and punctuation
+function tokenizeSQL(statement, backslashEscapes) {
+  const tokens = [];
+  let index = 0;
+
+  function readQuoted(quote) {
+    let value = '';
+    index++;
+    while (index < statement.length) {
+      const char = statement[index];
+      if (char === '\\' && backslashEscapes && quote === "'") {
+        const escaped = statement[index + 1];
+        value += MYSQL_ESCAPES[escaped] !== undefined ? MYSQL_ESCAPES[escaped] : escaped;
+        index += 2;
+      } else if (char === quote && statement[index + 1] === quote) {
+        value += quote;
+        index += 2;
+      } else if (char === quote) {
+        index++;
+        return value;
+      } else {
+        value += char;
+        index++;
+      }
+    }
+    throw new Error('Unterminated quoted value in SQL statement');
+  }
+
+  while (index < statement.length) {
+    const char = statement[index];
+    const rest = statement.slice(index, index + 64);
+    let match;
+
+    if (/\s/.test(char)) {
+      index++;
+    } else if (char === "'") {
+      tokens.push({ type: 'string', value: readQuoted("'") });
+    } else if (char === '"' || char === '`') {
+      tokens.push({ type: 'identifier', value: readQuoted(char) });
+    } else if ((match = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?/i.exec(rest))) {
+      tokens.push({ type: 'number', value: match[0] });
+      index += match[0].length;
+    } else if ((match = /^[A-Za-z_][\w$]*/.exec(rest))) {
+      // String prefixes (N'..', E'..', _utf8mb4'..') belong to the literal that follows
+      if (statement[index + match[0].length] === "'" && /^(N|E|_\w+)$/i.test(match[0])) {
+        index += match[0].length;
+        continue;
+      }
+      tokens.push({ type: 'word', value: match[0] });
+      index += match[0].length;
+    } else {
+      tokens.push({ type: 'punctuation', value: char });
+      index++;
+    }
+  }
+
+  return tokens;
+}
+
+// Parse `INSERT [IGNORE] INTO table [(columns)] VALUES (...), (...)` into its table, columns and rows
+function parseInsertStatement(statement, backslashEscapes) {
+  if (!/^insert\s/i.test(statement)) return null;
+
+  const tokens = tokenizeSQL(statement, backslashEscapes);
+  let position = 1;
+  const peek = () => tokens[position] || {};
+  const isWord = (token, word) => token.type === 'word' && token.value.toUpperCase() === word;
+  const expect = value => {
+    if (peek().value !== value) throw new Error(`Expected '${value}' in INSERT statement, found '${peek().value}'`);
+    position++;
+  };
+
+  if (isWord(peek(), 'IGNORE')) position++;
+  if (!isWord(peek(), 'INTO')) return null;
+  position++;
+
+  // schema.table: the last part is the table
+  let table = tokens[position++].value;
+  while (peek().value === '.') {
+    position++;
+    table = tokens[position++].value;
+  }
+
+  let columns = null;
+  if (peek().value === '(') {
+    position++;
+    columns = [];
+    while (peek().value !== ')') {
+      columns.push(tokens[position++].value);
+      if (peek().value === ',') position++;
+    }
+    position++;
+  }
+
+  if (!isWord(peek(), 'VALUES') && !isWord(peek(), 'VALUE')) return null;
+  position++;
+
+  const rows = [];
+  while (peek().value === '(') {
+    position++;
+    const cells = [];
+    while (peek().value !== ')') {
+      const token = tokens[position++];
+      if (!token) throw new Error('Unterminated VALUES list in INSERT statement');
+      if (isWord(token, 'NULL')) cells.push({ value: null, quoted: false });
+      else if (token.type === 'string') cells.push({ value: token.value, quoted: true });
+      else cells.push({ value: token.value, quoted: false });
+      if (peek().value === ',') position++;
+    }
+    expect(')');
+    rows.push(cells);
+    if (peek().value !== ',') break;
+    position++;
+  }
+
+  return { table, columns, rows };
+}
+
+async function* readSQLDocuments(source, collectionName, schema, options, reporter) {
+  const backslashEscapes = (options.sqlDialect || 'mysql') === 'mysql';
+  const mappers = new Map();
+  const skippedTables = new Set();
+
+  for await (const statement of readSQLStatements(source, backslashEscapes)) {
+    const insert = parseInsertStatement(statement, backslashEscapes);
+    if (!insert) continue;
+    if (insert.table !== collectionName) {
+      skippedTables.add(insert.table);
+      continue;
+    }
+
+    // Without a column list the values are in the export's CREATE TABLE order
+    const columns = insert.columns || getTableColumns(schema.fields || {});
+    const key = columns.join('\u0000');
+    if (!mappers.has(key)) {
+      mappers.set(key, createRowMapper(columns, schema, reporter));
+    }
+    for (const cells of insert.rows) {
+      yield mappers.get(key)(cells);
+    }
+  }
+
+  if (skippedTables.size > 0) {
+    reporter.warn(`  ⚠️  Skipped INSERTs into other tables: ${[...skippedTables].join(', ')}`);
+  }
+}
+
+// Read documents from a CSV, TSV or SQL file (a path or a stream) in the data directory
+function readTabularDocuments(source, format, collectionName, schema, options, reporter) {
+  if (format === 'sql') {
+    return readSQLDocuments(source, collectionName, schema, options, reporter);
+  }
+  return readDelimitedDocuments(source, format, schema, reporter);
+}
+
+module.exports = {
+  TABULAR_FORMATS,
+  buildColumnMap,
+  tokenizeSQL,
+  parseInsertStatement,
+  readTabularDocuments
+};
@@ -0,0 +1,315 @@
+// Document validation against exported schemas, with optional casting to the schema types
+const { ObjectId, Long, Decimal128, UUID } = require("mongodb");
+const { getValueType } = require("./schema");
+
+// Type casting functions
+function castToType(value, targetType, fieldPath) {
+  if (value === null || value === undefined) {
+    return value;
+  }
+
+  const currentType = getValueType(value);
+  
+  // If already correct type, return as is
+  if (currentType === targetType) {
+    return value;
+  }
+
+  try {
+    switch (targetType) {
+      case 'string':
+        return castToString(value);
+      
+      case 'number':
+        return castToNumber(value);
+      
+      case 'boolean':
+        return castToBoolean(value);
+      
+      case 'date':
+        return castToDate(value);
+      
+      case 'objectId':
+        return castToObjectId(value);
+      
+      case 'long':
+        return castToLong(value);
+      
+      case 'decimal128':
+        return castToDecimal128(value);
+      
+      case 'uuid':
+        return castToUUID(value);
+      
+      case 'array':
+        return castToArray(value);
+      
+      case 'object':
+        return castToObject(value);
+      
+      default:
+        return value;
+    }
+  } catch (error) {
+    return value; // Return original value if casting fails, validation reports the mismatch
+  }
+}
+
+function castToString(value) {
+  if (typeof value === 'string') return value;
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object' && value.constructor && value.constructor.name === 'ObjectId') {
+    return value.toString();
+  }
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function castToNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string') {
+    const num = Number(value);
+    if (isNaN(num)) throw new Error(`Cannot convert '${value}' to number`);
+    return num;
+  }
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof Date) return value.getTime();
+  throw new Error(`Cannot convert ${typeof value} to number`);
+}
+
+function castToBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'string') {
+    const lower = value.toLowerCase();
+    if (lower === 'true' || lower === 't' || lower === '1' || lower === 'yes' || lower === 'on') return true;
+    if (lower === 'false' || lower === 'f' || lower === '0' || lower === 'no' || lower === 'off') return false;
+    throw new Error(`Cannot convert string '${value}' to boolean`);
+  }
+  if (typeof value === 'number') return value !== 0;
+  throw new Error(`Cannot convert ${typeof value} to boolean`);
+}
+
+function castToDate(value) {
+  if (value instanceof Date) return value;
+  if (typeof value === 'string') {
+    // SQL DATETIME values carry no time zone, exports write them in UTC
+    const sqlDateTime = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}(\.\d+)?$/.test(value);
+    const date = new Date(sqlDateTime ? `${value.replace(' ', 'T')}Z` : value);
+    if (isNaN(date.getTime())) throw new Error(`Invalid date string: '${value}'`);
+    return date;
+  }
+  if (typeof value === 'number') {
+    // Assume timestamp (milliseconds or seconds)
+    const date = new Date(value > 1e10 ? value : value * 1000);
+    if (isNaN(date.getTime())) throw new Error(`Invalid timestamp: ${value}`);
+    return date;
+  }
+  throw new Error(`Cannot convert ${typeof value} to date`);
+}
+
+function castToObjectId(value) {
+  if (typeof value === 'object' && value.constructor && value.constructor.name === 'ObjectId') {
+    return value;
+  }
+  if (typeof value === 'string') {
+    if (ObjectId.isValid(value)) {
+      return new ObjectId(value);
+    }
+    throw new Error(`Invalid ObjectId string: '${value}'`);
+  }
+  throw new Error(`Cannot convert ${typeof value} to ObjectId`);
+}
+
+function castToLong(value) {
+  if (typeof value === 'number' && Number.isInteger(value)) return Long.fromNumber(value);
+  if (typeof value === 'string' && /^-?\d+$/.test(value.trim())) return Long.fromString(value.trim());
+  throw new Error(`Cannot convert '${value}' to long`);
+}
+
+function castToDecimal128(value) {
+  if (typeof value === 'number' || typeof value === 'string') {
+    return Decimal128.fromString(String(value).trim());
+  }
+  throw new Error(`Cannot convert ${typeof value} to decimal128`);
+}
+
+function castToUUID(value) {
+  if (typeof value === 'string') return new UUID(value.trim());
+  throw new Error(`Cannot convert ${typeof value} to UUID`);
+}
+
+function castToArray(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') {
+    try {
+      const parsed = JSON.parse(value);
+      if (Array.isArray(parsed)) return parsed;
+      return [value]; // Wrap single string in array
+    } catch {
+      return [value]; // Wrap single string in array
+    }
+  }
+  return [value]; // Wrap any other type in array
+}
+
+function castToObject(value) {
+  if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+    return value;
+  }
+  if (typeof value === 'string') {
+    try {
+      const parsed = JSON.parse(value);
+      if (typeof parsed === 'object' && parsed !== null && !Array.isArray(parsed)) {
+        return parsed;
+      }
+    } catch {
+      // If JSON parsing fails, create object with the string value
+    }
+  }
+  // For non-object types, create a wrapper object
+  return { value: value };
+}
+
+// Validate a document against a collection schema, casting mismatched values when typeCasting is on
+function validateDocument(doc, schema, options = {}) {
+  const typeCasting = options.typeCasting !== false;
+  const errors = [];
+  const warnings = [];
+  const typeCasts = [];
+
+  function validateField(value, fieldSchema, fieldPath) {
+    // Handle null/undefined values
+    if (value === null || value === undefined) {
+      if (fieldSchema.required && fieldSchema.nullCount === 0) {
+        errors.push(`Required field '${fieldPath}' is missing`);
+      }
+      return { value, castingPerformed: false };
+    }
+
+    const currentType = getValueType(value);
+    const expectedType = fieldSchema.type;
+    let finalValue = value;
+    let castingPerformed = false;
+
+    // Mixed-type fields accept any type that was observed during export
+    const acceptedTypes = fieldSchema.mixed && fieldSchema.types
+      ? Object.keys(fieldSchema.types)
+      : [expectedType];
+    const typeAccepted = acceptedTypes.includes(currentType) || expectedType === 'null';
+
+    // Type casting if enabled and types don't match
+    if (typeCasting && !typeAccepted) {
+      try {
+        finalValue = castToType(value, expectedType, fieldPath);
+        if (finalValue !== value) {
+          castingPerformed = true;
+          typeCasts.push({ field: fieldPath, from: currentType, to: expectedType });
+        }
+      } catch (error) {
+        warnings.push(`Type casting failed for '${fieldPath}': ${error.message}`);
+      }
+    }
+
+    // Validate type after potential casting
+    const finalType = getValueType(finalValue);
+    if (!acceptedTypes.includes(finalType) && expectedType !== 'null') {
+      if (typeCasting) {
+        warnings.push(`Field '${fieldPath}' has type '${finalType}', expected '${expectedType}' (casting failed)`);
+      } else {
+        warnings.push(`Field '${fieldPath}' has type '${finalType}', expected '${expectedType}'`);
+      }
+    }
+
+    // Validate nested objects
+    if (finalType === 'object' && fieldSchema.nestedFields) {
+      for (const [nestedField, nestedSchema] of Object.entries(fieldSchema.nestedFields)) {
+        if (finalValue.hasOwnProperty(nestedField)) {
+          const nestedResult = validateField(
+            finalValue[nestedField], 
+            nestedSchema, 
+            `${fieldPath}.${nestedField}`
+          );
+          finalValue[nestedField] = nestedResult.value;
+          if (nestedResult.castingPerformed) {
+            castingPerformed = true;
+          }
+        } else if (nestedSchema.required && nestedSchema.nullCount === 0) {
+          errors.push(`Required field '${fieldPath}.${nestedField}' is missing`);
+        }
+      }
+    }
+
+    // Validate array elements
+    if (finalType === 'array' && Array.isArray(finalValue) && fieldSchema.arrayElementType) {
+      const elementSchema = fieldSchema.arrayElement || { type: fieldSchema.arrayElementType };
+      finalValue = finalValue.map((item, index) => {
+        const itemResult = validateField(
+          item,
+          { ...elementSchema, required: false },
+          `${fieldPath}[${index}]`
+        );
+        if (itemResult.castingPerformed) {
+          castingPerformed = true;
+        }
+        return itemResult.value;
+      });
+    }
+
+    return { value: finalValue, castingPerformed };
+  }
+
+  // Create a copy of the document for modification (keeps BSON types intact)
+  let validatedDoc = cloneValue(doc);
+
+  // Validate each field in the schema
+  for (const [fieldName, fieldSchema] of Object.entries(schema.fields)) {
+    if (validatedDoc.hasOwnProperty(fieldName)) {
+      const result = validateField(validatedDoc[fieldName], fieldSchema, fieldName);
+      validatedDoc[fieldName] = result.value;
+    } else if (fieldSchema.required && fieldSchema.nullCount === 0) {
+      errors.push(`Required field '${fieldName}' is missing`);
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    document: validatedDoc,
+    errors,
+    warnings,
+    typeCasts,
+    typeCastingCount: typeCasts.length
+  };
+}
+
+function getNestedValue(obj, path) {
+  return path.split('.').reduce((current, key) => {
+    if (key.endsWith('[]')) {
+      // Handle array notation
+      const arrayKey = key.slice(0, -2);
+      return current && current[arrayKey] ? current[arrayKey] : undefined;
+    }
+    return current && current[key] !== undefined ? current[key] : undefined;
+  }, obj);
+}
+
+// Deep copy plain objects and arrays; BSON values are immutable and shared
+function cloneValue(value) {
+  if (Array.isArray(value)) return value.map(cloneValue);
+  if (value instanceof Date) return new Date(value.getTime());
+  if (typeof value === 'object' && value !== null && !value._bsontype) {
+    const copy = {};
+    Object.keys(value).forEach(key => {
+      copy[key] = cloneValue(value[key]);
+    });
+    return copy;
+  }
+  return value;
+}
+
+module.exports = {
+  castToType,
+  validateDocument,
+  getNestedValue,
+  cloneValue
+};
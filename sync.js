@@ -0,0 +1,54 @@
+// MongoDB Sync Utility: initial copy, then continuous replication from a change stream
+// Command line wrapper around syncDatabase() from lib/sync.js
+const { EventEmitter } = require("events");
+const { syncDatabase, DEFAULT_SYNC_OPTIONS } = require("./lib/sync");
+const { logToConsole } = require("./lib/events");
+const { parseCommandLine } = require("./lib/args");
+
+require("dotenv").config();
+
+// Configuration options
+const SYNC_OPTIONS = {
+  ...DEFAULT_SYNC_OPTIONS,
+  uri: process.env.MONGODB_URL,           // Source connection string
+  dbName: process.env.DB_NAME,            // Source database
+  targetUri: process.env.TARGET_MONGODB_URL, // Target connection string
+  targetDbName: process.env.TARGET_DB_NAME || null // Target database
+};
+
+// Command line arguments
+const SYNC_ARGS = {
+  'db': { type: 'string', option: 'dbName', placeholder: 'name', description: 'Source database (default: DB_NAME)' },
+  'target-uri': { type: 'string', placeholder: 'uri', description: 'Target connection string (default: TARGET_MONGODB_URL)' },
+  'target-db': { type: 'string', option: 'targetDbName', placeholder: 'name', description: 'Target database (default: TARGET_DB_NAME, else the source name)' },
+  'oplog': { type: 'boolean', description: 'Append changes to <out>/oplog.ndjson instead of a target database' },
+  'out': { type: 'string', option: 'outDir', placeholder: 'dir', description: 'Directory of the oplog file and its initial export (default: ./db)' },
+  'collections': { type: 'list', placeholder: 'a,b', description: 'Only sync these collections' },
+  'exclude': { type: 'list', placeholder: 'a,b', description: 'Leave these collections out' },
+  'initial-copy': { type: 'boolean', negatable: true, description: 'Copy the data before following changes (default: on)' },
+  'resync': { type: 'boolean', description: 'Forget the saved resume token and start over with an initial copy' },
+  'state-file': { type: 'string', placeholder: 'path', description: 'Resume token of the sync (default: <out>.<db>.sync.json)' },
+  'batch-size': { type: 'number', placeholder: 'n', description: 'Changes written at a time (default: 1000)' },
+  'concurrency': { type: 'number', placeholder: 'n', description: 'Collections copied at the same time by the initial copy (default: 1)' }
+};
+
+parseCommandLine('node sync.js', SYNC_ARGS, SYNC_OPTIONS);
+
+if (!SYNC_OPTIONS.dbName) {
+  console.error('❌ No database selected: set DB_NAME or pass --db');
+  process.exit(1);
+}
+
+// Ctrl+C stops after the changes received so far are written; a second one exits at once
+const controller = new AbortController();
+process.on('SIGINT', () => {
+  if (controller.signal.aborted) process.exit(130);
+  console.log('\n⏹️  Stopping, writing the last changes (Ctrl+C again to exit now)...');
+  controller.abort();
+});
+process.on('SIGTERM', () => controller.abort());
+
+syncDatabase({ ...SYNC_OPTIONS, signal: controller.signal, events: logToConsole(new EventEmitter()) }).catch(err => {
+  console.error("❌ Sync Error:", err.message);
+  process.exitCode = 1;
+});
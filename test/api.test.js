@@ -0,0 +1,108 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { EventEmitter } = require("events");
+const { BSON } = require("mongodb");
+const api = require("..");
+const { createReporter, createBufferedReporter, forwardEvents } = require("../lib/events");
+const { createSourceClient } = require("./fake-client");
+
+const { ObjectId, Long, Decimal128 } = BSON;
+
+function recordEvents() {
+  const events = new EventEmitter();
+  const seen = [];
+  ['log', 'start', 'collection:start', 'collection:done', 'done'].forEach(name => {
+    events.on(name, payload => seen.push([name, payload]));
+  });
+  return { events, seen };
+}
+
+test('castToType converts strings and numbers to the schema types', () => {
+  const { castToType } = api;
+
+  assert.equal(castToType('42', 'number'), 42);
+  assert.equal(castToType(0, 'boolean'), false);
+  assert.equal(castToType('Yes', 'boolean'), true);
+  assert.equal(castToType('2024-01-02 03:04:05', 'date').toISOString(), '2024-01-02T03:04:05.000Z');
+  assert.equal(castToType(1700000000, 'date').toISOString(), '2023-11-14T22:13:20.000Z');
+  assert.ok(castToType('64b7f0c2a1b2c3d4e5f60718', 'objectId') instanceof ObjectId);
+  assert.equal(castToType('9007199254740993', 'long').toString(), '9007199254740993');
+  assert.ok(castToType('1.50', 'decimal128') instanceof Decimal128);
+  assert.deepEqual(castToType('[1,2]', 'array'), [1, 2]);
+  assert.deepEqual(castToType('{"a":1}', 'object'), { a: 1 });
+  assert.equal(castToType(null, 'number'), null);
+});
+
+test('castToType keeps values it cannot convert, for validation to warn about', () => {
+  const { castToType, validateDocument } = api;
+
+  assert.equal(castToType('abc', 'number'), 'abc');
+  assert.equal(castToType('not-an-id', 'objectId'), 'not-an-id');
+
+  const schema = { fields: { age: { type: 'number', required: true, nullCount: 0 } } };
+  const result = validateDocument({ age: 'abc' }, schema);
+  assert.equal(result.isValid, true);
+  assert.deepEqual(result.warnings, ["Field 'age' has type 'string', expected 'number' (casting failed)"]);
+
+  const uncast = validateDocument({ age: '7' }, schema, { typeCasting: false });
+  assert.equal(uncast.document.age, '7');
+  assert.deepEqual(uncast.warnings, ["Field 'age' has type 'string', expected 'number'"]);
+  assert.equal(validateDocument({}, schema).isValid, false);
+});
+
+test('the reporter emits log events only when there is an emitter', () => {
+  const { events, seen } = recordEvents();
+  const reporter = createReporter(events);
+  reporter.info('one');
+  reporter.warn('two');
+  reporter.emit('collection:start', { collection: 'users' });
+
+  assert.deepEqual(seen, [
+    ['log', { level: 'info', message: 'one' }],
+    ['log', { level: 'warn', message: 'two' }],
+    ['collection:start', { collection: 'users' }]
+  ]);
+  assert.doesNotThrow(() => createReporter().error('nobody listens'));
+});
+
+test('buffered reporters hold their log lines until flushed', () => {
+  const { events, seen } = recordEvents();
+  const buffered = createBufferedReporter(createReporter(events));
+  buffered.info('a');
+  buffered.emit('collection:done', { collection: 'users' });
+  buffered.error('b');
+
+  assert.deepEqual(seen.map(([name]) => name), ['collection:done']);
+  buffered.flush();
+  assert.deepEqual(seen.slice(1), [['log', { level: 'info', message: 'a' }], ['log', { level: 'error', message: 'b' }]]);
+  buffered.flush();
+  assert.equal(seen.length, 3);
+});
+
+test('forwarded events leave start and done to the caller', () => {
+  const { events, seen } = recordEvents();
+  const forwarded = forwardEvents(createReporter(events));
+  ['start', 'log', 'done'].forEach(name => forwarded.emit(name, {}));
+
+  assert.deepEqual(seen.map(([name]) => name), ['log']);
+});
+
+test('exportDatabase runs with a passed client and reports through events', async () => {
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-test-'));
+  try {
+    const { events, seen } = recordEvents();
+    const users = [{ _id: 1, name: 'Ann', visits: Long.fromNumber(3) }];
+    const result = await api.exportDatabase({ client: createSourceClient({ users }), dbName: 'shop', outDir, formats: ['data', 'schema'], events });
+
+    assert.deepEqual(seen.filter(([name]) => name.startsWith('collection:')).map(([name, payload]) => [name, payload.collection]),
+      [['collection:start', 'users'], ['collection:done', 'users']]);
+    assert.equal(seen[seen.length - 1][0], 'done');
+    assert.equal(seen[seen.length - 1][1], result);
+    assert.ok(fs.existsSync(path.join(outDir, 'data', 'users.json')));
+  } finally {
+    fs.rmSync(outDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,103 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const { packDirectory, compressFiles, readTarEntries, openExportSource } = require("../lib/archive");
+
+const longName = `data/${'x'.repeat(120)}.json`;
+
+function withExportDir(run) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-test-'));
+  const dir = path.join(root, 'db');
+  const files = {
+    'manifest.json': '{"version":1}',
+    'schema/users_schema.json': '{"name":"users"}',
+    'data/users.json': '[\n{"_id":1}\n]\n',
+    'data/orders.json': 'o'.repeat(1500),
+    [longName]: 'long'
+  };
+  Object.entries(files).forEach(([name, content]) => {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), content);
+  });
+  return Promise.resolve(run({ root, dir, files })).finally(() => fs.rmSync(root, { recursive: true, force: true }));
+}
+
+async function readEntries(input) {
+  const entries = [];
+  for await (const entry of readTarEntries(input)) {
+    const chunks = [];
+    for await (const chunk of entry.body) chunks.push(chunk);
+    entries.push([entry.name, Buffer.concat(chunks).toString('utf-8')]);
+  }
+  return entries;
+}
+
+test('archives start with an index and the metadata files, then the data in the given order', () => withExportDir(async ({ root, dir, files }) => {
+  const archivePath = path.join(root, 'db.tar.gz');
+  await packDirectory(dir, archivePath, 'gzip', ['data/orders.json', 'data/users.json']);
+
+  const entries = await readEntries(fs.createReadStream(archivePath).pipe(zlib.createGunzip()));
+  const names = ['manifest.json', 'schema/users_schema.json', 'data/orders.json', 'data/users.json', longName];
+  assert.deepEqual(entries.map(([name]) => name), ['.archive-index.json'].concat(names));
+  assert.deepEqual(JSON.parse(entries[0][1]), { entries: names });
+  entries.slice(1).forEach(([name, content]) => assert.equal(content, files[name]));
+}));
+
+test('entries not read by the consumer are skipped', () => withExportDir(async ({ root, dir }) => {
+  const archivePath = path.join(root, 'db.tar');
+  await packDirectory(dir, archivePath, 'none');
+
+  const names = [];
+  for await (const entry of readTarEntries(fs.createReadStream(archivePath))) names.push(entry.name);
+  assert.equal(names.length, 6);
+}));
+
+test('archive sources serve every file, in or out of archive order', () => withExportDir(async ({ root, dir, files }) => {
+  for (const compression of ['gzip', 'brotli', 'none']) {
+    const archivePath = path.join(root, `db-${compression}.tar`);
+    await packDirectory(dir, archivePath, compression, ['data/users.json', 'data/orders.json']);
+    const source = await openExportSource(archivePath);
+    try {
+      assert.ok(source.exists('data/users.json'));
+      assert.ok(!source.exists('.archive-index.json'));
+      assert.ok(!source.exists('data/missing.json'));
+      assert.equal(await source.readFile('data/orders.json'), files['data/orders.json']);
+      assert.equal(await source.readFile('data/users.json'), files['data/users.json']);
+      assert.equal(await source.readFile('manifest.json'), files['manifest.json']);
+      assert.equal(await source.readFile(longName), 'long');
+    } finally {
+      await source.close();
+    }
+  }
+}));
+
+test('opening an archive reads no further than its metadata', () => withExportDir(async ({ root, dir, files }) => {
+  const archivePath = path.join(root, 'db.tar');
+  await packDirectory(dir, archivePath, 'none', ['data/users.json', 'data/orders.json']);
+  // Cut the archive inside the orders data: only reading that file can notice
+  const bytes = fs.readFileSync(archivePath);
+  fs.writeFileSync(archivePath, bytes.subarray(0, bytes.indexOf('ooooo') + 100));
+
+  const source = await openExportSource(archivePath);
+  try {
+    assert.equal(await source.readFile('schema/users_schema.json'), files['schema/users_schema.json']);
+    assert.equal(await source.readFile('data/users.json'), files['data/users.json']);
+    await assert.rejects(source.readFile('data/orders.json'), /Archive ends inside data\/orders.json/);
+  } finally {
+    await source.close();
+  }
+}));
+
+test('directory sources find compressed files next to the plain names', () => withExportDir(async ({ dir, files }) => {
+  await compressFiles([path.join(dir, 'data', 'users.json')], 'brotli');
+  assert.ok(fs.existsSync(path.join(dir, 'data', 'users.json.br')));
+
+  const source = await openExportSource(dir);
+  assert.ok(source.exists('data/users.json'));
+  assert.equal(await source.readFile('data/users.json'), files['data/users.json']);
+  assert.equal(await source.readFile('manifest.json'), files['manifest.json']);
+  await assert.rejects(source.readFile('data/missing.json'), /data\/missing.json not found/);
+}));
@@ -0,0 +1,59 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseArgs, formatUsage } = require("../lib/args");
+
+const spec = {
+  'db': { type: 'string', option: 'dbName', placeholder: 'name', description: 'Database' },
+  'batch-size': { type: 'number', description: 'Documents per batch' },
+  'indexes': { type: 'boolean', option: 'recreateIndexes', negatable: true, description: 'Recreate indexes' },
+  'dry-run': { type: 'boolean', description: 'Write nothing' },
+  'collections': { type: 'list', placeholder: 'a,b', description: 'Collections' },
+  'mask': { type: 'multi', placeholder: 'rule', description: 'Masking rule' },
+  'mode': { type: 'string', choices: ['replace', 'upsert'], description: 'Mode' },
+  'plan-file': { type: 'string', implies: { dryRun: true }, description: 'Plan file' }
+};
+
+test('values are assigned by option name or camelCase flag name', () => {
+  const options = parseArgs(['--db=shop', '--batch-size=500', '--dry-run', '--collections=users, orders,,'], spec, { recreateIndexes: true });
+
+  assert.deepEqual(options, {
+    recreateIndexes: true,
+    dbName: 'shop',
+    batchSize: 500,
+    dryRun: true,
+    collections: ['users', 'orders']
+  });
+});
+
+test('booleans are negated with --no- and multi values are collected', () => {
+  const options = parseArgs(['--no-indexes', '--mask=a:hash', '--mask=b:null'], spec, { mask: 'ignored' });
+
+  assert.equal(options.recreateIndexes, false);
+  assert.deepEqual(options.mask, ['a:hash', 'b:null']);
+});
+
+test('implies sets the implied options', () => {
+  assert.deepEqual(parseArgs(['--plan-file=plan.json'], spec), { planFile: 'plan.json', dryRun: true });
+});
+
+test('invalid arguments are rejected with the flag name', () => {
+  assert.throws(() => parseArgs(['shop'], spec), /Unexpected argument 'shop'/);
+  assert.throws(() => parseArgs(['--nope'], spec), /Unknown option '--nope'/);
+  assert.throws(() => parseArgs(['--no-db'], spec), /Unknown option '--no-db'/);
+  assert.throws(() => parseArgs(['--dry-run=yes'], spec), /--dry-run does not take a value/);
+  assert.throws(() => parseArgs(['--db'], spec), /--db expects a value/);
+  assert.throws(() => parseArgs(['--batch-size=ten'], spec), /--batch-size expects a number, got 'ten'/);
+  assert.throws(() => parseArgs(['--batch-size='], spec), /expects a number/);
+  assert.throws(() => parseArgs(['--mode=merge'], spec), /Invalid --mode 'merge', expected one of: replace, upsert/);
+});
+
+test('usage lists every flag with its placeholder', () => {
+  const usage = formatUsage('node export.js', spec).split('\n');
+
+  assert.equal(usage[0], 'Usage: node export.js [options]');
+  assert.ok(usage.includes(`  ${'--db=<name>'.padEnd(34)} Database`));
+  assert.ok(usage.includes(`  ${'--batch-size=<number>'.padEnd(34)} Documents per batch`));
+  assert.ok(usage.includes(`  ${'--[no-]indexes'.padEnd(34)} Recreate indexes`));
+  assert.ok(usage.includes(`  ${'--dry-run'.padEnd(34)} Write nothing`));
+  assert.equal(usage[usage.length - 1], `  ${'--help'.padEnd(34)} Show this help`);
+});
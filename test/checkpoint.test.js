@@ -0,0 +1,116 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { MongoNetworkError } = require("mongodb");
+const { exportDatabase, importDatabase } = require("..");
+const { importCollectionData } = require("../lib/import");
+const { createReporter } = require("../lib/events");
+const { getCheckpointPath, openCheckpoint } = require("../lib/checkpoint");
+const { createSourceClient, createTargetClient } = require("./fake-client");
+
+const identity = { database: 'shop', exportDate: '2026-01-01T00:00:00.000Z' };
+
+function withTempDir(run) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoint-test-'));
+  return Promise.resolve().then(() => run(dir)).finally(() => fs.rmSync(dir, { recursive: true, force: true }));
+}
+
+// Target whose inserts go through `intercept(batch, insertMany)`
+function createInterceptingClient(store, intercept) {
+  const client = createTargetClient(store);
+  const db = client.db;
+  client.db = name => {
+    const database = db(name);
+    const collection = database.collection;
+    database.collection = collectionName => {
+      const target = collection(collectionName);
+      const insertMany = target.insertMany;
+      target.insertMany = batch => intercept(batch, insertMany);
+      return target;
+    };
+    return database;
+  };
+  return client;
+}
+
+async function exportUsers(dir, count) {
+  const users = Array.from({ length: count }, (_, i) => ({ _id: i + 1, name: `user ${i}` }));
+  const inDir = path.join(dir, 'db');
+  await exportDatabase({ client: createSourceClient({ users }), dbName: 'shop', outDir: inDir, formats: ['data', 'schema'] });
+  return inDir;
+}
+
+test('checkpoint files are named after the export and the database', () => {
+  assert.equal(getCheckpointPath('./db/', 'shop'), './db.shop.checkpoint.json');
+  assert.equal(getCheckpointPath('backup.tar.gz', 'shop'), 'backup.tar.gz.shop.checkpoint.json');
+});
+
+test('nothing is written before the first committed batch', () => withTempDir(dir => {
+  const filePath = path.join(dir, 'db.shop.checkpoint.json');
+  const checkpoint = openCheckpoint(filePath, identity, false);
+  checkpoint.complete('empty', { imported: 0, validationErrors: [] });
+  assert.equal(fs.existsSync(filePath), false);
+
+  checkpoint.collection('users').commit(100, { imported: 100 });
+  const state = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  assert.deepEqual(state.collections, {
+    empty: { status: 'done', result: { imported: 0 } },
+    users: { status: 'in-progress', offset: 100, counts: { imported: 100 } }
+  });
+
+  const resumed = openCheckpoint(filePath, identity, true);
+  assert.deepEqual(resumed.completed('empty'), { imported: 0 });
+  assert.equal(resumed.completed('users'), null);
+  const progress = resumed.collection('users');
+  assert.deepEqual([progress.offset, progress.counts, progress.resumed], [100, { imported: 100 }, true]);
+  resumed.remove();
+  assert.equal(fs.existsSync(filePath), false);
+}));
+
+test('only the checkpoint of the same import can be resumed', () => withTempDir(dir => {
+  const filePath = path.join(dir, 'db.shop.checkpoint.json');
+  assert.throws(() => openCheckpoint(filePath, identity, true), /No checkpoint found/);
+
+  openCheckpoint(filePath, identity, false).collection('users').commit(1, {});
+  assert.throws(() => openCheckpoint(filePath, { ...identity, database: 'other' }, true), /belongs to another import \(database: shop, expected other\)/);
+}));
+
+test('an interrupted import keeps its checkpoint and a resumed one finishes and removes it', () => withTempDir(async dir => {
+  const inDir = await exportUsers(dir, 5);
+  const checkpointPath = getCheckpointPath(inDir, 'shop');
+  const store = {};
+  let batches = 0;
+  const failing = createInterceptingClient(store, (batch, insertMany) => {
+    if (++batches === 2) throw new MongoNetworkError('connection reset');
+    return insertMany(batch);
+  });
+
+  await assert.rejects(importDatabase({ client: failing, dbName: 'shop', inDir, batchSize: 2 }), /connection reset/);
+  assert.equal(JSON.parse(fs.readFileSync(checkpointPath, 'utf-8')).collections.users.offset, 2);
+
+  await importDatabase({ client: createTargetClient(store), dbName: 'shop', inDir, batchSize: 2, resume: true });
+  assert.deepEqual(store.users.map(doc => doc._id.valueOf()), [1, 2, 3, 4, 5]);
+  assert.equal(fs.existsSync(checkpointPath), false);
+}));
+
+test('an import whose content fails verification leaves no checkpoint', () => withTempDir(async dir => {
+  const inDir = await exportUsers(dir, 3);
+  const tampering = createInterceptingClient({}, (batch, insertMany) => insertMany(batch.map(doc => ({ ...doc, extra: true }))));
+
+  await assert.rejects(importDatabase({ client: tampering, dbName: 'shop', inDir }), /does not match the export manifest/);
+  assert.equal(fs.existsSync(getCheckpointPath(inDir, 'shop')), false);
+}));
+
+test('a batch without _id values after the resume point is not written twice', async () => {
+  const store = { rows: [{ n: 1 }, { n: 2 }, { n: 3 }] };
+  const collection = createTargetClient(store).db('shop').collection('rows');
+  const rows = [1, 2, 3, 4, 5].map(n => ({ n }));
+  const progress = { offset: 2, counts: { imported: 2 }, resumed: true, commit: () => {} };
+  const options = { batchSize: 2, mode: 'replace', clearCollections: false, validateData: false, concurrency: 1 };
+
+  await assert.rejects(importCollectionData(collection, rows, { fields: {}, stats: { documentCount: 5 } }, 'rows', options, createReporter(), progress),
+    /Cannot resume rows: the documents after the last committed batch have no _id/);
+  assert.deepEqual(store.rows.map(row => row.n), [1, 2, 3]);
+});
@@ -0,0 +1,102 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  getCreateCollectionOptions,
+  isSystemCollection,
+  orderViews,
+  renamePipelineTargets,
+  generateCreateCollectionCommand,
+  generateCreateViewCommand
+} = require("../lib/collections");
+const { createViews } = require("../lib/import");
+const { createReporter } = require("../lib/events");
+const { createTargetClient } = require("./fake-client");
+
+test('createCollection options drop what listCollections adds', () => {
+  assert.deepEqual(getCreateCollectionOptions({
+    timeseries: { timeField: 'ts', granularity: 'hours', bucketMaxSpanSeconds: 2592000, bucketRoundingSeconds: 86400 },
+    clusteredIndex: true
+  }), { timeseries: { timeField: 'ts', granularity: 'hours' } });
+
+  assert.deepEqual(getCreateCollectionOptions({
+    clusteredIndex: { v: 2, key: { _id: 1 }, unique: true, name: 'by_id' },
+    capped: true,
+    size: 4096
+  }), { clusteredIndex: { key: { _id: 1 }, unique: true, name: 'by_id' }, capped: true, size: 4096 });
+
+  assert.deepEqual(getCreateCollectionOptions(), {});
+});
+
+test('system collections are recognized by name', () => {
+  assert.equal(isSystemCollection('system.views'), true);
+  assert.equal(isSystemCollection('systems'), false);
+});
+
+test('views come after the views they are defined on', () => {
+  const views = {
+    topCustomers: { viewOn: 'activeCustomers' },
+    activeCustomers: { viewOn: 'customers' },
+    recentOrders: { viewOn: 'orders' }
+  };
+  const ordered = orderViews(views);
+
+  assert.equal(ordered.length, 3);
+  assert.ok(ordered.indexOf('activeCustomers') < ordered.indexOf('topCustomers'));
+  assert.deepEqual(orderViews({ a: { viewOn: 'b' }, b: { viewOn: 'a' } }).sort(), ['a', 'b']);
+});
+
+test('shell commands recreate collections and views with their options', () => {
+  assert.equal(generateCreateCollectionCommand('logs', {}), 'db.createCollection("logs");\n');
+  assert.equal(
+    generateCreateCollectionCommand('events', { capped: true, size: 1024, validator: { $jsonSchema: { required: ['at'] } } }),
+    'db.createCollection("events", { "capped": true, "size": 1024, "validator": { "$jsonSchema": { "required": ["at"] } } });\n'
+  );
+  assert.equal(
+    generateCreateViewCommand('active', { viewOn: 'users', pipeline: [{ $match: { active: true } }], collation: { locale: 'en' } }),
+    'db.createView("active", "users", [{ "$match": { "active": true } }], { "collation": { "locale": "en" } });\n'
+  );
+});
+
+test('the importer creates views in dependency order with their pipeline and collation', async () => {
+  const client = createTargetClient();
+  const db = client.db('shop');
+  const views = {
+    topCustomers: { viewOn: 'activeCustomers', pipeline: [{ $sort: { spent: -1 } }] },
+    activeCustomers: { viewOn: 'customers', pipeline: [{ $match: { active: true } }], collation: { locale: 'en' } }
+  };
+  const created = [];
+  const createCollection = db.createCollection;
+  db.createCollection = async (name, options) => { created.push(name); return createCollection(name, options); };
+
+  const report = await createViews(db, views, Object.keys(views), createReporter());
+
+  assert.deepEqual(report, { created: 2, failed: [] });
+  assert.deepEqual(created, ['activeCustomers', 'topCustomers']);
+  assert.deepEqual(client.collectionOptions.activeCustomers, {
+    viewOn: 'customers', pipeline: [{ $match: { active: true } }], collation: { locale: 'en' }
+  });
+});
+
+test('view pipelines read from the renamed collections', () => {
+  const targetName = name => ({ orders: 'purchases', users: 'people' }[name] || name);
+  const pipeline = [
+    { $match: { status: 'paid' } },
+    { $lookup: { from: 'users', localField: 'userId', foreignField: '_id', as: 'user' } },
+    { $lookup: { from: 'orders', as: 'recent', pipeline: [{ $unionWith: 'users' }] } },
+    { $lookup: { as: 'fixed', pipeline: [{ $documents: [{ a: 1 }] }] } },
+    { $graphLookup: { from: 'users', startWith: '$managerId', connectFromField: 'managerId', connectToField: '_id', as: 'chain' } },
+    { $unionWith: { coll: 'orders', pipeline: [{ $project: { _id: 1 } }] } },
+    { $facet: { byUser: [{ $lookup: { from: 'users', localField: 'userId', foreignField: '_id', as: 'user' } }] } }
+  ];
+
+  assert.deepEqual(renamePipelineTargets(pipeline, targetName), [
+    { $match: { status: 'paid' } },
+    { $lookup: { from: 'people', localField: 'userId', foreignField: '_id', as: 'user' } },
+    { $lookup: { from: 'purchases', as: 'recent', pipeline: [{ $unionWith: 'people' }] } },
+    { $lookup: { as: 'fixed', pipeline: [{ $documents: [{ a: 1 }] }] } },
+    { $graphLookup: { from: 'people', startWith: '$managerId', connectFromField: 'managerId', connectToField: '_id', as: 'chain' } },
+    { $unionWith: { coll: 'purchases', pipeline: [{ $project: { _id: 1 } }] } },
+    { $facet: { byUser: [{ $lookup: { from: 'people', localField: 'userId', foreignField: '_id', as: 'user' } }] } }
+  ]);
+  assert.equal(pipeline[1].$lookup.from, 'users');
+});
@@ -0,0 +1,113 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { EventEmitter } = require("events");
+const { exportDatabase } = require("..");
+const { runConcurrently, readAhead, inCollectionOrder } = require("../lib/concurrency");
+const { createSourceClient } = require("./fake-client");
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('runConcurrently keeps at most `limit` calls in progress and results in item order', async () => {
+  let running = 0;
+  let highest = 0;
+  const results = await runConcurrently([3, 1, 2, 1], 2, async (delay, index) => {
+    running++;
+    highest = Math.max(highest, running);
+    for (let i = 0; i < delay; i++) await tick();
+    running--;
+    return index * 10;
+  });
+
+  assert.equal(highest, 2);
+  assert.deepEqual(results, [0, 10, 20, 30]);
+});
+
+test('runConcurrently starts nothing new after a failure and throws the first error', async () => {
+  const started = [];
+  await assert.rejects(runConcurrently(['a', 'fail', 'b', 'c'], 2, async item => {
+    started.push(item);
+    await tick();
+    if (item === 'fail') throw new Error('fail');
+    await tick();
+  }), /^Error: fail$/);
+
+  assert.deepEqual(started, ['a', 'fail']);
+});
+
+test('readAhead reads up to `limit` items ahead of the consumer', async () => {
+  let produced = 0;
+  async function* source() {
+    for (let i = 0; i < 6; i++) {
+      produced++;
+      yield i;
+    }
+  }
+
+  const seen = [];
+  for await (const item of readAhead(source(), 2)) {
+    await tick();
+    seen.push([item, produced]);
+  }
+  assert.deepEqual(seen.map(([item]) => item), [0, 1, 2, 3, 4, 5]);
+  assert.ok(seen.every(([item, count]) => count <= item + 3));
+  assert.ok(seen.some(([item, count]) => count > item + 1));
+});
+
+test('readAhead passes on source errors and closes the source when stopped early', async () => {
+  async function* failing() {
+    yield 1;
+    throw new Error('read failed');
+  }
+  const items = [];
+  await assert.rejects((async () => {
+    for await (const item of readAhead(failing(), 3)) items.push(item);
+  })(), /read failed/);
+  assert.deepEqual(items, [1]);
+
+  let closed = false;
+  async function* endless() {
+    try {
+      for (let i = 0; ; i++) yield i;
+    } finally {
+      closed = true;
+    }
+  }
+  for await (const item of readAhead(endless(), 2)) {
+    if (item === 3) break;
+  }
+  assert.equal(closed, true);
+});
+
+test('inCollectionOrder orders entries by name list and drops missing ones', () => {
+  assert.deepEqual(Object.keys(inCollectionOrder({ b: 1, c: 2, a: 3 }, ['a', 'b', 'x', 'c'])), ['a', 'b', 'c']);
+});
+
+test('concurrent exports keep each collection\'s log lines together', async () => {
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'concurrency-test-'));
+  try {
+    const data = {};
+    ['a', 'b', 'c'].forEach(name => {
+      data[name] = Array.from({ length: 3 }, (_, i) => ({ _id: i }));
+    });
+    const events = new EventEmitter();
+    const lines = [];
+    events.on('log', ({ message }) => lines.push(message));
+    const result = await exportDatabase({ client: createSourceClient(data), dbName: 'shop', outDir, formats: ['data', 'schema'], concurrency: 3, events });
+
+    assert.deepEqual(Object.keys(result.collections), ['a', 'b', 'c']);
+    const exported = lines.map((line, index) => [line, index]).filter(([line]) => /^✓ Exported/.test(line));
+    assert.equal(exported.length, 3);
+    // Between a collection's first line and its "Exported" line, no other collection's lines appear
+    exported.forEach(([line, end]) => {
+      const name = line.match(/Exported (\w+):/)[1];
+      const start = lines.findIndex(message => message.includes(`collection: ${name}`));
+      assert.ok(start !== -1 && start < end);
+      assert.ok(lines.slice(start, end).every(message => !/collection: \w+/.test(message) || message.includes(`collection: ${name}`)));
+    });
+  } finally {
+    fs.rmSync(outDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { copyDatabase } = require("..");
+const { createSourceClient, createTargetClient } = require("./fake-client");
+
+// The first 100 users have a nickname, the others do not: a sample of 100 sees it everywhere
+const users = Array.from({ length: 150 }, (_, i) => (i < 100 ? { _id: i, nickname: `n${i}` } : { _id: i }));
+
+test('copies analyze every document, so optional fields are not taken as required', async () => {
+  const result = await copyDatabase({ client: createSourceClient({ users }), targetClient: createTargetClient({}), dbName: 'shop', targetDbName: 'copy' });
+  assert.equal(result.collections.users.imported, 150);
+  assert.equal(result.collections.users.errors, 0);
+
+  const sampled = await copyDatabase({ client: createSourceClient({ users }), targetClient: createTargetClient({}), dbName: 'shop', targetDbName: 'copy', schemaStrategy: 'sample' });
+  assert.equal(sampled.collections.users.errors, 50);
+});
+
+test('renamed collections are renamed in the views that read from them', async () => {
+  const client = createSourceClient({ users: [{ _id: 1 }], orders: [{ _id: 1, userId: 1 }] });
+  const db = client.db;
+  client.db = name => {
+    const database = db(name);
+    const listCollections = database.listCollections;
+    database.listCollections = () => ({
+      toArray: async () => (await listCollections().toArray()).concat({
+        name: 'orderUsers',
+        type: 'view',
+        options: { viewOn: 'orders', pipeline: [{ $lookup: { from: 'users', localField: 'userId', foreignField: '_id', as: 'user' } }] }
+      })
+    });
+    return database;
+  };
+  const targetClient = createTargetClient({});
+
+  const result = await copyDatabase({ client, targetClient, dbName: 'shop', targetDbName: 'copy', rename: { users: 'people', orders: 'purchases' } });
+  assert.equal(result.views.created, 1);
+  assert.deepEqual(targetClient.collectionOptions.orderUsers, {
+    viewOn: 'purchases',
+    pipeline: [{ $lookup: { from: 'people', localField: 'userId', foreignField: '_id', as: 'user' } }]
+  });
+});
+
+test('copying an empty collection empties the target collection', async () => {
+  const store = { users: [{ _id: 9 }], people: [{ _id: 8 }], other: [{ _id: 1 }] };
+  const client = createSourceClient({ users: [], orders: [] });
+
+  const result = await copyDatabase({ client, targetClient: createTargetClient(store), dbName: 'shop', targetDbName: 'copy', rename: { orders: 'people' } });
+  assert.deepEqual(store.users, []);
+  assert.deepEqual(store.people, []);
+  assert.deepEqual(store.other, [{ _id: 1 }]);
+  assert.equal(result.collections.users.imported, 0);
+});
@@ -0,0 +1,41 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { exportDatabase, importDatabase } = require("..");
+const { compareWithExistingIndexes } = require("../lib/indexes");
+const { createSourceClient, createTargetClient } = require("./fake-client");
+
+test('existing indexes are matched by name, key and options', () => {
+  const index = { v: 2, key: { email: 1 }, name: 'email_1', unique: true };
+
+  assert.deepEqual(compareWithExistingIndexes(index, []), { status: 'new' });
+  assert.deepEqual(compareWithExistingIndexes(index, [{ v: 2, unique: true, name: 'email_1', key: { email: 1 } }]), { status: 'exists' });
+  assert.equal(compareWithExistingIndexes(index, [{ v: 2, key: { email: 1 }, name: 'email_1' }]).status, 'conflict');
+  assert.deepEqual(compareWithExistingIndexes(index, [{ v: 2, key: { email: 1 }, name: 'by_email' }]),
+    { status: 'conflict', reason: 'an index on the same key exists as by_email' });
+});
+
+test('a dry run plans the import without writing anything', async () => {
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dry-run-test-'));
+  try {
+    const users = [{ _id: 1, name: 'Ann' }, { _id: 2, name: 'Bob' }, { _id: 3, name: 'Cy' }];
+    await exportDatabase({ client: createSourceClient({ users }), dbName: 'shop', outDir, formats: ['data', 'schema'] });
+
+    const store = { users: [{ _id: 2, name: 'Old Bob' }] };
+    const result = await importDatabase({
+      client: createTargetClient(store), dbName: 'shop', inDir: outDir, dryRun: true, mode: 'upsert', planFile: path.join(outDir, 'plan.json')
+    });
+
+    assert.equal(result.dryRun, true);
+    assert.deepEqual(store.users, [{ _id: 2, name: 'Old Bob' }]);
+    const entry = result.plan.collections.find(collection => collection.name === 'users');
+    assert.equal(entry.exists, true);
+    assert.equal(entry.existingDocuments, 1);
+    assert.deepEqual([result.collections.users.inserted, result.collections.users.updated], [2, 1]);
+    assert.ok(fs.existsSync(path.join(outDir, 'plan.json')));
+  } finally {
+    fs.rmSync(outDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,60 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { BSON } = require("mongodb");
+const { exportDatabase, importDatabase } = require("..");
+const { createSourceClient, createTargetClient } = require("./fake-client");
+
+const { EJSON, ObjectId, Long, Decimal128, Int32, Double, Binary, UUID } = BSON;
+
+function createDocuments() {
+  return [
+    {
+      _id: new ObjectId('64b7f0c2a1b2c3d4e5f60718'),
+      count: new Int32(7),
+      ratio: new Double(2),
+      big: Long.fromString('9007199254740993'),
+      price: Decimal128.fromString('19.990'),
+      createdAt: new Date('2024-03-01T12:34:56.789Z'),
+      token: new UUID('0b7a3f6e-8f1c-4b0e-9d3a-2f4c5b6a7d8e').toBinary(),
+      blob: new Binary(Buffer.from([1, 2, 3])),
+      nested: { ids: [new ObjectId('64b7f0c2a1b2c3d4e5f60719')], at: new Date(0) }
+    }
+  ];
+}
+
+async function roundTrip(exportOptions) {
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ejson-test-'));
+  try {
+    const documents = createDocuments();
+    await exportDatabase({ client: createSourceClient({ items: documents }), dbName: 'shop', outDir, formats: ['data', 'schema'], ...exportOptions });
+    const store = {};
+    await importDatabase({ client: createTargetClient(store), dbName: 'shop', inDir: outDir });
+    return { documents, imported: store.items, dataFile: fs.readFileSync(path.join(outDir, 'data', 'items.json'), 'utf-8') };
+  } finally {
+    fs.rmSync(outDir, { recursive: true, force: true });
+  }
+}
+
+test('canonical data files keep every BSON type through export and import', async () => {
+  const { documents, imported, dataFile } = await roundTrip({ ejsonMode: 'canonical' });
+
+  assert.match(dataFile, /"\$numberLong":"9007199254740993"/);
+  assert.match(dataFile, /"\$numberDecimal":"19.990"/);
+  assert.equal(imported.length, 1);
+  assert.equal(EJSON.stringify(imported[0], { relaxed: false }), EJSON.stringify(documents[0], { relaxed: false }));
+});
+
+test('relaxed data files keep ObjectIds, dates and decimals', async () => {
+  const { imported } = await roundTrip({ ejsonMode: 'relaxed' });
+  const doc = imported[0];
+
+  assert.ok(doc._id instanceof ObjectId);
+  assert.ok(doc.createdAt instanceof Date);
+  assert.equal(doc.createdAt.toISOString(), '2024-03-01T12:34:56.789Z');
+  assert.ok(doc.price instanceof Decimal128);
+  assert.equal(doc.price.toString(), '19.990');
+  assert.ok(doc.nested.ids[0] instanceof ObjectId);
+});
@@ -0,0 +1,167 @@
+// In-memory stand-ins for MongoClient, enough of the driver API for exports and imports to
+// run without a server: createSourceClient() serves `data` ({ collection: [documents] }) and
+// createTargetClient() records what an import writes in `store`
+const { BSON } = require("mongodb");
+
+const { EJSON } = BSON;
+
+function sameValue(a, b) {
+  return EJSON.stringify(a, { relaxed: false }) === EJSON.stringify(b, { relaxed: false });
+}
+
+// Values at a dotted path, going through arrays like MongoDB queries do
+function valuesAt(value, segments) {
+  if (value === null || value === undefined) return [];
+  if (Array.isArray(value)) return value.flatMap(item => valuesAt(item, segments));
+  if (segments.length === 0) return [value];
+  if (typeof value !== 'object' || value._bsontype || value instanceof Date) return [];
+  return valuesAt(value[segments[0]], segments.slice(1));
+}
+
+function sortKey(value) {
+  if (value && value._bsontype === 'ObjectId') return value.toHexString();
+  if (value instanceof Date) return value.getTime();
+  if (value && value._bsontype) return value.valueOf();
+  return value;
+}
+
+// Filters with equality, $in, $gt, $type: 'objectId', $and and $or
+function matches(doc, query) {
+  return Object.keys(query).every(key => {
+    const condition = query[key];
+    if (key === '$and') return condition.every(part => matches(doc, part));
+    if (key === '$or') return condition.some(part => matches(doc, part));
+    const values = valuesAt(doc, key.split('.'));
+    if (condition && condition.$in) return values.some(value => condition.$in.some(item => sameValue(item, value)));
+    if (condition && condition.$type) return values.some(value => value && value._bsontype === 'ObjectId');
+    if (condition && condition.$gt !== undefined) return values.some(value => sortKey(value) > sortKey(condition.$gt));
+    return values.some(value => sameValue(value, condition));
+  });
+}
+
+function createCursor(docs) {
+  let limit = null;
+  const selected = () => docs.slice(0, limit || docs.length);
+  return {
+    limit(n) { limit = n; return this; },
+    project() { return this; },
+    toArray: async () => selected(),
+    async *[Symbol.asyncIterator]() { yield* selected(); }
+  };
+}
+
+function createSourceClient(data) {
+  return {
+    connect: async () => {},
+    close: async () => {},
+    startSession: () => ({
+      snapshotTime: null,
+      ended: false,
+      async endSession() { this.ended = true; }
+    }),
+    db: () => ({
+      listCollections: () => ({
+        toArray: async () => Object.keys(data).map(name => ({ name, type: 'collection', options: {} }))
+      }),
+      command: async () => ({}),
+      // A change stream without changes
+      watch: () => ({ resumeToken: null, tryNext: async () => null, close: async () => {} }),
+      collection: name => ({
+        indexes: async () => [{ v: 2, key: { _id: 1 }, name: '_id_' }],
+        find: (query = {}, options = {}) => {
+          if (options.session && !options.session.snapshotTime) {
+            options.session.snapshotTime = new BSON.Timestamp({ t: 1760000000, i: 1 });
+          }
+          return createCursor(data[name].filter(doc => matches(doc, query)));
+        },
+        // $sample takes the first documents, so tests know which ones are analyzed
+        aggregate: (pipeline = []) => {
+          const sample = pipeline.find(stage => stage.$sample);
+          return createCursor(data[name].slice(0, sample ? sample.$sample.size : data[name].length));
+        },
+        countDocuments: async (query = {}) => data[name].filter(doc => matches(doc, query)).length,
+        estimatedDocumentCount: async () => data[name].length
+      })
+    })
+  };
+}
+
+function createTargetClient(store = {}) {
+  const collectionOptions = {};
+  const collection = name => {
+    store[name] = store[name] || [];
+    const docs = store[name];
+    const indexOf = filter => docs.findIndex(doc => matches(doc, filter));
+    return {
+      insertMany: async batch => { docs.push(...batch); return { insertedCount: batch.length }; },
+      insertOne: async doc => { docs.push(doc); return { insertedId: doc._id }; },
+      deleteMany: async () => { const deletedCount = docs.length; docs.length = 0; return { deletedCount }; },
+      createIndex: async () => {},
+      indexes: async () => [{ v: 2, key: { _id: 1 }, name: '_id_' }],
+      countDocuments: async (query = {}) => docs.filter(doc => matches(doc, query)).length,
+      estimatedDocumentCount: async () => docs.length,
+      find: (query = {}) => createCursor(docs.filter(doc => matches(doc, query))),
+      aggregate: () => createCursor(docs),
+      bulkWrite: async operations => {
+        const result = { insertedCount: 0, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, deletedCount: 0 };
+        operations.forEach(operation => {
+          if (operation.insertOne) {
+            docs.push(operation.insertOne.document);
+            result.insertedCount++;
+          } else if (operation.replaceOne) {
+            const { filter, replacement, upsert } = operation.replaceOne;
+            const index = indexOf(filter);
+            if (index !== -1) {
+              docs[index] = { _id: docs[index]._id, ...replacement };
+              result.matchedCount++;
+              result.modifiedCount++;
+            } else if (upsert) {
+              docs.push({ ...filter, ...replacement });
+              result.upsertedCount++;
+            }
+          } else if (operation.updateOne) {
+            const index = indexOf(operation.updateOne.filter);
+            if (index !== -1) {
+              Object.assign(docs[index], operation.updateOne.update.$set);
+              result.matchedCount++;
+              result.modifiedCount++;
+            }
+          } else if (operation.deleteOne) {
+            const index = indexOf(operation.deleteOne.filter);
+            if (index !== -1) {
+              docs.splice(index, 1);
+              result.deletedCount++;
+            }
+          }
+        });
+        return result;
+      }
+    };
+  };
+
+  return {
+    store,
+    collectionOptions,
+    connect: async () => {},
+    close: async () => {},
+    db: () => ({
+      admin: () => ({ command: async () => ({ version: '7.0.0' }) }),
+      listCollections: (filter = {}) => ({
+        toArray: async () => Object.keys(store)
+          .filter(name => !filter.name || name === filter.name)
+          .map(name => ({ name, type: 'collection', options: collectionOptions[name] || {} }))
+      }),
+      dropDatabase: async () => { Object.keys(store).forEach(name => delete store[name]); },
+      createCollection: async (name, options = {}) => {
+        store[name] = store[name] || [];
+        collectionOptions[name] = options;
+      },
+      collection
+    })
+  };
+}
+
+module.exports = {
+  createSourceClient,
+  createTargetClient
+};
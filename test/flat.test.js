@@ -0,0 +1,84 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { BSON } = require("mongodb");
+const { analyzeFieldTypes } = require("../lib/schema");
+const { createReporter } = require("../lib/events");
+const { toPlainValue, getFlatColumns, createFlatWriter } = require("../lib/flat");
+
+const { ObjectId, Long, Decimal128, Int32, UUID } = BSON;
+
+const orders = [
+  { _id: 1, customer: { name: 'Ann', city: 'Oslo' }, items: [{ sku: 'A', qty: 2 }, { sku: 'B', qty: 1 }], tags: ['new', 'gift'] },
+  { _id: 2, customer: { name: 'Lee, Bob', city: 'Rome' }, items: [], tags: [] }
+];
+
+async function writeFlat(format, docs, options) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flat-test-'));
+  try {
+    const file = path.join(dir, `orders.${format}`);
+    const writer = createFlatWriter(format, file, analyzeFieldTypes(docs),
+      { csvDelimiter: ',', csvHeader: true, dateFormat: 'iso', ...options }, createReporter());
+    await writer.start();
+    for (const doc of docs) await writer.write(doc);
+    const result = await writer.finish();
+    return { text: fs.readFileSync(file, 'utf-8'), rows: result.rows };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('BSON values become plain JSON values', () => {
+  const at = new Date('2024-05-06T07:08:09.000Z');
+  const plain = toPlainValue({
+    id: new ObjectId('64b7f0c2a1b2c3d4e5f60718'),
+    n: new Int32(3),
+    small: Long.fromNumber(5),
+    big: Long.fromString('9007199254740993'),
+    price: Decimal128.fromString('1.50'),
+    token: new UUID('0b7a3f6e-8f1c-4b0e-9d3a-2f4c5b6a7d8e').toBinary(),
+    list: [at]
+  }, { dateFormat: 'iso' });
+
+  assert.deepEqual(plain, {
+    id: '64b7f0c2a1b2c3d4e5f60718',
+    n: 3,
+    small: 5,
+    big: '9007199254740993',
+    price: '1.50',
+    token: '0b7a3f6e-8f1c-4b0e-9d3a-2f4c5b6a7d8e',
+    list: ['2024-05-06T07:08:09.000Z']
+  });
+  assert.equal(toPlainValue(at, { dateFormat: 'sql' }), '2024-05-06 07:08:09');
+  assert.equal(toPlainValue(at, { dateFormat: 'date' }), '2024-05-06');
+  assert.equal(toPlainValue(at, { dateFormat: 'epoch' }), at.getTime());
+});
+
+test('CSV columns follow the schema, with exploded arrays contributing their element fields', () => {
+  const fields = analyzeFieldTypes(orders);
+
+  assert.deepEqual(getFlatColumns(fields, []), ['_id', 'customer.name', 'customer.city', 'items', 'tags']);
+  assert.deepEqual(getFlatColumns(fields, ['items']), ['_id', 'customer.name', 'customer.city', 'items.sku', 'items.qty', 'tags']);
+});
+
+test('CSV rows quote delimiters and keep unexploded arrays as JSON', async () => {
+  const { text, rows } = await writeFlat('csv', orders, { csvFields: ['_id', 'customer', 'tags'] });
+
+  assert.equal(rows, 2);
+  assert.equal(text, '_id,customer.name,customer.city,tags\n1,Ann,Oslo,"[""new"",""gift""]"\n2,"Lee, Bob",Rome,[]\n');
+});
+
+test('exploded arrays give one row per element, and one empty row for empty arrays', async () => {
+  const { text, rows } = await writeFlat('csv', orders, { csvExplode: ['items'], csvFields: ['_id', 'items'] });
+
+  assert.equal(rows, 3);
+  assert.equal(text, '_id,items.sku,items.qty\n1,A,2\n1,B,1\n2,,\n');
+});
+
+test('NDJSON writes one plain JSON document per line', async () => {
+  const { text } = await writeFlat('ndjson', [{ _id: new ObjectId('64b7f0c2a1b2c3d4e5f60718'), at: new Date(0) }], { dateFormat: 'epoch' });
+
+  assert.equal(text, '{"_id":"64b7f0c2a1b2c3d4e5f60718","at":0}\n');
+});
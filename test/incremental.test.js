@@ -0,0 +1,126 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { BSON } = require("mongodb");
+const { exportDatabase, importDatabase } = require("..");
+const {
+  createWatermarkTracker,
+  readManifest,
+  getPreviousWatermark,
+  getIncrementalQuery,
+  checkExportChain
+} = require("../lib/incremental");
+const { createSourceClient, createTargetClient } = require("./fake-client");
+
+const { ObjectId, Long, Int32 } = BSON;
+
+function withTempDir(run) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'incremental-test-'));
+  return Promise.resolve().then(() => run(dir)).finally(() => fs.rmSync(dir, { recursive: true, force: true }));
+}
+
+async function track(field, docs, initial) {
+  const tracker = createWatermarkTracker(field, initial);
+  await tracker.start();
+  for (const doc of docs) await tracker.write(doc);
+  return tracker.watermark();
+}
+
+test('watermarks keep the highest value of the field in MongoDB order, with its type', async () => {
+  assert.deepEqual(await track('_id', [{ _id: 3 }, { _id: new Int32(7) }, { _id: Long.fromNumber(5) }]),
+    { field: '_id', value: { $numberInt: '7' } });
+  // Strings sort above numbers, ObjectIds above strings
+  assert.deepEqual(await track('_id', [{ _id: 'b' }, { _id: 9 }]), { field: '_id', value: 'b' });
+  const id = new ObjectId('64b7f0c2a1b2c3d4e5f60718');
+  assert.deepEqual(await track('_id', [{ _id: 'z' }, { _id: id }]), { field: '_id', value: { $oid: id.toHexString() } });
+
+  const updated = await track('meta.updatedAt', [
+    { meta: { updatedAt: new Date('2024-01-02T00:00:00Z') } },
+    { meta: { updatedAt: null } },
+    { meta: {} }
+  ]);
+  assert.deepEqual(updated, { field: 'meta.updatedAt', value: { $date: { $numberLong: String(Date.parse('2024-01-02T00:00:00Z')) } } });
+});
+
+test('watermarks start from the previous one and are absent without tracked values', async () => {
+  assert.deepEqual(await track('_id', [{ _id: 2 }], 10), { field: '_id', value: { $numberInt: '10' } });
+  assert.equal(await track('_id', [{ _id: null }, { _id: { nested: 1 } }]), undefined);
+});
+
+test('previous watermarks come back with their BSON type, or fail for another field', () => {
+  const manifest = { collections: {
+    users: { watermark: { field: '_id', value: { $numberLong: '12' } } },
+    empty: { documents: 0 }
+  } };
+
+  const watermark = getPreviousWatermark(manifest, 'users', '_id');
+  assert.equal(watermark._bsontype, 'Long');
+  assert.equal(watermark.toString(), '12');
+  assert.equal(getPreviousWatermark(manifest, 'empty', '_id'), undefined);
+  assert.equal(getPreviousWatermark(manifest, 'orders', '_id'), undefined);
+  assert.throws(() => getPreviousWatermark(manifest, 'users', 'updatedAt'), /tracked '_id' for users, not 'updatedAt': pass --incremental-field=_id/);
+});
+
+test('incremental queries narrow the collection filter to values above the watermark', () => {
+  assert.deepEqual(getIncrementalQuery({}, '_id', 5), { _id: { $gt: 5 } });
+  assert.deepEqual(getIncrementalQuery({ active: true }, 'updatedAt', 5), { $and: [{ active: true }, { updatedAt: { $gt: 5 } }] });
+});
+
+test('export chains are checked link by link', () => withTempDir(async dir => {
+  const write = (name, manifest) => {
+    const file = path.join(dir, `${name}.json`);
+    fs.writeFileSync(file, JSON.stringify(manifest));
+    return file;
+  };
+  const base = { exportId: 'a', createdAt: '2024-01-01' };
+  const mon = write('mon', { exportId: 'b', createdAt: '2024-01-02', previous: { exportId: 'a', createdAt: '2024-01-01' } });
+  const tue = write('tue', { exportId: 'c', createdAt: '2024-01-03', previous: { exportId: 'b', createdAt: '2024-01-02' } });
+  const full = write('full', { exportId: 'd', createdAt: '2024-01-04' });
+
+  assert.deepEqual((await checkExportChain(base, [mon, tue])).map(manifest => manifest.exportId), ['b', 'c']);
+  assert.deepEqual(await checkExportChain(base, []), []);
+  await assert.rejects(checkExportChain(base, [tue]), /tue.json does not continue the base export: it was exported since b \(2024-01-02\), the base export is a \(2024-01-01\)/);
+  await assert.rejects(checkExportChain(base, [mon, mon]), /mon.json does not continue .*mon.json/);
+  await assert.rejects(checkExportChain(base, [full]), /full.json is not an incremental export/);
+  await assert.rejects(checkExportChain({ createdAt: '2023-12-31' }, [mon]), /the base export is an export without an id/);
+}));
+
+test('a delta exports only new documents and applies on top of the base export', () => withTempDir(async dir => {
+  const users = [{ _id: 1, name: 'Ann' }, { _id: 2, name: 'Bob' }];
+  const client = createSourceClient({ users });
+  const base = path.join(dir, 'base');
+  const delta = path.join(dir, 'delta');
+  await exportDatabase({ client, dbName: 'shop', outDir: base, formats: ['data', 'schema'] });
+
+  users.push({ _id: 3, name: 'Cy' });
+  const result = await exportDatabase({ client, dbName: 'shop', outDir: delta, formats: ['data', 'schema'], since: base });
+  assert.equal(result.collections.users.documentCount, 1);
+
+  const manifest = await readManifest(delta);
+  assert.equal(manifest.type, 'incremental');
+  assert.equal(manifest.previous.exportId, (await readManifest(path.join(base, 'manifest.json'))).exportId);
+  assert.deepEqual(manifest.collections.users.watermark, { field: '_id', value: { $numberInt: '3' } });
+
+  const store = {};
+  await importDatabase({ client: createTargetClient(store), dbName: 'shop', inDir: base, deltas: [delta] });
+  assert.deepEqual(store.users.map(doc => [doc._id.valueOf(), doc.name]), [[1, 'Ann'], [2, 'Bob'], [3, 'Cy']]);
+
+  await assert.rejects(importDatabase({ client: createTargetClient({}), dbName: 'shop', inDir: delta, deltas: [delta] }),
+    /does not continue/);
+}));
+
+test('limited exports record no watermark, and since refuses a limit', () => withTempDir(async dir => {
+  const users = [{ _id: 3 }, { _id: 1 }, { _id: 2 }];
+  const client = createSourceClient({ users });
+  const base = path.join(dir, 'base');
+  await exportDatabase({ client, dbName: 'shop', outDir: base, formats: ['data', 'schema'], limit: 1 });
+  assert.equal((await readManifest(base)).collections.users.watermark, undefined);
+
+  await assert.rejects(exportDatabase({ client, dbName: 'shop', outDir: path.join(dir, 'delta'), formats: ['data', 'schema'], since: base, limit: 1 }),
+    /cannot be combined with limit/);
+  // Without a watermark, the next incremental export takes the whole collection
+  const result = await exportDatabase({ client, dbName: 'shop', outDir: path.join(dir, 'delta'), formats: ['data', 'schema'], since: base });
+  assert.equal(result.collections.users.documentCount, 3);
+}));
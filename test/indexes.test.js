@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { BSON } = require("mongodb");
+const {
+  getIndexKey,
+  getIndexOptions,
+  checkIndexCompatibility,
+  compareVersions,
+  toShellLiteral,
+  generateCreateIndexCommand
+} = require("../lib/indexes");
+
+const { ObjectId, Int32, Long, Decimal128 } = BSON;
+
+const textIndex = {
+  v: 2,
+  key: { _fts: 'text', _ftsx: 1, category: 1 },
+  name: 'title_text_body_text',
+  weights: { title: 10, body: 1 },
+  default_language: 'english',
+  textIndexVersion: 3
+};
+
+test('text index keys are rebuilt from their weights', () => {
+  assert.deepEqual(getIndexKey(textIndex), { title: 'text', body: 'text', category: 1 });
+  assert.deepEqual(getIndexKey({ key: { a: 1, b: -1 } }), { a: 1, b: -1 });
+});
+
+test('index options keep everything but the key and listing properties', () => {
+  const index = { v: 2, key: { email: 1 }, name: 'email_1', ns: 'shop.users', background: true, unique: true,
+    partialFilterExpression: { email: { $exists: true } }, collation: { locale: 'fr' } };
+
+  assert.deepEqual(getIndexOptions(index), {
+    name: 'email_1',
+    unique: true,
+    partialFilterExpression: { email: { $exists: true } },
+    collation: { locale: 'fr' }
+  });
+});
+
+test('compareVersions orders dotted versions numerically', () => {
+  assert.ok(compareVersions('4.10', '4.4') > 0);
+  assert.ok(compareVersions('4.2', '4.2.0') === 0);
+  assert.ok(compareVersions('3.6.23', '4.0') < 0);
+});
+
+test('indexes using features the target server lacks are reported', () => {
+  const wildcard = { key: { 'attributes.$**': 1 }, name: 'attributes.$**_1', hidden: true };
+
+  assert.deepEqual(checkIndexCompatibility(wildcard, '4.0'), [
+    'wildcard index requires MongoDB 4.2+, target is 4.0',
+    'hidden index requires MongoDB 4.4+, target is 4.0'
+  ]);
+  assert.deepEqual(checkIndexCompatibility(wildcard, '7.0'), []);
+  assert.deepEqual(checkIndexCompatibility({ key: { pos: 'geoHaystack', type: 1 } }, '5.0'),
+    ['geoHaystack index was removed in MongoDB 5.0, target is 5.0']);
+  assert.deepEqual(checkIndexCompatibility(textIndex, undefined), []);
+});
+
+test('shell literals keep BSON types', () => {
+  const id = new ObjectId('64b7f0c2a1b2c3d4e5f60718');
+  assert.equal(
+    toShellLiteral({ id, n: new Int32(1), l: Long.fromString('5'), d: Decimal128.fromString('1.5'), at: new Date(0), re: /a+/i, list: [null, 'x'] }),
+    '{ "id": ObjectId("64b7f0c2a1b2c3d4e5f60718"), "n": NumberInt(1), "l": NumberLong("5"), "d": NumberDecimal("1.5"), ' +
+    '"at": ISODate("1970-01-01T00:00:00.000Z"), "re": /a+/i, "list": [null, "x"] }'
+  );
+});
+
+test('createIndex commands carry every option and the versions they need', () => {
+  const command = generateCreateIndexCommand('users', {
+    v: 2, key: { email: 1 }, name: 'email_1', unique: true, collation: { locale: 'en', strength: 2 }
+  });
+
+  assert.equal(command,
+    '// collation requires MongoDB 3.4+\n' +
+    'db.getCollection("users").createIndex({ "email": 1 }, { "name": "email_1", "unique": true, "collation": { "locale": "en", "strength": 2 } });\n');
+});
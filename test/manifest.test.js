@@ -0,0 +1,88 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { BSON } = require("mongodb");
+const { hashDocument, createContentHasher, createManifest, verifyFiles } = require("../lib/manifest");
+const { openExportSource } = require("../lib/archive");
+const { exportDatabase, importDatabase } = require("..");
+const { createSourceClient, createTargetClient } = require("./fake-client");
+
+const { ObjectId, Int32, Double, Long } = BSON;
+
+async function contentHash(docs) {
+  const hasher = createContentHasher();
+  for (const doc of docs) await hasher.write(doc);
+  return hasher.finish();
+}
+
+test('documents hash the same whatever their key order and numeric types', () => {
+  const id = new ObjectId('64b7f0c2a1b2c3d4e5f60718');
+
+  assert.equal(hashDocument({ _id: id, a: 1, b: { c: 2, d: 3 } }), hashDocument({ b: { d: 3, c: 2 }, a: 1, _id: id }));
+  assert.equal(hashDocument({ n: new Int32(1) }), hashDocument({ n: new Double(1) }));
+  assert.equal(hashDocument({ n: Long.fromNumber(7) }), hashDocument({ n: 7 }));
+  assert.notEqual(hashDocument({ n: 1 }), hashDocument({ n: '1' }));
+  assert.notEqual(hashDocument({ list: [1, 2] }), hashDocument({ list: [2, 1] }));
+});
+
+test('the content hash does not depend on document order', async () => {
+  const docs = [{ _id: 1 }, { _id: 2, name: 'Ann' }, { _id: 3 }];
+  const forward = await contentHash(docs);
+  const backward = await contentHash(docs.slice().reverse());
+
+  assert.equal(forward.rows, 3);
+  assert.equal(forward.contentHash, backward.contentHash);
+  assert.match(forward.contentHash, /^[0-9a-f]{64}$/);
+  assert.notEqual((await contentHash(docs.slice(1))).contentHash, forward.contentHash);
+  assert.equal((await contentHash([])).contentHash, '0'.repeat(64));
+});
+
+test('manifests list file sizes and checksums, and verifyFiles reports changed files', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-test-'));
+  try {
+    fs.mkdirSync(path.join(dir, 'data'));
+    const users = path.join(dir, 'data', 'users.json');
+    const orders = path.join(dir, 'data', 'orders.json');
+    fs.writeFileSync(users, '[{"_id":1}]');
+    fs.writeFileSync(orders, '[]');
+
+    const manifest = await createManifest('shop', { users: { documents: 1 } }, { 'data/users.json': users, 'data/orders.json': orders });
+    assert.equal(manifest.database, 'shop');
+    assert.equal(manifest.type, 'full');
+    assert.deepEqual(Object.keys(manifest.files), ['data/orders.json', 'data/users.json']);
+    assert.deepEqual(manifest.files['data/users.json'], {
+      size: 11,
+      sha256: crypto.createHash('sha256').update('[{"_id":1}]').digest('hex')
+    });
+
+    const source = await openExportSource(dir);
+    assert.deepEqual(await verifyFiles(source, manifest, ['data/users.json', 'data/orders.json', 'data/other.json']), []);
+
+    fs.writeFileSync(users, '[{"_id":2}]');
+    fs.writeFileSync(orders, '[ ]');
+    const mismatches = await verifyFiles(source, manifest, ['data/users.json', 'data/orders.json']);
+    assert.equal(mismatches.length, 2);
+    assert.match(mismatches[0], /^data\/users.json: SHA-256 [0-9a-f]{64} expected, found [0-9a-f]{64}$/);
+    assert.equal(mismatches[1], 'data/orders.json: 2 bytes expected, found 3');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('importing an empty collection clears the target collection and verifies', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-test-'));
+  try {
+    await exportDatabase({ client: createSourceClient({ users: [], orders: [{ _id: 1 }] }), dbName: 'shop', outDir: dir, formats: ['data', 'schema'] });
+    const store = { users: [{ _id: 9, stale: true }], orders: [{ _id: 8, stale: true }] };
+
+    const result = await importDatabase({ client: createTargetClient(store), dbName: 'shop', inDir: dir, recreateDatabase: false });
+    assert.deepEqual(store.users, []);
+    assert.deepEqual(store.orders.map(doc => doc._id.valueOf()), [1]);
+    assert.deepEqual([result.verification.users.verified, result.verification.orders.verified], [true, true]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,114 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { BSON } = require("mongodb");
+const { parseRule, applyAtPath, loadMaskingRules, createMasking } = require("../lib/masking");
+
+const { ObjectId, Int32, Long, Double } = BSON;
+
+test('rules in short form are parsed into objects and checked', () => {
+  assert.deepEqual(parseRule('users', 'email', 'hash'), { type: 'hash' });
+  assert.deepEqual(parseRule('users', 'name', 'fake:name'), { type: 'fake', kind: 'name' });
+  assert.deepEqual(parseRule('users', 'birthDate', 'shiftDate:30'), { type: 'shiftDate', days: 30 });
+  assert.deepEqual(parseRule('users', 'phone', { type: 'redact', value: 'n/a' }), { type: 'redact', value: 'n/a' });
+  assert.deepEqual(parseRule('users', 'at', { type: 'shiftDate', maxDays: 90 }), { type: 'shiftDate', maxDays: 90 });
+
+  assert.throws(() => parseRule('users', 'email', 'scramble'), /Invalid masking rule for users.email: 'scramble', expected one of: redact, hash/);
+  assert.throws(() => parseRule('users', 'name', 'fake:alias'), /fake 'alias', expected one of: firstName/);
+  assert.throws(() => parseRule('users', 'at', 'shiftDate'), /shiftDate needs a number of days or maxDays/);
+});
+
+test('rules files need a collections object', () => {
+  assert.deepEqual(loadMaskingRules({ collections: { '*': { password: 'null' } } }),
+    { collections: { '*': { password: { type: 'null' } } } });
+  assert.throws(() => loadMaskingRules({ users: {} }), /Invalid masking rules: expected \{ "collections"/);
+});
+
+test('paths pass through arrays, and [] masks each element', () => {
+  const upper = value => (typeof value === 'string' ? value.toUpperCase() : value);
+  const doc = () => ({ name: 'ann', items: [{ sku: 'a' }, { sku: 'b' }, 'loose'], tags: ['x', 'y'], address: null });
+
+  assert.deepEqual(applyAtPath(doc(), ['items', 'sku'], upper).items, [{ sku: 'A' }, { sku: 'B' }, 'loose']);
+  assert.deepEqual(applyAtPath(doc(), ['items[]', 'sku'], upper).items, [{ sku: 'A' }, { sku: 'B' }, 'loose']);
+  assert.deepEqual(applyAtPath(doc(), ['tags[]'], upper).tags, ['X', 'Y']);
+  assert.deepEqual(applyAtPath(doc(), ['tags'], value => value.length).tags, 2);
+  assert.deepEqual(applyAtPath(doc(), ['address', 'street'], upper), doc());
+  assert.deepEqual(applyAtPath(doc(), ['missing'], () => 'set'), doc());
+});
+
+test('hashes keep ObjectIds, integers and doubles in their type and join across collections', () => {
+  const masking = createMasking(loadMaskingRules({ collections: {
+    users: { _id: 'hash', score: 'hash', email: 'hash' },
+    orders: { userId: 'hash' }
+  } }), 'secret');
+  const maskUser = masking.forCollection('users');
+  const id = new ObjectId('64b7f0c2a1b2c3d4e5f60718');
+
+  const user = maskUser({ _id: id, score: 7, email: 'ann@example.com' });
+  assert.ok(user._id instanceof ObjectId);
+  assert.notEqual(user._id.toHexString(), id.toHexString());
+  assert.ok(user.score instanceof Int32);
+  assert.match(user.email, /^[0-9a-f]{32}$/);
+  assert.equal(masking.forCollection('orders')({ userId: id }).userId.toHexString(), user._id.toHexString());
+
+  // Plain numbers hash like the BSON values they were read from
+  assert.deepEqual(maskUser({ score: 7 }).score, maskUser({ score: new Int32(7) }).score);
+  assert.ok(maskUser({ score: 7.5 }).score instanceof Double);
+  assert.ok(maskUser({ score: 2 ** 40 }).score instanceof Double);
+  assert.ok(maskUser({ score: new Double(7) }).score instanceof Double);
+  assert.ok(maskUser({ score: Long.fromNumber(7) }).score instanceof Long);
+  assert.equal(maskUser({ score: null }).score, null);
+
+  const other = createMasking(masking.rules, 'other secret').forCollection('users');
+  assert.notEqual(other({ email: 'ann@example.com' }).email, user.email);
+  assert.equal(masking.keyed, true);
+  assert.equal(createMasking(masking.rules).keyed, false);
+});
+
+test('documents are masked on a copy, with the replaced values counted per rule', () => {
+  const masking = createMasking(loadMaskingRules({ collections: {
+    '*': { password: 'null' },
+    users: { name: 'fake:name', phone: { type: 'redact', value: 'n/a' }, 'sessions[].token': 'redact', born: 'shiftDate:-2' }
+  } }));
+  const doc = {
+    _id: 1,
+    name: 'Ann Lee',
+    phone: '12345',
+    password: 'hunter2',
+    born: new Date('2000-01-03T00:00:00Z'),
+    sessions: [{ token: 'a' }, { token: 'b' }]
+  };
+  const counts = {};
+
+  const masked = masking.forCollection('users')(doc, counts);
+  assert.equal(doc.name, 'Ann Lee');
+  assert.match(masked.name, /^\S+ \S+$/);
+  assert.equal(masked.name, masking.forCollection('users')({ name: 'Ann Lee' }).name);
+  assert.equal(masked.phone, 'n/a');
+  assert.equal(masked.password, null);
+  assert.equal(masked.born.toISOString(), '2000-01-01T00:00:00.000Z');
+  assert.deepEqual(masked.sessions, [{ token: '[redacted]' }, { token: '[redacted]' }]);
+  assert.deepEqual(counts, { password: 1, name: 1, phone: 1, 'sessions[].token': 2, born: 1 });
+
+  assert.equal(masking.forCollection('orders')({ password: 'x' }).password, null);
+  assert.equal(createMasking({ collections: { users: {} } }).forCollection('orders'), null);
+  assert.ok(masking.masksField('users', 'sessions.token'));
+  assert.ok(masking.masksField('orders', 'password'));
+  assert.ok(!masking.masksField('orders', 'name'));
+});
+
+test('dates of one document move by the same offset within maxDays', () => {
+  const masking = createMasking(loadMaskingRules({ collections: { events: { start: { type: 'shiftDate', maxDays: 10 }, end: { type: 'shiftDate', maxDays: 10 } } } }), 'secret');
+  const mask = masking.forCollection('events');
+  const start = new Date('2024-03-01T00:00:00Z');
+  const end = new Date('2024-03-04T00:00:00Z');
+
+  const offsets = [1, 2, 3, 4, 5].map(id => {
+    const masked = mask({ _id: id, start, end });
+    assert.equal(masked.end - masked.start, end - start);
+    const days = (masked.start - start) / (24 * 60 * 60 * 1000);
+    assert.ok(Number.isInteger(days) && Math.abs(days) <= 10);
+    return days;
+  });
+  assert.ok(new Set(offsets).size > 1);
+  assert.equal(mask({ _id: 1, start: 'not a date' }).start, 'not a date');
+});
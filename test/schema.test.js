@@ -0,0 +1,155 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { BSON } = require("mongodb");
+const {
+  SCHEMA_VERSION,
+  analyzeFieldTypes,
+  flattenSchemaFields,
+  migrateCollectionSchema,
+  migrateDatabaseSchema
+} = require("../lib/schema");
+const { validateDocument } = require("../lib/validation");
+const { analyzeCollectionSchema } = require("../lib/export");
+
+const { ObjectId, Int32, Decimal128 } = BSON;
+
+function createDocumentCursor(docs) {
+  return {
+    limit() { return this; },
+    async *[Symbol.asyncIterator]() { yield* docs; }
+  };
+}
+
+test('fields form a tree with types, presence and nullability', () => {
+  const fields = analyzeFieldTypes([
+    { _id: new ObjectId(), name: 'Ann', address: { city: 'Oslo' }, tags: ['a'], note: null },
+    { _id: new ObjectId(), name: 'Bob', address: { city: 'Rome', zip: '00100' }, tags: [], note: 'x' },
+    { _id: new ObjectId(), name: 7, items: [{ sku: 'A', qty: new Int32(2) }] }
+  ]);
+
+  assert.equal(fields._id.type, 'objectId');
+  assert.equal(fields._id.required, true);
+  assert.equal(fields.name.mixed, true);
+  assert.deepEqual(fields.name.types, { string: 2, number: 1 });
+  assert.equal(fields.address.presence, 0.6667);
+  assert.equal(fields.address.required, false);
+  assert.equal(fields.address.nestedFields.city.required, true);
+  assert.equal(fields.address.nestedFields.zip.presence, 0.5);
+  assert.equal(fields.note.nullable, true);
+  assert.equal(fields.note.nullCount, 1);
+  assert.equal(fields.note.type, 'string');
+  assert.equal(fields.tags.arrayElementType, 'string');
+  assert.equal(fields.items.arrayElement.nestedFields.qty.type, 'number');
+});
+
+test('flattenSchemaFields gives dotted paths with [] for array elements', () => {
+  const fields = analyzeFieldTypes([{ a: { b: 1 }, items: [{ sku: 'x', dims: { w: 1 } }] }]);
+
+  assert.deepEqual(Object.keys(flattenSchemaFields(fields)).sort(), [
+    'a', 'a.b', 'items', 'items[].dims', 'items[].dims.w', 'items[].sku'
+  ]);
+});
+
+test('version 1 schemas are migrated to the field tree', () => {
+  const migrated = migrateCollectionSchema({
+    name: 'users',
+    fields: {
+      name: { type: 'string', nullable: false, samples: 10 },
+      'address.city': { type: 'string', nullable: true, samples: 8 },
+      'items[].sku': { type: 'string', nullable: false, samples: 4 }
+    }
+  });
+
+  assert.equal(migrated.schemaVersion, SCHEMA_VERSION);
+  assert.equal(migrated.fields.name.type, 'string');
+  assert.equal(migrated.fields.name.required, false);
+  assert.equal(migrated.fields.address.type, 'object');
+  assert.equal(migrated.fields.address.nestedFields.city.nullable, true);
+  assert.equal(migrated.fields.items.type, 'array');
+  assert.equal(migrated.fields.items.arrayElement.nestedFields.sku.type, 'string');
+});
+
+test('current schemas are kept and newer ones refused', () => {
+  const current = { name: 'users', schemaVersion: SCHEMA_VERSION, fields: {} };
+  assert.equal(migrateCollectionSchema(current), current);
+
+  const database = migrateDatabaseSchema({ collections: { users: { name: 'users', fields: {} } } });
+  assert.equal(database.migratedFrom, 1);
+  assert.equal(database.collections.users.schemaVersion, SCHEMA_VERSION);
+
+  assert.throws(() => migrateDatabaseSchema({ schemaVersion: SCHEMA_VERSION + 1, collections: {} }), /Please upgrade/);
+  assert.throws(() => migrateCollectionSchema({ name: 'users', schemaVersion: SCHEMA_VERSION + 1 }), /users/);
+});
+
+test('the validator reads the exported field tree', () => {
+  const fields = analyzeFieldTypes([
+    { _id: 1, profile: { age: 30 }, tags: ['a'] },
+    { _id: 2, profile: { age: 41 }, tags: ['b'] }
+  ]);
+
+  const valid = validateDocument({ _id: 3, profile: { age: '52' }, tags: ['c'] }, { fields });
+  assert.equal(valid.isValid, true);
+  assert.equal(valid.document.profile.age, 52);
+  assert.deepEqual(valid.typeCasts, [{ field: 'profile.age', from: 'string', to: 'number' }]);
+
+  const missing = validateDocument({ _id: 4, tags: [] }, { fields });
+  assert.equal(missing.isValid, false);
+  assert.deepEqual(missing.errors, ["Required field 'profile' is missing"]);
+});
+
+test('fields record numeric, date and string statistics', () => {
+  const fields = analyzeFieldTypes([
+    { n: new Int32(3), price: Decimal128.fromString('1.50'), at: new Date('2024-01-02'), s: 'abc' },
+    { n: 2.5, price: Decimal128.fromString('120.125'), at: new Date('2023-05-06'), s: 'a' },
+    { n: -4, price: Decimal128.fromString('1.2E+3'), at: new Date('2025-01-01'), s: 'abcdef' }
+  ]);
+
+  assert.equal(fields.n.min, -4);
+  assert.equal(fields.n.max.valueOf(), 3);
+  assert.equal(fields.n.integer, false);
+  assert.equal(fields.price.precision, 7);
+  assert.equal(fields.price.scale, 3);
+  assert.equal(fields.at.min.toISOString(), '2023-05-06T00:00:00.000Z');
+  assert.equal(fields.at.max.toISOString(), '2025-01-01T00:00:00.000Z');
+  assert.equal(fields.s.minLength, 1);
+  assert.equal(fields.s.maxLength, 6);
+});
+
+test('distinct values are kept for low-cardinality fields only', () => {
+  const low = analyzeFieldTypes(['a', 'b', 'a'].map(status => ({ status })));
+  assert.deepEqual(low.status.distinct, { count: 2, values: ['a', 'b'] });
+
+  const high = analyzeFieldTypes(Array.from({ length: 51 }, (_, i) => ({ code: `c${i}` })));
+  assert.deepEqual(high.code.distinct, { count: 50, exceeded: true });
+});
+
+test('analyzeCollectionSchema scans, samples a number or samples a percentage of documents', async () => {
+  const docs = Array.from({ length: 40 }, (_, i) => ({ _id: i }));
+  const calls = [];
+  const collection = {
+    find: (query, options) => { calls.push(['find', query, options.projection]); return createDocumentCursor(docs); },
+    aggregate: pipeline => {
+      calls.push(['aggregate', pipeline]);
+      return createDocumentCursor(docs.slice(0, pipeline.find(stage => stage.$sample).$sample.size));
+    },
+    estimatedDocumentCount: async () => docs.length,
+    countDocuments: async () => 10
+  };
+  const noFilter = { query: {}, projection: null, limit: null };
+
+  const full = await analyzeCollectionSchema(collection, noFilter, { schemaStrategy: 'full' });
+  assert.equal(full.analysis.documentsAnalyzed, 40);
+  assert.equal(calls[0][0], 'find');
+
+  const sample = await analyzeCollectionSchema(collection, noFilter, { schemaStrategy: 'sample', schemaSampleSize: 100 });
+  assert.deepEqual(calls[1][1], [{ $sample: { size: 100 } }]);
+  assert.equal(sample.analysis.sampleSize, 100);
+
+  const percent = await analyzeCollectionSchema(collection, noFilter, { schemaStrategy: 'percent', schemaSamplePercent: 25 });
+  assert.deepEqual(calls[2][1], [{ $sample: { size: 10 } }]);
+  assert.equal(percent.analysis.percent, 25);
+
+  const filtered = { query: { _id: { $gt: 5 } }, projection: { _id: 1 }, limit: 3 };
+  await analyzeCollectionSchema(collection, filtered, { schemaStrategy: 'percent', schemaSamplePercent: 50 });
+  assert.deepEqual(calls[3][1], [{ $match: { _id: { $gt: 5 } } }, { $sample: { size: 3 } }, { $project: { _id: 1 } }]);
+});
@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { BSON } = require("mongodb");
+const {
+  getDialect,
+  generateCreateTableSQL,
+  generateInsertStatement,
+  generateMigrationPreamble,
+  mongoTypeToSQL,
+  formatValueForSQL
+} = require("../lib/sql");
+
+const { ObjectId, Long, Decimal128 } = BSON;
+
+const schema = {
+  _id: { type: 'objectId', required: true },
+  name: { type: 'string', required: true },
+  tags: { type: 'array' },
+  at: { type: 'date', required: true, nullable: true }
+};
+
+test('CREATE TABLE uses each dialect\'s quoting and types', () => {
+  assert.equal(generateCreateTableSQL('users', schema, 'mysql'),
+    '-- Schema for collection: users\nCREATE TABLE IF NOT EXISTS `users` (\n' +
+    '  `_id` VARCHAR(24) PRIMARY KEY,\n  `name` TEXT NOT NULL,\n  `tags` JSON,\n  `at` DATETIME\n);\n\n');
+  assert.equal(generateCreateTableSQL('users', schema, 'postgres'),
+    '-- Schema for collection: users\nCREATE TABLE IF NOT EXISTS "users" (\n' +
+    '  "_id" VARCHAR(24) PRIMARY KEY,\n  "name" TEXT NOT NULL,\n  "tags" JSONB,\n  "at" TIMESTAMPTZ\n);\n\n');
+  assert.equal(generateCreateTableSQL('users', schema, 'sqlite'),
+    '-- Schema for collection: users\nCREATE TABLE IF NOT EXISTS "users" (\n' +
+    '  "_id" TEXT PRIMARY KEY,\n  "name" TEXT NOT NULL,\n  "tags" TEXT,\n  "at" TEXT\n);\n\n');
+});
+
+test('identifiers are quoted with their quote character doubled', () => {
+  assert.equal(getDialect('mysql').quote('a`b'), '`a``b`');
+  assert.equal(getDialect('postgres').quote('a"b'), '"a""b"');
+  assert.throws(() => getDialect('oracle'), /Unknown SQL dialect 'oracle', expected one of: mysql, postgres, sqlite/);
+});
+
+test('type mapping falls back to text for unknown types', () => {
+  assert.equal(mongoTypeToSQL('uuid', 'postgres'), 'UUID');
+  assert.equal(mongoTypeToSQL('decimal128', 'mysql'), 'DECIMAL(65,30)');
+  assert.equal(mongoTypeToSQL('regex', 'sqlite'), 'TEXT');
+});
+
+test('literals follow the dialect\'s escaping, booleans and dates', () => {
+  const at = new Date('2024-05-06T07:08:09.010Z');
+
+  assert.equal(formatValueForSQL("it's C:\\dir", 'mysql'), "'it''s C:\\\\dir'");
+  assert.equal(formatValueForSQL("it's C:\\dir", 'postgres'), "'it''s C:\\dir'");
+  assert.equal(formatValueForSQL('nul\u0000', 'postgres'), "'nul'");
+  assert.equal(formatValueForSQL(true, 'mysql'), '1');
+  assert.equal(formatValueForSQL(true, 'postgres'), 'TRUE');
+  assert.equal(formatValueForSQL(at, 'mysql'), "'2024-05-06 07:08:09'");
+  assert.equal(formatValueForSQL(at, 'sqlite'), "'2024-05-06T07:08:09.010Z'");
+  assert.equal(formatValueForSQL(Long.fromString('9007199254740993'), 'mysql'), '9007199254740993');
+  assert.equal(formatValueForSQL(Decimal128.fromString('1.50'), 'postgres'), '1.50');
+  assert.equal(formatValueForSQL(null, 'sqlite'), 'NULL');
+});
+
+test('INSERT statements and preambles per dialect', () => {
+  const doc = { _id: new ObjectId('64b7f0c2a1b2c3d4e5f60718'), name: 'Ann' };
+
+  assert.equal(generateInsertStatement('users', doc, { _id: { type: 'objectId' }, name: { type: 'string' } }, 'postgres'),
+    'INSERT INTO "users" ("_id", "name") VALUES (\'64b7f0c2a1b2c3d4e5f60718\', \'Ann\');\n');
+  assert.equal(generateMigrationPreamble('shop', 'mysql'), 'CREATE DATABASE IF NOT EXISTS `shop`;\nUSE `shop`;\n\n');
+  assert.equal(generateMigrationPreamble('shop', 'postgres'), 'CREATE SCHEMA IF NOT EXISTS "shop";\nSET search_path TO "shop";\n\n');
+  assert.equal(generateMigrationPreamble('shop', 'sqlite'), '');
+});
@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { EventEmitter } = require("events");
+const { exportDatabase } = require("..");
+const { analyzeFieldTypes } = require("../lib/schema");
+const { getInsertRows, getTableColumns, getUnknownFields } = require("../lib/sql");
+const {
+  buildTableLayout,
+  getNormalizedRows,
+  getTableColumns: getNormalizedColumns,
+  getUnknownFields: getNormalizedUnknownFields
+} = require("../lib/normalize");
+const { createSourceClient } = require("./fake-client");
+
+const sampled = { _id: 1, name: 'Ann', address: { city: 'Oslo' }, items: [{ sku: 'A', qty: 1 }], tags: ['new'] };
+const later = { _id: 2, name: 'Bob', address: { city: 'Rome', zip: '00100' }, items: [{ sku: 'B', qty: 2, color: 'red' }], tags: [], note: 'gift' };
+
+test('JSON layout rows have the table columns, whatever fields the document has', () => {
+  const fields = analyzeFieldTypes([sampled]);
+
+  assert.deepEqual(getTableColumns(fields), ['_id', 'name', 'address', 'items', 'tags']);
+  assert.deepEqual(getInsertRows('orders', { _id: 3, name: 'Cy', note: 'x' }, fields), [{
+    table: 'orders',
+    values: { _id: 3, name: 'Cy', address: null, items: null, tags: null }
+  }]);
+  assert.deepEqual(getInsertRows('orders', later, fields)[0].values.address, '{"city":"Rome","zip":"00100"}');
+  assert.deepEqual(getUnknownFields(fields, later), ['note']);
+});
+
+test('the normalized layout splits arrays into child and junction tables', () => {
+  const layout = buildTableLayout('orders', analyzeFieldTypes([sampled]));
+
+  assert.deepEqual(layout.tables.map(table => [table.name, getNormalizedColumns(table)]), [
+    ['orders', ['_id', 'name', 'address_city']],
+    ['orders_items', ['_parent_id', '_ordinal', 'sku', 'qty']],
+    ['orders_tags', ['_parent_id', '_ordinal', 'value']]
+  ]);
+  assert.deepEqual(getNormalizedRows(layout, { ...sampled, tags: ['new', 'vip'] }), [
+    { table: 'orders', values: { _id: 1, name: 'Ann', address_city: 'Oslo' } },
+    { table: 'orders_items', values: { _parent_id: 1, _ordinal: 0, sku: 'A', qty: 1 } },
+    { table: 'orders_tags', values: { _parent_id: 1, _ordinal: 0, value: 'new' } },
+    { table: 'orders_tags', values: { _parent_id: 1, _ordinal: 1, value: 'vip' } }
+  ]);
+  assert.deepEqual(getNormalizedUnknownFields(layout, later), ['address.zip', 'items[].color', 'note']);
+});
+
+test('fields the schema sample missed are left out of INSERTs and CSV files with one warning each', async () => {
+  for (const sqlData of ['inserts', 'csv']) {
+    const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sql-layout-test-'));
+    try {
+      const events = new EventEmitter();
+      const warnings = [];
+      events.on('log', entry => { if (entry.level === 'warn') warnings.push(entry.message); });
+      await exportDatabase({
+        client: createSourceClient({ orders: [sampled, later, { ...later, _id: 3 }] }),
+        dbName: 'shop',
+        outDir,
+        formats: ['sql'],
+        sqlData,
+        sqlBatchSize: 10,
+        schemaStrategy: 'sample',
+        schemaSampleSize: 1,
+        events
+      });
+
+      assert.deepEqual(warnings.filter(message => message.includes('no SQL column')).map(message => message.match(/'(.+?)'/)[1]), ['note']);
+      const file = sqlData === 'csv' ? path.join(outDir, 'migration', 'csv', 'orders.csv') : path.join(outDir, 'migration', 'orders.sql');
+      const text = fs.readFileSync(file, 'utf-8');
+      assert.doesNotMatch(text, /gift|note/);
+      if (sqlData === 'inserts') {
+        assert.match(text, /INSERT INTO `orders` \(`_id`, `name`, `address`, `items`, `tags`\) VALUES\n {2}\(1, /);
+      } else {
+        assert.equal(text.split('\n')[0], '"_id","name","address","items","tags"');
+      }
+    } finally {
+      fs.rmSync(outDir, { recursive: true, force: true });
+    }
+  }
+});
@@ -0,0 +1,126 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { BSON } = require("mongodb");
+const { exportDatabase } = require("..");
+const { analyzeFieldTypes } = require("../lib/schema");
+const { inferColumnType, idColumnType, widenFields, generateCreateTableSQL, translateIndexes } = require("../lib/sql");
+const { createSourceClient } = require("./fake-client");
+
+const { Int32, Long, Decimal128 } = BSON;
+
+function columnTypes(docs, dialect) {
+  const fields = analyzeFieldTypes(docs);
+  const types = {};
+  Object.keys(fields).forEach(field => {
+    types[field] = inferColumnType(fields[field], dialect).sqlType;
+  });
+  return types;
+}
+
+test('integer columns are as small as the observed range allows', () => {
+  assert.deepEqual(columnTypes([
+    { small: new Int32(-3), large: 2147483648, long: Long.fromString('9223372036854775807') },
+    { small: 2147483647, large: 1, long: Long.fromString('-9223372036854775808') }
+  ], 'mysql'), { small: 'INT', large: 'BIGINT', long: 'BIGINT' });
+});
+
+test('integers beyond int64 are not BIGINT', () => {
+  // 2^63 as a double: equal to the int64 maximum when compared as numbers
+  assert.deepEqual(columnTypes([
+    { double: 9223372036854775808, decimal: Decimal128.fromString('12345678901234567890123') },
+    { double: 1, decimal: Decimal128.fromString('1') }
+  ], 'postgres'), { double: 'DOUBLE PRECISION', decimal: 'NUMERIC(23,0)' });
+});
+
+test('decimals, strings and mixed fields get fitting column types', () => {
+  const fields = analyzeFieldTypes([
+    { ratio: 1.5, price: Decimal128.fromString('12.345'), code: 'abcdefghijklmnopq', any: 'x', at: new Date(0) },
+    { ratio: 2, price: Decimal128.fromString('1.5'), code: 'a', any: 5, at: new Date(1) }
+  ]);
+
+  assert.equal(inferColumnType(fields.ratio, 'sqlite').sqlType, 'REAL');
+  assert.equal(inferColumnType(fields.price, 'mysql').sqlType, 'DECIMAL(5,3)');
+  assert.equal(inferColumnType(fields.code, 'postgres').sqlType, 'VARCHAR(32)');
+  assert.deepEqual(inferColumnType(fields.any, 'mysql'), { sqlType: 'TEXT', mixed: ['string', 'number'] });
+  assert.equal(inferColumnType(fields.at, 'postgres').sqlType, 'TIMESTAMPTZ');
+  assert.equal(inferColumnType({ type: 'long', types: { long: 2 } }, 'mysql').sqlType, 'BIGINT');
+});
+
+test('without a full analysis, columns are wide and nullable', () => {
+  const docs = [
+    { _id: 'a1', count: 3, price: Decimal128.fromString('1.5'), code: 'abc', ratio: 0.5, address: { city: 'Oslo' }, items: [{ sku: 'A' }] },
+    { _id: 'b22', count: 7, price: Decimal128.fromString('2.25'), code: 'defg', ratio: 1.5, address: { city: 'Rome' }, items: [{ sku: 'B' }] }
+  ];
+  const fields = analyzeFieldTypes(docs);
+  const wide = widenFields(fields);
+
+  assert.equal(inferColumnType(fields.count, 'mysql').sqlType, 'INT');
+  assert.equal(inferColumnType(wide.count, 'mysql').sqlType, 'BIGINT');
+  assert.equal(inferColumnType(fields.code, 'postgres').sqlType, 'VARCHAR(16)');
+  assert.equal(inferColumnType(wide.code, 'postgres').sqlType, 'TEXT');
+  assert.equal(inferColumnType(wide.price, 'mysql').sqlType, 'DECIMAL(65,30)');
+  assert.equal(inferColumnType(wide.ratio, 'mysql').sqlType, 'DOUBLE');
+  assert.equal(idColumnType(wide._id, 'mysql'), 'VARCHAR(255)');
+  assert.equal(wide.address.nestedFields.city.required, false);
+  assert.equal(wide.items.arrayElement.nestedFields.sku.maxLength, undefined);
+  assert.equal(fields.code.maxLength, 4);
+
+  assert.match(generateCreateTableSQL('orders', fields, 'mysql'), /NOT NULL/);
+  assert.doesNotMatch(generateCreateTableSQL('orders', wide, 'mysql'), /NOT NULL/);
+});
+
+test('exports narrow SQL column types only with the full schema strategy', async () => {
+  const orders = [{ _id: 1, code: 'ab', qty: 2 }, { _id: 2, code: 'a much longer code than the first', qty: 3000000000 }];
+  const createTable = async schemaStrategy => {
+    const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sql-types-test-'));
+    try {
+      await exportDatabase({ client: createSourceClient({ orders }), dbName: 'shop', outDir, formats: ['sql'], schemaStrategy, schemaSampleSize: 1 });
+      const sql = fs.readFileSync(path.join(outDir, 'migration', 'orders.sql'), 'utf-8');
+      return sql.slice(sql.indexOf('CREATE TABLE'), sql.indexOf(');'));
+    } finally {
+      fs.rmSync(outDir, { recursive: true, force: true });
+    }
+  };
+
+  const sampled = await createTable('sample');
+  assert.match(sampled, /`code` TEXT,\n {2}`qty` BIGINT\n/);
+  const full = await createTable('full');
+  assert.match(full, /`code` VARCHAR\(64\) NOT NULL,\n {2}`qty` BIGINT NOT NULL\n/);
+});
+
+test('indexes become UNIQUE constraints, CREATE INDEX statements or comments', () => {
+  const columns = {
+    email: { table: 'users', column: 'email', sqlType: 'TEXT' },
+    age: { table: 'users', column: 'age', sqlType: 'INT' },
+    code: { table: 'users', column: 'code', sqlType: 'INT' },
+    tag: { table: 'users_tags', column: 'value', sqlType: 'TEXT', multikey: true }
+  };
+  const translated = translateIndexes([
+    { name: '_id_', key: { _id: 1 } },
+    { name: 'email_1', key: { email: 1 }, unique: true },
+    { name: 'email_1_age_-1', key: { email: 1, age: -1 } },
+    { name: 'bio_text', key: { _fts: 'text', _ftsx: 1 } },
+    { name: 'code_1', key: { code: 1 }, unique: true, partialFilterExpression: { code: { $exists: true } } },
+    { name: 'tag_1', key: { tag: 1 }, unique: true },
+    { name: 'missing_1', key: { missing: 1 } },
+    { name: 'email_1_tag_1', key: { email: 1, tag: 1 } }
+  ], field => columns[field] || null, 'mysql');
+
+  assert.deepEqual(translated.constraints, { users: ['  CONSTRAINT `users_email_1` UNIQUE (`email`(255))'] });
+  assert.deepEqual(translated.statements.split('\n'), [
+    'CREATE INDEX `users_email_1_age__1` ON `users` (`email`(255), `age` DESC);',
+    '-- Index bio_text not created: text indexes have no SQL equivalent',
+    '-- Index code_1 is unique in MongoDB, created without UNIQUE (partial)',
+    'CREATE INDEX `users_code_1` ON `users` (`code`);',
+    '-- Index tag_1 is unique in MongoDB, created without UNIQUE (multikey)',
+    'CREATE INDEX `users_tags_tag_1` ON `users_tags` (`value`(255));',
+    '-- Index missing_1 not created: missing has no indexable column',
+    '-- Index email_1_tag_1 not created: its fields are stored in different tables',
+    ''
+  ]);
+  assert.match(translateIndexes([{ name: 'age_1', key: { age: 1 } }], field => columns[field], 'postgres').statements,
+    /^CREATE INDEX IF NOT EXISTS "users_age_1" ON "users" \("age"\);/);
+});
@@ -0,0 +1,62 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { exportDatabase } = require("..");
+const { formatValueForCSV } = require("../lib/sql");
+const { createSourceClient } = require("./fake-client");
+
+const users = Array.from({ length: 5 }, (_, i) => ({ _id: i + 1, name: `n${i}` }));
+
+async function exportSQL(options, read) {
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sql-writer-test-'));
+  try {
+    await exportDatabase({ client: createSourceClient({ users }), dbName: 'shop', outDir, formats: ['sql'], ...options });
+    const migrationDir = path.join(outDir, 'migration');
+    await read(file => fs.readFileSync(path.join(migrationDir, file), 'utf-8'), migrationDir);
+  } finally {
+    fs.rmSync(outDir, { recursive: true, force: true });
+  }
+}
+
+test('rows are batched into multi-row INSERTs inside a transaction', () => exportSQL({ sqlBatchSize: 2, sqlTransactions: true }, read => {
+  const data = read('users.sql').split('-- Data for collection: users\n')[1];
+
+  assert.equal(data,
+    'START TRANSACTION;\n' +
+    'INSERT INTO `users` (`_id`, `name`) VALUES\n  (1, \'n0\'),\n  (2, \'n1\');\n' +
+    'INSERT INTO `users` (`_id`, `name`) VALUES\n  (3, \'n2\'),\n  (4, \'n3\');\n' +
+    'INSERT INTO `users` (`_id`, `name`) VALUES (5, \'n4\');\n' +
+    'COMMIT;\n\n');
+  assert.ok(read('complete_migration.sql').includes(data));
+}));
+
+test('chunked INSERTs go into numbered files included by the migration scripts', () => exportSQL({
+  sqlDialect: 'postgres', sqlBatchSize: 2, sqlChunkRows: 3
+}, (read, migrationDir) => {
+  assert.deepEqual(fs.readdirSync(migrationDir).sort(), ['complete_migration.sql', 'users.0001.sql', 'users.0002.sql', 'users.sql']);
+  assert.match(read('users.sql'), /-- Data for collection: users \(2 parts\)\n\\ir users\.0001\.sql\n\\ir users\.0002\.sql\n/);
+  // A chunk ends after the batch that reaches the row limit, and selects the schema itself
+  assert.equal((read('users.0001.sql').match(/^ {2}\(/gm) || []).length, 4);
+  assert.equal(read('users.0002.sql'),
+    'CREATE SCHEMA IF NOT EXISTS "shop";\nSET search_path TO "shop";\n\n' +
+    '-- Data for collection: users (part 2)\nINSERT INTO "users" ("_id", "name") VALUES (5, \'n4\');\n');
+}));
+
+test('CSV data files are loaded by the dialect\'s bulk loader', () => exportSQL({
+  sqlDialect: 'postgres', sqlData: 'csv', sqlChunkRows: 3
+}, read => {
+  assert.match(read('users.sql'),
+    /\\copy "users" \("_id", "name"\) FROM 'csv\/users\.0001\.csv' WITH \(FORMAT csv, HEADER true\)\n\\copy "users" \("_id", "name"\) FROM 'csv\/users\.0002\.csv'/);
+  assert.equal(read('csv/users.0001.csv'), '"_id","name"\n1,"n0"\n2,"n1"\n3,"n2"\n');
+  assert.equal(read('csv/users.0002.csv'), '"_id","name"\n4,"n3"\n5,"n4"\n');
+}));
+
+test('CSV values quote text and mark NULL the way the loader reads it', () => {
+  assert.equal(formatValueForCSV('say "hi"', 'mysql'), '"say ""hi"""');
+  assert.equal(formatValueForCSV(null, 'mysql'), 'NULL');
+  assert.equal(formatValueForCSV(null, 'postgres'), '');
+  assert.equal(formatValueForCSV(false, 'postgres'), 'FALSE');
+  assert.equal(formatValueForCSV(new Date(0), 'mysql'), '"1970-01-01 00:00:00"');
+});
@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+const { EventEmitter } = require("events");
+const { BSON } = require("mongodb");
+const { exportDatabase } = require("..");
+const { readDocuments } = require("../lib/import");
+const { createReporter } = require("../lib/events");
+const { createSourceClient } = require("./fake-client");
+
+const { EJSON, ObjectId, Int32 } = BSON;
+
+async function collect(source, dataFormat) {
+  const docs = [];
+  for await (const doc of readDocuments(source, dataFormat, createReporter())) {
+    docs.push(doc);
+  }
+  return docs;
+}
+
+function withTempDir(run) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'streaming-test-'));
+  return Promise.resolve(run(dir)).finally(() => fs.rmSync(dir, { recursive: true, force: true }));
+}
+
+test('exported data files hold one document per line in both layouts', () => withTempDir(async dir => {
+  const items = Array.from({ length: 3 }, (_, i) => ({ _id: new Int32(i), name: `item ${i}` }));
+  for (const dataLayout of ['array', 'ndjson']) {
+    const outDir = path.join(dir, dataLayout);
+    await exportDatabase({ client: createSourceClient({ items }), dbName: 'shop', outDir, formats: ['data'], dataLayout });
+    const file = path.join(outDir, 'data', `items.${dataLayout === 'ndjson' ? 'ndjson' : 'json'}`);
+    const lines = fs.readFileSync(file, 'utf-8').split('\n').filter(line => line.length > 0);
+
+    assert.equal(lines.length, dataLayout === 'array' ? 5 : 3);
+    const docs = await collect(file, { type: 'ejson', mode: 'canonical', layout: dataLayout });
+    assert.deepEqual(docs.map(doc => doc.name), ['item 0', 'item 1', 'item 2']);
+  }
+}));
+
+test('readDocuments reads array files line by line, with trailing commas and blank lines', async () => {
+  const id = new ObjectId();
+  const text = `[\n${EJSON.stringify({ _id: id })},\n\n${EJSON.stringify({ _id: 2 })}\n]\n`;
+  const docs = await collect(Readable.from([text]), { type: 'ejson', mode: 'canonical', layout: 'array' });
+
+  assert.equal(docs.length, 2);
+  assert.ok(docs[0]._id.equals(id));
+  assert.ok(docs[1]._id instanceof Int32);
+  assert.equal(docs[1]._id.valueOf(), 2);
+});
+
+test('readDocuments loads legacy pretty-printed files whole, with a warning', async () => {
+  const warnings = [];
+  const events = new EventEmitter();
+  events.on('log', entry => { if (entry.level === 'warn') warnings.push(entry.message); });
+  const text = JSON.stringify([{ _id: 1, tags: ['a', 'b'] }, { _id: 2 }], null, 2);
+  const docs = [];
+  for await (const doc of readDocuments(Readable.from([text]), { type: 'json' }, createReporter(events))) {
+    docs.push(doc);
+  }
+
+  assert.deepEqual(docs, [{ _id: 1, tags: ['a', 'b'] }, { _id: 2 }]);
+  assert.equal(warnings.length, 1);
+});
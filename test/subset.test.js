@@ -0,0 +1,147 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { EventEmitter } = require("events");
+const { BSON } = require("mongodb");
+const { analyzeFieldTypes } = require("../lib/schema");
+const { createReporter } = require("../lib/events");
+const { exportDatabase } = require("..");
+const { findReferences, selectSubset, findSelected, sampleIds, getReferenceValues, matchCollectionByName } = require("../lib/subset");
+const { createSourceClient } = require("./fake-client");
+
+const { ObjectId } = BSON;
+
+const oid = n => new ObjectId(n.toString(16).padStart(24, '0'));
+
+// Two users with an order each; the first order has two products, one of them missing
+const data = {
+  users: [{ _id: oid(1), name: 'Ann' }, { _id: oid(2), name: 'Bob' }],
+  orders: [
+    { _id: oid(11), buyer: oid(1), items: [{ productId: oid(21) }, { productId: oid(29) }] },
+    { _id: oid(12), buyer: oid(2), items: [{ productId: oid(22) }] }
+  ],
+  products: [{ _id: oid(21), sku: 'A' }, { _id: oid(22), sku: 'B' }, { _id: oid(23), sku: 'C' }]
+};
+
+function getSchemas() {
+  const schemas = {};
+  Object.keys(data).forEach(name => { schemas[name] = analyzeFieldTypes(data[name]); });
+  return schemas;
+}
+
+function collectWarnings() {
+  const warnings = [];
+  const events = new EventEmitter();
+  events.on('log', ({ level, message }) => { if (level === 'warn') warnings.push(message); });
+  return { reporter: createReporter(events), warnings };
+}
+
+const ids = values => values.map(id => id.toHexString().replace(/^0+/, ''));
+
+test('reference values are read through arrays and flattened at the end', () => {
+  const doc = { items: [{ productId: 1 }, { productId: [2, 3] }, { other: 4 }, null], owner: { id: 5 }, at: new Date(0) };
+
+  assert.deepEqual(getReferenceValues(doc, ['items', 'productId']), [1, 2, 3]);
+  assert.deepEqual(getReferenceValues(doc, ['owner', 'id']), [5]);
+  assert.deepEqual(getReferenceValues(doc, ['at', 'time']), []);
+  assert.deepEqual(getReferenceValues(doc, ['missing']), []);
+});
+
+test('field names point to the collection they are named after', () => {
+  const names = ['users', 'categories', 'addresses', 'person', 'orderItems'];
+
+  assert.equal(matchCollectionByName('userId', names), 'users');
+  assert.equal(matchCollectionByName('user_id', names), 'users');
+  assert.equal(matchCollectionByName('authors.userIds[]', names), 'users');
+  assert.equal(matchCollectionByName('user', names), 'users');
+  assert.equal(matchCollectionByName('categoryId', names), 'categories');
+  assert.equal(matchCollectionByName('addressID', names), 'addresses');
+  assert.equal(matchCollectionByName('person_id', names), 'person');
+  assert.equal(matchCollectionByName('order_item_id', names), 'orderItems');
+  assert.equal(matchCollectionByName('buyer', names), null);
+  assert.equal(matchCollectionByName('id', names), null);
+  assert.equal(matchCollectionByName('userId', ['users', 'user']), null);
+});
+
+test('references are declared, named or found by probing the other collections', async () => {
+  const db = createSourceClient(data).db('shop');
+  const { reporter, warnings } = collectWarnings();
+
+  const references = await findReferences(db, getSchemas(), { orders: { 'items[].productId': 'products', legacy: 'archive' } }, true, {}, reporter);
+  assert.deepEqual(references, [
+    { collection: 'orders', path: 'items[].productId', to: 'products', source: 'declared' },
+    { collection: 'orders', path: 'buyer', to: 'users', source: 'probe' }
+  ]);
+  assert.deepEqual(warnings, ['⚠️  orders.legacy references archive, which is not exported: its references will dangle']);
+
+  assert.deepEqual(await findReferences(db, getSchemas(), { orders: { buyer: null } }, true, {}, reporter),
+    [{ collection: 'orders', path: 'items[].productId', to: 'products', source: 'name' }]);
+  assert.deepEqual(await findReferences(db, getSchemas(), {}, false, {}, reporter), []);
+});
+
+test('subsets select the root documents, the documents referencing them and everything referenced', async () => {
+  const db = createSourceClient(data).db('shop');
+  const { reporter, warnings } = collectWarnings();
+  const references = [
+    { collection: 'orders', path: 'buyer', to: 'users' },
+    { collection: 'orders', path: 'items[].productId', to: 'products' }
+  ];
+
+  const selection = await selectSubset(db, getSchemas(), { collection: 'users', query: { name: 'Ann' }, referencing: true }, references, {}, reporter);
+  assert.deepEqual(ids(selection.ids.users), ['1']);
+  assert.deepEqual(ids(selection.ids.orders), ['b']);
+  assert.deepEqual(ids(selection.ids.products), ['15']);
+  assert.deepEqual(selection.documents, { users: 1, orders: 1, products: 1 });
+  assert.deepEqual(selection.dangling, { 'orders.items[].productId': 1 });
+  assert.deepEqual(warnings, ['⚠️  orders.items[].productId: 1 referenced documents do not exist in the source database']);
+
+  const fromOrders = await selectSubset(db, getSchemas(), { collection: 'orders', query: {}, limit: 1, referencing: false }, references, {}, reporter);
+  assert.deepEqual(fromOrders.documents, { users: 1, orders: 1, products: 1 });
+
+  const withoutReferencing = await selectSubset(db, getSchemas(), { collection: 'users', query: {}, referencing: false }, references, {}, reporter);
+  assert.deepEqual(withoutReferencing.documents, { users: 2, orders: 0, products: 0 });
+});
+
+test('selected documents are read by _id in batches of 1000', async () => {
+  const docs = Array.from({ length: 2500 }, (_, i) => ({ _id: i }));
+  const collection = createSourceClient({ docs }).db('shop').collection('docs');
+  const find = collection.find;
+  const batches = [];
+  collection.find = (query, options) => {
+    batches.push(query._id.$in.length);
+    return find(query, options);
+  };
+
+  const read = [];
+  for await (const doc of findSelected(collection, docs.map(doc => doc._id).reverse(), {})) read.push(doc._id);
+  assert.deepEqual(batches, [1000, 1000, 500]);
+  assert.deepEqual(read.sort((a, b) => a - b), docs.map(doc => doc._id));
+
+  const sample = sampleIds([1, 2, 3, 4, 5], 3);
+  assert.equal(new Set(sample).size, 3);
+  assert.ok(sample.every(id => id >= 1 && id <= 5));
+  assert.deepEqual(sampleIds([1, 2], 5).sort(), [1, 2]);
+});
+
+test('subset exports write the selected documents of every collection', async () => {
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'subset-test-'));
+  try {
+    const result = await exportDatabase({
+      client: createSourceClient(data),
+      dbName: 'shop',
+      outDir,
+      formats: ['data', 'schema'],
+      subset: { collection: 'users', query: { name: 'Ann' } }
+    });
+
+    assert.deepEqual(Object.keys(result.collections).map(name => [name, result.collections[name].documentCount]),
+      [['users', 1], ['orders', 1], ['products', 1]]);
+    const products = fs.readFileSync(result.collections.products.files.data, 'utf-8');
+    assert.match(products, /"sku":"A"/);
+    assert.doesNotMatch(products, /"sku":"[BC]"/);
+  } finally {
+    fs.rmSync(outDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,114 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { BSON } = require("mongodb");
+const { syncDatabase, toOplogEntry, toWriteOperation } = require("../lib/sync");
+const { createSourceClient, createTargetClient } = require("./fake-client");
+
+const { Timestamp } = BSON;
+
+const ts = new Timestamp({ t: 1760000000, i: 2 });
+const ns = { db: 'shop', coll: 'users' };
+const documentKey = { _id: 1 };
+
+function withTempDir(run) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-test-'));
+  return Promise.resolve().then(() => run(dir)).finally(() => fs.rmSync(dir, { recursive: true, force: true }));
+}
+
+// Sync stopped before its first change: only the initial copy runs
+function syncOnce(options) {
+  const controller = new AbortController();
+  controller.abort();
+  return syncDatabase({ dbName: 'shop', signal: controller.signal, ...options });
+}
+
+test('document changes replay as upserts of the whole document and deletes by key', () => {
+  const fullDocument = { _id: 1, name: 'Ann' };
+
+  assert.deepEqual(toWriteOperation({ operationType: 'insert', documentKey, fullDocument }),
+    { replaceOne: { filter: documentKey, replacement: fullDocument, upsert: true } });
+  assert.deepEqual(toWriteOperation({ operationType: 'update', documentKey, fullDocument }),
+    { replaceOne: { filter: documentKey, replacement: fullDocument, upsert: true } });
+  assert.equal(toWriteOperation({ operationType: 'update', documentKey, fullDocument: null }), null);
+  assert.deepEqual(toWriteOperation({ operationType: 'delete', documentKey }), { deleteOne: { filter: documentKey } });
+  assert.equal(toWriteOperation({ operationType: 'drop', ns }), null);
+});
+
+test('changes become oplog entries', () => {
+  const base = { clusterTime: ts, ns, documentKey };
+
+  assert.deepEqual(toOplogEntry({ ...base, operationType: 'insert', fullDocument: { _id: 1 } }),
+    { ts, ns: 'shop.users', op: 'i', o: { _id: 1 } });
+  assert.deepEqual(toOplogEntry({
+    ...base,
+    operationType: 'update',
+    updateDescription: { updatedFields: { name: 'Bob' }, removedFields: ['age'], truncatedArrays: [] }
+  }), { ts, ns: 'shop.users', op: 'u', o: { $set: { name: 'Bob' }, $unset: { age: 1 } }, o2: documentKey });
+  assert.deepEqual(toOplogEntry({
+    ...base,
+    operationType: 'update',
+    updateDescription: { updatedFields: {}, removedFields: [], truncatedArrays: [{ field: 'tags', newSize: 1 }] }
+  }).truncatedArrays, [{ field: 'tags', newSize: 1 }]);
+  assert.deepEqual(toOplogEntry({ ...base, operationType: 'delete' }), { ts, ns: 'shop.users', op: 'd', o: documentKey });
+  assert.deepEqual(toOplogEntry({ ...base, operationType: 'rename', to: { db: 'shop', coll: 'people' } }),
+    { ts, ns: 'shop.$cmd', op: 'c', o: { renameCollection: 'shop.users', to: 'shop.people' } });
+  assert.deepEqual(toOplogEntry({ ...base, operationType: 'dropDatabase' }), { ts, ns: 'shop.$cmd', op: 'c', o: { dropDatabase: 1 } });
+  assert.equal(toOplogEntry({ ...base, operationType: 'invalidate' }), null);
+});
+
+test('the initial copy leaves the export directory alone and removes its staging directory', () => withTempDir(async dir => {
+  const outDir = path.join(dir, 'db');
+  fs.mkdirSync(outDir);
+  fs.writeFileSync(path.join(outDir, 'manifest.json'), '{"database":"mine"}');
+  const staged = () => fs.readdirSync(os.tmpdir()).filter(name => name.startsWith('sync-initial-'));
+  const before = staged();
+
+  const store = {};
+  const result = await syncOnce({ client: createSourceClient({ users: [{ _id: 1 }, { _id: 2 }] }), targetClient: createTargetClient(store), targetDbName: 'copy', outDir });
+
+  assert.deepEqual(store.users.map(doc => doc._id.valueOf()), [1, 2]);
+  assert.equal(result.changes, 0);
+  assert.deepEqual(fs.readdirSync(outDir), ['manifest.json']);
+  assert.equal(fs.readFileSync(path.join(outDir, 'manifest.json'), 'utf-8'), '{"database":"mine"}');
+  assert.deepEqual(staged(), before);
+}));
+
+test('with the oplog, the initial export is kept next to the oplog file', () => withTempDir(async dir => {
+  const outDir = path.join(dir, 'db');
+  const result = await syncOnce({ client: createSourceClient({ users: [{ _id: 1 }] }), oplog: true, outDir });
+
+  assert.equal(result.target, path.join(outDir, 'oplog.ndjson'));
+  assert.deepEqual(fs.readdirSync(outDir).sort(), ['initial', 'oplog.ndjson']);
+  assert.ok(fs.existsSync(path.join(outDir, 'initial', 'manifest.json')));
+}));
+
+test('the initial copy empties synced target collections whose source is empty', () => withTempDir(async dir => {
+  const store = { users: [{ _id: 9, stale: true }], other: [{ _id: 1 }] };
+  await syncOnce({ client: createSourceClient({ users: [] }), targetClient: createTargetClient(store), targetDbName: 'copy', outDir: path.join(dir, 'db') });
+
+  assert.deepEqual(store.users, []);
+  assert.deepEqual(store.other, [{ _id: 1 }]);
+}));
+
+test('a new start in oplog mode begins a new oplog file, a resumed sync appends to it', () => withTempDir(async dir => {
+  const outDir = path.join(dir, 'db');
+  fs.mkdirSync(path.join(outDir, 'initial', 'data'), { recursive: true });
+  fs.writeFileSync(path.join(outDir, 'oplog.ndjson'), '{"op":"i"}\n');
+  fs.writeFileSync(path.join(outDir, 'initial', 'data', 'gone.json'), '[]');
+  const client = createSourceClient({ users: [{ _id: 1 }] });
+
+  await syncOnce({ client, oplog: true, outDir });
+  assert.equal(fs.readFileSync(path.join(outDir, 'oplog.ndjson'), 'utf-8'), '');
+  assert.ok(!fs.existsSync(path.join(outDir, 'initial', 'data', 'gone.json')));
+
+  fs.writeFileSync(path.join(outDir, 'oplog.ndjson'), '{"op":"i"}\n');
+  fs.writeFileSync(`${outDir}.shop.sync.json`, JSON.stringify({ syncStateVersion: 1, database: 'shop', target: 'oplog', changes: 1, resumeToken: { _data: '01' } }));
+  await syncOnce({ client, oplog: true, outDir });
+  assert.equal(fs.readFileSync(path.join(outDir, 'oplog.ndjson'), 'utf-8'), '{"op":"i"}\n');
+
+  await syncOnce({ client, oplog: true, outDir, resync: true });
+  assert.equal(fs.readFileSync(path.join(outDir, 'oplog.ndjson'), 'utf-8'), '');
+}));
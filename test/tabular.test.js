@@ -0,0 +1,113 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+const { BSON } = require("mongodb");
+const { exportDatabase, importDatabase } = require("..");
+const { analyzeFieldTypes } = require("../lib/schema");
+const { createReporter } = require("../lib/events");
+const { buildColumnMap, tokenizeSQL, parseInsertStatement, readTabularDocuments } = require("../lib/tabular");
+const { createSourceClient, createTargetClient } = require("./fake-client");
+
+const { ObjectId, Long, Decimal128, Int32 } = BSON;
+
+async function readAll(text, format, fields, options = {}) {
+  const docs = [];
+  const schema = { fields };
+  for await (const doc of readTabularDocuments(Readable.from([text]), format, 'users', schema, options, createReporter())) {
+    docs.push(doc);
+  }
+  return docs;
+}
+
+test('column names map to top-level and flattened nested fields', () => {
+  const fields = analyzeFieldTypes([{ _id: 1, address: { city: 'Oslo', geo: { lat: 1 } }, address_city: 'x' }]);
+  const columns = buildColumnMap(fields);
+
+  assert.deepEqual(Object.keys(columns).sort(), ['_id', 'address', 'address_city', 'address_geo', 'address_geo_lat']);
+  assert.deepEqual(columns.address_city.path, ['address_city']);
+  assert.deepEqual(columns.address_geo_lat.path, ['address', 'geo', 'lat']);
+});
+
+test('CSV quoting: delimiters, quotes and newlines inside quoted cells, CRLF and blank lines', async () => {
+  const fields = analyzeFieldTypes([{ _id: 1, name: 'a', note: 'b', age: 2 }]);
+  const text = '\uFEFF_id,name,note,age\r\n1,"Lee, Ann","said ""hi""\nthen left",30\r\n\r\n2,Bob,,\n3,"",NULL,41';
+
+  assert.deepEqual(await readAll(text, 'csv', fields), [
+    { _id: 1, name: 'Lee, Ann', note: 'said "hi"\nthen left', age: 30 },
+    { _id: 2, name: 'Bob' },
+    { _id: 3, name: '', age: 41 }
+  ]);
+});
+
+test('TSV files use tabs and keep nulls for fields that were null in the export', async () => {
+  const fields = analyzeFieldTypes([{ _id: 1, note: null }, { _id: 2, note: 'x' }]);
+
+  assert.deepEqual(await readAll('_id\tnote\n1\t\\N\n2\t"NULL"\n', 'tsv', fields), [
+    { _id: 1, note: null },
+    { _id: 2, note: 'NULL' }
+  ]);
+});
+
+test('SQL tokens: quoted identifiers, doubled quotes, MySQL escapes and string prefixes', () => {
+  assert.deepEqual(tokenizeSQL("INSERT INTO `a``b` VALUES (N'it''s', -1.5e3, 'x\\ny')", true).map(token => [token.type, token.value]), [
+    ['word', 'INSERT'], ['word', 'INTO'], ['identifier', 'a`b'], ['word', 'VALUES'], ['punctuation', '('],
+    ['string', "it's"], ['punctuation', ','], ['number', '-1.5e3'], ['punctuation', ','], ['string', 'x\ny'], ['punctuation', ')']
+  ]);
+  assert.equal(tokenizeSQL("'C:\\dir'", false)[0].value, 'C:\\dir');
+  assert.throws(() => tokenizeSQL("'open", false), /Unterminated quoted value/);
+});
+
+test('INSERT statements parse into table, columns and rows', () => {
+  assert.deepEqual(parseInsertStatement('INSERT IGNORE INTO "shop"."users" ("_id", "name") VALUES (1, \'Ann\'), (2, NULL)', false), {
+    table: 'users',
+    columns: ['_id', 'name'],
+    rows: [
+      [{ value: '1', quoted: false }, { value: 'Ann', quoted: true }],
+      [{ value: '2', quoted: false }, { value: null, quoted: false }]
+    ]
+  });
+  assert.equal(parseInsertStatement('INSERT INTO users VALUES (1)', false).columns, null);
+  assert.equal(parseInsertStatement('CREATE TABLE users (_id INT)', false), null);
+  assert.throws(() => parseInsertStatement('INSERT INTO users VALUES (1, 2', false), /Unterminated VALUES list/);
+});
+
+test('SQL scripts skip comments and other tables, and use CREATE TABLE order without a column list', async () => {
+  const fields = analyzeFieldTypes([{ _id: 1, name: 'a' }]);
+  const script = '-- Data; with a semicolon\n/* block; comment */\n' +
+    "INSERT INTO `users` VALUES (1, 'a -- not a comment');\n" +
+    "INSERT INTO `orders` VALUES (9);\nINSERT INTO `users` (`name`, `_id`) VALUES ('b', 2);\n";
+
+  assert.deepEqual(await readAll(script, 'sql', fields), [{ _id: 1, name: 'a -- not a comment' }, { _id: 2, name: 'b' }]);
+});
+
+test('JSON columns bring back ObjectIds, dates, Longs and decimals', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tabular-test-'));
+  try {
+    const id = new ObjectId('64b7f0c2a1b2c3d4e5f60718');
+    const orders = [{
+      _id: new Int32(1),
+      customer: { id, since: new Date('2020-01-02T03:04:05.000Z'), visits: Long.fromNumber(12) },
+      lines: [{ sku: 'A', price: Decimal128.fromString('9.99') }]
+    }];
+    const outDir = path.join(dir, 'export');
+    await exportDatabase({ client: createSourceClient({ orders }), dbName: 'shop', outDir, formats: ['schema', 'sql'], manifest: false });
+    fs.mkdirSync(path.join(outDir, 'data'));
+    fs.copyFileSync(path.join(outDir, 'migration', 'orders.sql'), path.join(outDir, 'data', 'orders.sql'));
+
+    const store = {};
+    await importDatabase({ client: createTargetClient(store), dbName: 'shop', inDir: outDir, verify: false });
+    const [doc] = store.orders;
+
+    assert.ok(doc.customer.id instanceof ObjectId);
+    assert.ok(doc.customer.id.equals(id));
+    assert.equal(doc.customer.since.toISOString(), '2020-01-02T03:04:05.000Z');
+    assert.equal(doc.customer.visits.valueOf(), 12);
+    assert.ok(doc.lines[0].price instanceof Decimal128);
+    assert.equal(doc.lines[0].price.toString(), '9.99');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});